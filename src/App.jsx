@@ -8,16 +8,22 @@ import ProgressPage from "./pages/ProgressPage";
 import SettingsPage from "./pages/SettingsPage";
 import GameSelectionPage from "./pages/GameSelectionPage";
 import ComponentBuilderPage from "./pages/ComponentBuilderPage";
+import CharactersPage from "./pages/CharactersPage";
 import { AppProvider, useApp } from "./context/AppContext";
+import { SettingsProvider } from "./context/SettingsContext";
+import { ProfileSwitcher } from "./components/ui/ProfileSwitcher";
+import DictionaryPopup from "./components/DictionaryPopup";
 
 // Main App component that provides the context
 function App() {
   return (
-    <AppProvider>
-      <Router>
-        <AppContent />
-      </Router>
-    </AppProvider>
+    <SettingsProvider>
+      <AppProvider>
+        <Router>
+          <AppContent />
+        </Router>
+      </AppProvider>
+    </SettingsProvider>
   );
 }
 
@@ -37,6 +43,7 @@ function Navigation() {
     "/practice": "practice",
     "/vocabulary": "vocabulary",
     "/progress": "progress",
+    "/characters": "progress",
     "/settings": "settings"
   };
   
@@ -125,6 +132,22 @@ function AppContent() {
     };
   }, [detailViewActive, closeWordDetail]);
 
+  // Database connection problems caused by other open tabs
+  const [dbNotice, setDbNotice] = useState(null);
+  
+  useEffect(() => {
+    const handleBlocked = () => setDbNotice("blocked");
+    const handleVersionChange = () => setDbNotice("versionchange");
+    
+    window.addEventListener('hsk-db-blocked', handleBlocked);
+    window.addEventListener('hsk-db-versionchange', handleVersionChange);
+    
+    return () => {
+      window.removeEventListener('hsk-db-blocked', handleBlocked);
+      window.removeEventListener('hsk-db-versionchange', handleVersionChange);
+    };
+  }, []);
+
   // Determine which practice component to use
   const PracticeComponent = (preferOfflinePractice || (offlineMode && !wsConnected)) 
     ? OfflinePracticePage 
@@ -142,6 +165,25 @@ function AppContent() {
         </div>
       )}
       
+      {/* Database upgrade notices */}
+      {dbNotice && (
+        <div className="bg-amber-500 text-white text-center text-xs py-1 px-4 safe-left safe-right">
+          {dbNotice === "blocked" ? (
+            <span>Close other HSK Master tabs to finish updating the database.</span>
+          ) : (
+            <span>
+              HSK Master was updated in another tab.{" "}
+              <button onClick={() => window.location.reload()} className="underline font-medium">
+                Reload
+              </button>
+            </span>
+          )}
+        </div>
+      )}
+      
+      {/* Learner profile (only once there are several) */}
+      <ProfileSwitcher />
+      
       {/* Main Content Area */}
       <main className="flex-1 overflow-y-auto pb-16 safe-left safe-right">
         <Routes>
@@ -149,6 +191,7 @@ function AppContent() {
           <Route path="/practice" element={<PracticeComponent />} />
           <Route path="/vocabulary" element={<VocabularyPage />} />
           <Route path="/progress" element={<ProgressPage />} />
+          <Route path="/characters" element={<CharactersPage />} />
           <Route path="/settings" element={<SettingsPage />} />
           <Route path="/component-builder" element={<ComponentBuilderPage />} />
           <Route path="*" element={<Navigate to="/game-selection" replace />} />
@@ -157,6 +200,9 @@ function AppContent() {
       
       {/* Bottom Navigation - with safe areas for iPhone */}
       <Navigation />
+      
+      {/* Look up Chinese text anywhere by hovering or long-pressing it */}
+      <DictionaryPopup />
     </div>
   );
 }
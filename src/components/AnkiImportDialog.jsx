@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from "react";
+import { X, AlertCircle } from "lucide-react";
+import {
+  ANKI_FIELDS,
+  parseApkg,
+  parseTextFile,
+  importRows
+} from "../services/anki-service";
+import { LevelSelect } from "./ui/LevelSelect";
+
+// Read a file the way its type needs: packages as binary, everything else as text
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(new Error("Error reading file"));
+
+  if (file.name.toLowerCase().endsWith(".apkg")) {
+    reader.readAsArrayBuffer(file);
+  } else {
+    reader.readAsText(file);
+  }
+});
+
+/**
+ * AnkiImportDialog - Map the columns of an Anki package or CSV/TSV file to word fields and import it
+ *
+ * @param {Object} props Component props
+ * @param {File} props.file The selected file (.apkg, .csv, .tsv or .txt)
+ * @param {function} props.onClose Called when the dialog is closed
+ * @param {function} props.onImported Called with the import summary
+ */
+export default function AnkiImportDialog({ file, onClose, onImported }) {
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [deckName, setDeckName] = useState(() => file.name.replace(/\.[^.]+$/, ""));
+  const [defaultLevel, setDefaultLevel] = useState(1);
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    readFile(file)
+      .then(content => typeof content === "string" ? parseTextFile(content) : parseApkg(content))
+      .then(result => {
+        if (cancelled) return;
+        setParsed(result);
+        setMapping(result.mapping);
+      })
+      .catch(error => {
+        console.error("Error reading import file:", error);
+        alert(`Failed to read file: ${error.message}`);
+        onClose();
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file, onClose]);
+
+  const updateMapping = (key, value) => {
+    setMapping(prev => ({ ...prev, [key]: value === "" ? null : Number(value) }));
+  };
+
+  const handleImport = async () => {
+    try {
+      setProgress(0);
+      const summary = await importRows(
+        { rows: parsed.rows, mapping, reviewStates: parsed.reviewStates, deckName, defaultLevel },
+        setProgress
+      );
+      onImported(summary);
+    } catch (error) {
+      console.error("Error importing words:", error);
+      alert(`Failed to import: ${error.message}`);
+      setProgress(null);
+    }
+  };
+
+  const importing = progress !== null;
+  const firstRow = parsed?.rows[0] || [];
+  // Review columns only matter for text files; packages bring their own review state
+  const fields = ANKI_FIELDS.filter(field => !field.review || parsed?.reviewStates.length === 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white p-4 border-b border-neutral-100 flex justify-between items-center">
+          <div className="w-8"></div>
+          <h2 className="text-lg font-bold text-neutral-900">Import Words</h2>
+          <button onClick={onClose} className="p-1 text-neutral-500" disabled={importing}>
+            <X size={24} />
+          </button>
+        </div>
+
+        {!parsed ? (
+          <div className="p-8 text-center text-sm text-neutral-500">Reading {file.name}...</div>
+        ) : (
+          <div className="p-4 space-y-4">
+            <div className="text-sm text-neutral-500">
+              {parsed.rows.length} rows in {file.name}. Words you already have get the
+              file's review progress; the rest are added as your own words.
+            </div>
+
+            {parsed.notice && (
+              <div className="text-xs text-neutral-500 bg-neutral-50 p-2 rounded border border-neutral-100">
+                <AlertCircle size={14} className="inline-block mr-1 text-amber-500" />
+                {parsed.notice}
+              </div>
+            )}
+
+            {/* Column mapping */}
+            <div>
+              <div className="text-sm font-medium text-neutral-700 mb-2">Columns</div>
+              <div className="space-y-2">
+                {fields.map(field => (
+                  <div key={field.key} className="flex items-center space-x-2">
+                    <label className="w-28 text-sm text-neutral-600 flex-shrink-0">{field.label}</label>
+                    <select
+                      value={mapping[field.key] ?? ""}
+                      onChange={(e) => updateMapping(field.key, e.target.value)}
+                      disabled={importing}
+                      className="flex-1 min-w-0 px-2 py-1.5 border border-neutral-300 rounded-lg text-sm"
+                    >
+                      <option value="">Don't import</option>
+                      {parsed.columns.map((column, index) => (
+                        <option key={index} value={index}>
+                          {column}{firstRow[index] ? ` (${firstRow[index].replace(/<[^>]*>/g, " ").slice(0, 20)})` : ""}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-1">Level for new words</label>
+              <LevelSelect value={defaultLevel} onChange={setDefaultLevel} />
+              <div className="text-xs text-neutral-500 mt-1">Used when the file has no level or HSK tag</div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-1">Add to deck</label>
+              <input
+                type="text"
+                value={deckName}
+                onChange={(e) => setDeckName(e.target.value)}
+                placeholder="No deck"
+                disabled={importing}
+                className="w-full px-3 py-2 border border-neutral-300 rounded-lg"
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="sticky bottom-0 bg-white p-4 border-t border-neutral-100 flex space-x-2">
+          <button
+            onClick={onClose}
+            disabled={importing}
+            className="flex-1 py-2 bg-neutral-100 text-neutral-700 rounded-lg font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!parsed || importing || mapping.simplified === null}
+            className={`flex-1 py-2 rounded-lg font-medium ${
+              !parsed || importing || mapping.simplified === null
+                ? "bg-neutral-200 text-neutral-500"
+                : "bg-red-500 text-white"
+            }`}
+          >
+            {importing ? `Importing ${progress}/${parsed.rows.length}...` : "Import"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useRef, useEffect, useState } from "react";
 import { Mic, XCircle } from "lucide-react";
 import { WebSocketUtils } from "../services/websocket-utils";
+import { useSettings } from "../hooks/useSettings";
 
 export default function AudioRecorder({ 
   wsRef, 
@@ -12,9 +13,8 @@ export default function AudioRecorder({
   const [isSending, setIsSending] = useState(false);
   const [error, setError] = useState(null);
   const [audioLevel, setAudioLevel] = useState(0);
-  const [useHoldToSpeak, setUseHoldToSpeak] = useState(true);
-  const [showWaveform, setShowWaveform] = useState(true);
-  const [sensitivity, setSensitivity] = useState(1.5);
+  const { settings, updateSetting } = useSettings();
+  const { useHoldToSpeak, showWaveform, sensitivity } = settings;
   const [isAudioReady, setIsAudioReady] = useState(false);
   const [isPreparingAudio, setIsPreparingAudio] = useState(false);
   
@@ -30,27 +30,6 @@ export default function AudioRecorder({
   const lastAudioLevelRef = useRef(0);
   const audioInitializedRef = useRef(false);
   
-  // Load settings from localStorage
-  useEffect(() => {
-    try {
-      const storedSettings = localStorage.getItem('appSettings');
-      if (storedSettings) {
-        const settings = JSON.parse(storedSettings);
-        if (settings.useHoldToSpeak !== undefined) {
-          setUseHoldToSpeak(settings.useHoldToSpeak);
-        }
-        if (settings.showWaveform !== undefined) {
-          setShowWaveform(settings.showWaveform);
-        }
-        if (settings.sensitivity !== undefined) {
-          setSensitivity(settings.sensitivity);
-        }
-      }
-    } catch (error) {
-      console.error("Error loading settings:", error);
-    }
-  }, []);
-  
   // Clean up audio resources
   const cleanupAudio = () => {
     // Stop visualization
@@ -420,17 +399,9 @@ export default function AudioRecorder({
   
   // Toggle between tap-to-record and hold-to-speak
   const toggleRecordingMode = () => {
-    const newValue = !useHoldToSpeak;
-    setUseHoldToSpeak(newValue);
-    
-    // Save to localStorage
-    try {
-      const settings = JSON.parse(localStorage.getItem('appSettings') || '{}');
-      settings.useHoldToSpeak = newValue;
-      localStorage.setItem('appSettings', JSON.stringify(settings));
-    } catch (error) {
+    updateSetting('useHoldToSpeak', !useHoldToSpeak).catch(error => {
       console.error("Error saving setting:", error);
-    }
+    });
   };
 
   // Function that creates the AudioContext on user interaction
@@ -0,0 +1,371 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { Heart, BookmarkPlus, BookmarkCheck, X } from "lucide-react";
+import { vocabularyDB, deckDB, isWordAvailable } from "../services/db";
+import { isHan } from "../services/segmenter";
+import { useApp } from "../context/AppContext";
+import { useSettings } from "../hooks/useSettings";
+
+// Deck that "Study" adds words to
+const STUDY_DECK_NAME = "To Study";
+
+// Longest word looked up from the character under the pointer
+const MAX_LOOKUP_LENGTH = 8;
+
+const HOVER_DELAY = 400;
+const LONG_PRESS_DELAY = 500;
+
+// A touch that moves further than this (px) is a scroll, not a long press
+const LONG_PRESS_TOLERANCE = 10;
+
+const CARD_WIDTH = 288;
+const CARD_MARGIN = 8;
+
+// Text that isn't looked up: form fields and the card itself
+const IGNORED_SELECTOR = 'input, textarea, select, [contenteditable="true"], [data-dictionary-popup]';
+
+// Position in a text node under a screen point
+const caretAt = (x, y) => {
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(x, y);
+    return position && { node: position.offsetNode, offset: position.offset };
+  }
+  if (document.caretRangeFromPoint) {
+    const range = document.caretRangeFromPoint(x, y);
+    return range && { node: range.startContainer, offset: range.startOffset };
+  }
+  return null;
+};
+
+// Screen box of one character of a text node
+const characterRect = (node, index) => {
+  const range = document.createRange();
+  range.setStart(node, index);
+  range.setEnd(node, index + 1);
+  return range.getBoundingClientRect();
+};
+
+const containsPoint = (rect, x, y) => {
+  return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+};
+
+/**
+ * The Chinese text starting at the character under a screen point, continued
+ * into the following text nodes (a segmented sentence has one per word)
+ * @returns {{text: string, rect: DOMRect}|null}
+ */
+const chineseTextAt = (x, y) => {
+  const caret = caretAt(x, y);
+  if (!caret || caret.node.nodeType !== Node.TEXT_NODE) return null;
+  if (caret.node.parentElement?.closest(IGNORED_SELECTOR)) return null;
+
+  // The caret sits between two characters; take the one actually under the point
+  const { node } = caret;
+  let offset = caret.offset;
+  const isUnderPoint = (index) => {
+    return index >= 0 && index < node.data.length && containsPoint(characterRect(node, index), x, y);
+  };
+  if (!isUnderPoint(offset)) {
+    if (!isUnderPoint(offset - 1)) return null;
+    offset -= 1;
+  }
+  if (!isHan(node.data[offset])) return null;
+
+  const rect = characterRect(node, offset);
+  // Pinyin above the characters (ruby text) isn't part of the sentence
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: (textNode) => (textNode.parentElement?.closest("rt") ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  walker.currentNode = node;
+
+  let text = "";
+  let current = node;
+  let start = offset;
+  while (current && text.length < MAX_LOOKUP_LENGTH) {
+    for (const char of current.data.slice(start)) {
+      if (!isHan(char) || text.length >= MAX_LOOKUP_LENGTH) return { text, rect };
+      text += char;
+    }
+    current = walker.nextNode();
+    start = 0;
+  }
+
+  return { text, rect };
+};
+
+// Where the word stands in the user's reviews
+const describeStatus = (word) => {
+  const today = new Date().toISOString().split("T")[0];
+  if (word.suspended) return "Suspended";
+  if (!word.lastPracticed) return "New";
+  if (!word.nextReview || word.nextReview.split("T")[0] <= today) return "Due for review";
+  return `Next review ${new Date(word.nextReview).toLocaleDateString()}`;
+};
+
+/**
+ * DictionaryPopup - Look up any Chinese text in the app: hover it with a mouse
+ * or long-press it on a touch screen to get a card with the longest matching
+ * vocabulary word. Works offline, from the local database.
+ */
+export default function DictionaryPopup() {
+  const { decks, updateWord, reloadDecks } = useApp();
+  const { settings, updateSetting } = useSettings();
+  const enabled = settings.popupDictionary;
+
+  const [popup, setPopup] = useState(null);
+  const popupRef = useRef(null);
+  const lookupCountRef = useRef(0);
+
+  const showPopup = useCallback((next) => {
+    popupRef.current = next;
+    setPopup(next);
+  }, []);
+
+  // Look up the text at a point. Results of older lookups are dropped.
+  const lookUpAt = useCallback(async (x, y, source) => {
+    const found = chineseTextAt(x, y);
+    const lookup = ++lookupCountRef.current;
+
+    if (!found) {
+      if (source === "hover" && popupRef.current?.source === "hover") showPopup(null);
+      return false;
+    }
+
+    const current = popupRef.current;
+    if (current && current.text === found.text && current.rect.top === found.rect.top && current.rect.left === found.rect.left) {
+      return true;
+    }
+
+    try {
+      const word = await vocabularyDB.lookupLongest(found.text, MAX_LOOKUP_LENGTH);
+      if (lookup !== lookupCountRef.current) return true;
+
+      // Nothing to show for a passing mouse; a long press gets an answer either way
+      if (!word && source === "hover") {
+        showPopup(null);
+        return false;
+      }
+      showPopup({ word, text: found.text, rect: found.rect, source });
+    } catch (error) {
+      console.error("Error looking up word:", error);
+    }
+    return true;
+  }, [showPopup]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let hoverTimer = null;
+    let pressTimer = null;
+    let pressStart = null;
+    let pressed = false;
+
+    const isInCard = (target) => !!target?.closest?.("[data-dictionary-popup]");
+
+    const cancelPress = () => {
+      clearTimeout(pressTimer);
+      pressTimer = null;
+      pressStart = null;
+    };
+
+    const handlePointerMove = (e) => {
+      if (e.pointerType === "mouse") {
+        clearTimeout(hoverTimer);
+        if (isInCard(e.target)) return;
+        const { clientX, clientY } = e;
+        hoverTimer = setTimeout(() => lookUpAt(clientX, clientY, "hover"), HOVER_DELAY);
+      } else if (pressStart) {
+        const distance = Math.hypot(e.clientX - pressStart.x, e.clientY - pressStart.y);
+        if (distance > LONG_PRESS_TOLERANCE) cancelPress();
+      }
+    };
+
+    const handlePointerDown = (e) => {
+      pressed = false;
+      if (!isInCard(e.target)) showPopup(null);
+      if (e.pointerType === "mouse" || isInCard(e.target)) return;
+
+      const { clientX, clientY } = e;
+      pressStart = { x: clientX, y: clientY };
+      pressTimer = setTimeout(async () => {
+        pressStart = null;
+        pressed = await lookUpAt(clientX, clientY, "touch");
+      }, LONG_PRESS_DELAY);
+    };
+
+    // A long press that found Chinese text shouldn't also open the context menu
+    const handleContextMenu = (e) => {
+      if (pressed || (pressStart && chineseTextAt(pressStart.x, pressStart.y))) e.preventDefault();
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") showPopup(null);
+    };
+
+    const handleScroll = (e) => {
+      if (!isInCard(e.target)) showPopup(null);
+    };
+
+    document.addEventListener("pointermove", handlePointerMove);
+    document.addEventListener("pointerdown", handlePointerDown);
+    document.addEventListener("pointerup", cancelPress);
+    document.addEventListener("pointercancel", cancelPress);
+    document.addEventListener("contextmenu", handleContextMenu);
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("scroll", handleScroll, true);
+
+    return () => {
+      clearTimeout(hoverTimer);
+      clearTimeout(pressTimer);
+      document.removeEventListener("pointermove", handlePointerMove);
+      document.removeEventListener("pointerdown", handlePointerDown);
+      document.removeEventListener("pointerup", cancelPress);
+      document.removeEventListener("pointercancel", cancelPress);
+      document.removeEventListener("contextmenu", handleContextMenu);
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("scroll", handleScroll, true);
+      showPopup(null);
+    };
+  }, [enabled, lookUpAt, showPopup]);
+
+  if (!enabled || !popup) return null;
+
+  const { word, rect } = popup;
+  const studyDeck = decks.find(deck => deck.name === STUDY_DECK_NAME);
+  const inStudyDeck = !!word && !!studyDeck?.wordIds.includes(word.id) && isWordAvailable(word);
+  // Practice only draws from the deck once it's the practice source
+  const practicingStudyDeck = !!studyDeck && settings.practiceDeckId === studyDeck.id;
+
+  const handleToggleFavorite = async () => {
+    try {
+      const updated = await vocabularyDB.toggleFavorite(word.id);
+      updateWord(word.id, updated);
+      showPopup({ ...popup, word: updated });
+    } catch (error) {
+      console.error("Error toggling favorite:", error);
+      alert(`Failed to update favorite: ${error.message}`);
+    }
+  };
+
+  // Put the word in the "To Study" deck, and make it available again if it
+  // was suspended or buried
+  const handleAddToStudy = async () => {
+    try {
+      await deckDB.createOrMerge(STUDY_DECK_NAME, [word.id]);
+
+      let updated = word;
+      if (!isWordAvailable(word)) {
+        await vocabularyDB.setSuspended(word.id, false);
+        updated = await vocabularyDB.unburyWord(word.id);
+        updateWord(word.id, updated);
+      }
+
+      await reloadDecks();
+      showPopup({ ...popup, word: updated });
+    } catch (error) {
+      console.error("Error adding word to study:", error);
+      alert(`Failed to add word to study: ${error.message}`);
+    }
+  };
+
+  // Make the "To Study" deck what practice draws from
+  const handlePracticeStudyDeck = async () => {
+    try {
+      await updateSetting('practiceDeckId', studyDeck.id);
+    } catch (error) {
+      console.error("Error saving setting:", error);
+      alert(`Failed to change the practice source: ${error.message}`);
+    }
+  };
+
+  // Below the character, or above it when there's no room
+  const left = Math.max(CARD_MARGIN, Math.min(rect.left, window.innerWidth - CARD_WIDTH - CARD_MARGIN));
+  const above = rect.bottom > window.innerHeight * 0.6;
+  const position = above
+    ? { left, bottom: window.innerHeight - rect.top + CARD_MARGIN }
+    : { left, top: rect.bottom + CARD_MARGIN };
+
+  return (
+    <div
+      data-dictionary-popup
+      style={{ ...position, width: CARD_WIDTH }}
+      className="fixed z-50 bg-white rounded-xl shadow-lg border border-neutral-200 p-3 text-left"
+    >
+      <div className="flex justify-between items-start">
+        {word ? (
+          <div>
+            <div className="text-2xl font-bold text-neutral-900">
+              {word.simplified}
+              {word.traditional && word.traditional !== word.simplified && (
+                <span className="ml-2 text-lg font-normal text-neutral-500">{word.traditional}</span>
+              )}
+            </div>
+            <div className="text-red-500">{word.pinyin}</div>
+          </div>
+        ) : (
+          <div className="text-2xl font-bold text-neutral-900">{[...popup.text][0]}</div>
+        )}
+        <button onClick={() => showPopup(null)} className="p-1 text-neutral-400">
+          <X size={18} />
+        </button>
+      </div>
+
+      {word ? (
+        <>
+          <div className="text-sm text-neutral-700 mt-1 line-clamp-3">{word.english || word.meanings}</div>
+
+          <div className="flex flex-wrap items-center gap-1.5 mt-2">
+            {word.level && (
+              <span className="px-2 py-0.5 bg-red-50 text-red-600 rounded-full text-xs font-medium">
+                HSK {word.level}
+              </span>
+            )}
+            <span className="px-2 py-0.5 bg-neutral-100 text-neutral-600 rounded-full text-xs font-medium">
+              {describeStatus(word)}
+            </span>
+            {word.isLeech && (
+              <span className="px-2 py-0.5 bg-purple-50 text-purple-700 rounded-full text-xs font-medium">
+                Leech
+              </span>
+            )}
+          </div>
+
+          <div className="flex space-x-2 mt-3">
+            <button
+              onClick={handleToggleFavorite}
+              className={`flex-1 py-1.5 rounded-lg text-sm font-medium flex items-center justify-center ${
+                word.isFavorite ? "bg-red-100 text-red-600" : "bg-neutral-100 text-neutral-700"
+              }`}
+            >
+              <Heart size={16} className="mr-1.5" fill={word.isFavorite ? "currentColor" : "none"} />
+              Favorite
+            </button>
+            <button
+              onClick={handleAddToStudy}
+              disabled={inStudyDeck}
+              className={`flex-1 py-1.5 rounded-lg text-sm font-medium flex items-center justify-center ${
+                inStudyDeck ? "bg-green-50 text-green-700" : "bg-neutral-100 text-neutral-700"
+              }`}
+            >
+              {inStudyDeck ? (
+                <><BookmarkCheck size={16} className="mr-1.5" />{practicingStudyDeck ? "Studying" : `In ${STUDY_DECK_NAME}`}</>
+              ) : (
+                <><BookmarkPlus size={16} className="mr-1.5" />Study</>
+              )}
+            </button>
+          </div>
+
+          {inStudyDeck && !practicingStudyDeck && (
+            <div className="flex items-center justify-between gap-2 mt-2 text-xs text-neutral-500">
+              <span>Practice doesn't use the {STUDY_DECK_NAME} deck yet</span>
+              <button onClick={handlePracticeStudyDeck} className="shrink-0 font-medium text-red-600">
+                Practice it
+              </button>
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="text-sm text-neutral-500 mt-1">Not in your vocabulary</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import { X, Layers } from "lucide-react";
+import { importPlecoEntries } from "../services/pleco-service";
+import { LevelSelect } from "./ui/LevelSelect";
+
+/**
+ * PlecoImportDialog - Preview a Pleco flashcard file and import it
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.flashcards Result of parsePlecoFile
+ * @param {string} props.fileName Name of the selected file
+ * @param {function} props.onClose Called when the dialog is closed
+ * @param {function} props.onImported Called with the import summary
+ */
+export default function PlecoImportDialog({ flashcards, fileName, onClose, onImported }) {
+  const [defaultLevel, setDefaultLevel] = useState(1);
+  const [importing, setImporting] = useState(false);
+
+  const { entries, categories } = flashcards;
+  const uncategorized = entries.filter(entry => !entry.category).length;
+
+  const handleImport = async () => {
+    try {
+      setImporting(true);
+      const summary = await importPlecoEntries(entries, { defaultLevel });
+      onImported(summary);
+    } catch (error) {
+      console.error("Error importing Pleco flashcards:", error);
+      alert(`Failed to import: ${error.message}`);
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white p-4 border-b border-neutral-100 flex justify-between items-center">
+          <div className="w-8"></div>
+          <h2 className="text-lg font-bold text-neutral-900">Import from Pleco</h2>
+          <button onClick={onClose} className="p-1 text-neutral-500" disabled={importing}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div className="text-sm text-neutral-500">
+            {entries.length} flashcards in {fileName}. Words you already have are
+            matched; the rest are added as your own words.
+          </div>
+
+          <div>
+            <div className="text-sm font-medium text-neutral-700 mb-2">Categories become decks</div>
+            {categories.length === 0 ? (
+              <div className="text-sm text-neutral-500">The file has no categories.</div>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {categories.map(category => (
+                  <span
+                    key={category}
+                    className="px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-700 flex items-center"
+                  >
+                    <Layers size={12} className="mr-1" />
+                    {category}
+                  </span>
+                ))}
+              </div>
+            )}
+            {categories.length > 0 && uncategorized > 0 && (
+              <div className="text-xs text-neutral-500 mt-2">
+                {uncategorized} flashcards outside a category are imported without a deck
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-neutral-700 mb-1">Level for new words</label>
+            <LevelSelect value={defaultLevel} onChange={setDefaultLevel} />
+            <div className="text-xs text-neutral-500 mt-1">Used when the category doesn't name an HSK level</div>
+          </div>
+        </div>
+
+        <div className="sticky bottom-0 bg-white p-4 border-t border-neutral-100 flex space-x-2">
+          <button
+            onClick={onClose}
+            disabled={importing}
+            className="flex-1 py-2 bg-neutral-100 text-neutral-700 rounded-lg font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={importing}
+            className={`flex-1 py-2 rounded-lg font-medium ${
+              importing ? "bg-neutral-200 text-neutral-500" : "bg-red-500 text-white"
+            }`}
+          >
+            {importing ? "Importing..." : "Import"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from "react";
+import { X, AlertCircle } from "lucide-react";
+import {
+  createRestorePlan,
+  applyRestorePlan,
+  RESTORE_STRATEGIES
+} from "../services/backup-service";
+
+const STRATEGY_OPTIONS = [
+  {
+    value: RESTORE_STRATEGIES.MERGE,
+    label: "Merge",
+    description: "Keep what's on this device and add what's newer in the backup"
+  },
+  {
+    value: RESTORE_STRATEGIES.OVERWRITE,
+    label: "Overwrite",
+    description: "Replace progress, decks, history and settings with the backup"
+  }
+];
+
+/**
+ * RestorePreview - Shows what restoring a backup will change before anything is written
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.backup A backup that passed validateBackup
+ * @param {function} props.onClose Called when the preview is closed without restoring
+ * @param {function} props.onRestored Called with the summary after the backup was restored
+ */
+export default function RestorePreview({ backup, onClose, onRestored }) {
+  const [strategy, setStrategy] = useState(RESTORE_STRATEGIES.MERGE);
+  const [plan, setPlan] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  // Recompute the plan whenever the strategy changes
+  useEffect(() => {
+    let cancelled = false;
+    setPlan(null);
+
+    createRestorePlan(backup, strategy)
+      .then(result => {
+        if (!cancelled) setPlan(result);
+      })
+      .catch(error => {
+        console.error("Error preparing restore:", error);
+        alert(`Failed to read backup: ${error.message}`);
+        onClose();
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [backup, strategy, onClose]);
+
+  const handleRestore = async () => {
+    if (strategy === RESTORE_STRATEGIES.OVERWRITE &&
+        !window.confirm("Overwrite the data on this device with the backup? This can't be undone.")) {
+      return;
+    }
+
+    try {
+      setRestoring(true);
+      const summary = await applyRestorePlan(plan);
+      onRestored(summary);
+    } catch (error) {
+      console.error("Error restoring backup:", error);
+      alert(`Failed to restore backup: ${error.message}`);
+      setRestoring(false);
+    }
+  };
+
+  const summary = plan?.summary;
+  const overwrite = strategy === RESTORE_STRATEGIES.OVERWRITE;
+
+  const rows = summary ? [
+    ["Progress restored", summary.progress.restored],
+    ["Progress kept (newer on this device)", summary.progress.kept],
+    ["Progress reset", summary.progress.reset],
+    ["Matched by word instead of id", summary.progress.matchedByFallback],
+    ["Own words added", summary.customWords.added],
+    ["Own words updated", summary.customWords.updated],
+    ["Words with edits restored", summary.edits.applied],
+    ["Edits reverted", summary.edits.reverted],
+    ["Decks added", summary.decks.added],
+    ["Decks merged", summary.decks.merged],
+    ["Decks removed", summary.decks.removed],
+    ["Reviews added", summary.reviews.added],
+    ["Reviews removed", summary.reviews.removed],
+    ["Settings changed", summary.settings.changed.length]
+  ].filter(([, count]) => count > 0) : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white p-4 border-b border-neutral-100 flex justify-between items-center">
+          <div className="w-8"></div>
+          <h2 className="text-lg font-bold text-neutral-900">Restore Backup</h2>
+          <button onClick={onClose} className="p-1 text-neutral-500" disabled={restoring}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div className="text-sm text-neutral-500">
+            {backup.createdAt
+              ? `Backup from ${new Date(backup.createdAt).toLocaleString()}`
+              : "Backup from an earlier version"}
+            {backup.appVersion && ` (version ${backup.appVersion})`}
+          </div>
+
+          {/* Strategy */}
+          <div className="space-y-2">
+            {STRATEGY_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setStrategy(option.value)}
+                disabled={restoring}
+                className={`w-full text-left p-3 rounded-lg border ${
+                  strategy === option.value
+                    ? "border-red-300 bg-red-50"
+                    : "border-neutral-200 bg-white"
+                }`}
+              >
+                <div className="font-medium text-neutral-800">{option.label}</div>
+                <div className="text-xs text-neutral-500">{option.description}</div>
+              </button>
+            ))}
+          </div>
+
+          {/* Changes */}
+          <div>
+            <div className="text-sm font-medium text-neutral-700 mb-2">Changes</div>
+            {!summary ? (
+              <div className="text-sm text-neutral-500">Comparing with this device...</div>
+            ) : rows.length === 0 ? (
+              <div className="text-sm text-neutral-500">Nothing to change - this device is up to date.</div>
+            ) : (
+              <div className="divide-y divide-neutral-100 border border-neutral-100 rounded-lg">
+                {rows.map(([label, count]) => (
+                  <div key={label} className="flex justify-between px-3 py-2 text-sm">
+                    <span className="text-neutral-600">{label}</span>
+                    <span className="font-medium text-neutral-800">{count}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {summary?.progress.unmatched.length > 0 && (
+            <div className="text-xs text-neutral-500 bg-neutral-50 p-2 rounded border border-neutral-100">
+              <AlertCircle size={14} className="inline-block mr-1 text-amber-500" />
+              {summary.progress.unmatched.length} words in the backup are not in your vocabulary
+              and will be skipped: {summary.progress.unmatched.slice(0, 10).join(", ")}
+              {summary.progress.unmatched.length > 10 && ", ..."}
+            </div>
+          )}
+
+          {overwrite && (
+            <div className="text-xs text-neutral-500 bg-neutral-50 p-2 rounded border border-neutral-100">
+              <AlertCircle size={14} className="inline-block mr-1 text-red-500" />
+              Progress, decks and review history not in the backup will be removed
+            </div>
+          )}
+        </div>
+
+        <div className="sticky bottom-0 bg-white p-4 border-t border-neutral-100 flex space-x-2">
+          <button
+            onClick={onClose}
+            disabled={restoring}
+            className="flex-1 py-2 bg-neutral-100 text-neutral-700 rounded-lg font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleRestore}
+            disabled={!plan || restoring}
+            className={`flex-1 py-2 rounded-lg font-medium ${
+              !plan || restoring ? "bg-neutral-200 text-neutral-500" : "bg-red-500 text-white"
+            }`}
+          >
+            {restoring ? "Restoring..." : "Restore"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
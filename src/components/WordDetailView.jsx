@@ -1,8 +1,11 @@
-import React, { useState, useEffect } from "react";
-import { ChevronLeft, Heart, Volume2, ExternalLink, X } from "lucide-react";
-import { v4 as uuidv4 } from 'uuid';
-import { vocabularyDB } from "../services/db";
+import React, { useState, useEffect, useRef } from "react";
+import { ChevronLeft, Heart, Volume2, ExternalLink, X, PauseCircle, Moon, Pencil, Trash2 } from "lucide-react";
+import { vocabularyDB, isWordAvailable, isCustomWord, hasLocalEdits } from "../services/db";
 import { useApp } from "../context/AppContext";
+import { DeckPicker } from "./ui/DeckPicker";
+import { SegmentedSentence } from "./ui/SegmentedSentence";
+import WordEditor from "./WordEditor";
+import { SKILLS, SKILL_LABELS, getTrack } from "../services/srs";
 
 /**
  * WordDetailView - A reusable component to display detailed information about a word
@@ -24,9 +27,13 @@ export default function WordDetailView({
   const { 
     detailViewWord: contextWord,
     closeWordDetail,
-    updateWord
+    updateWord,
+    deleteWord
   } = useApp();
   
+  const [showEditor, setShowEditor] = useState(false);
+  const scrollRef = useRef(null);
+  
   // Use provided word or word from context
   const word = propWord || contextWord;
   
@@ -42,6 +49,11 @@ export default function WordDetailView({
     console.log(word)
   }, []);
   
+  // Start at the top when going on to another word's entry (e.g. from an example)
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+  }, [word?.id]);
+  
   // Handle closing the detail view
   const handleClose = () => {
     if (onClose) {
@@ -78,11 +90,51 @@ export default function WordDetailView({
     }
   };
 
+  // Suspend the word or lift its suspension
+  const toggleSuspended = async () => {
+    if (!word) return;
+    
+    try {
+      const updatedWord = await vocabularyDB.setSuspended(word.id, !word.suspended);
+      updateWord(word.id, updatedWord);
+    } catch (error) {
+      console.error("Error changing suspension:", error);
+    }
+  };
+  
+  // Bury the word until tomorrow, or make it available again
+  const toggleBuried = async () => {
+    if (!word) return;
+    
+    try {
+      const updatedWord = word.buriedUntil && !isWordAvailable(word)
+        ? await vocabularyDB.unburyWord(word.id)
+        : await vocabularyDB.buryWord(word.id);
+      updateWord(word.id, updatedWord);
+    } catch (error) {
+      console.error("Error burying word:", error);
+    }
+  };
+
+  // Delete a word the user created
+  const handleDelete = async () => {
+    if (!word || !window.confirm(`Delete "${word.simplified}" and its learning history?`)) return;
+    
+    try {
+      await deleteWord(word.id);
+      handleClose();
+    } catch (error) {
+      console.error("Error deleting word:", error);
+      alert(`Failed to delete word: ${error.message}`);
+    }
+  };
+
   // If no word is available, return null
   if (!word) return null;
   
   // Check if this is a chengyu
   const isChengyu = word.level === -1;
+  const isBuried = !word.suspended && !isWordAvailable(word);
   
   // Render appropriate layout based on mode
   const renderContent = () => (
@@ -117,6 +169,24 @@ export default function WordDetailView({
             </span>
           )}
           
+          {word.isLeech && (
+            <span className="px-2 py-1 bg-purple-50 text-purple-700 rounded-full text-xs font-medium">
+              Leech
+            </span>
+          )}
+          
+          {isCustomWord(word) && (
+            <span className="px-2 py-1 bg-teal-50 text-teal-700 rounded-full text-xs font-medium">
+              My word
+            </span>
+          )}
+          
+          {hasLocalEdits(word) && (
+            <span className="px-2 py-1 bg-teal-50 text-teal-700 rounded-full text-xs font-medium">
+              Edited
+            </span>
+          )}
+          
           {/* Only show mastery badges for regular words, not chengyu */}
           {!isChengyu && (
             word.correctCount > 0 ? (
@@ -144,8 +214,72 @@ export default function WordDetailView({
         >
           <Heart size={20} fill={word.isFavorite ? "currentColor" : "none"} />
         </button>
+        
+        <button 
+          onClick={toggleSuspended}
+          title={word.suspended ? "Unsuspend" : "Suspend"}
+          className={`p-3 rounded-full ${
+            word.suspended
+              ? "bg-neutral-300 text-neutral-800 hover:bg-neutral-400"
+              : "bg-neutral-100 text-neutral-800 hover:bg-neutral-200"
+          }`}
+        >
+          <PauseCircle size={20} />
+        </button>
+        
+        <button 
+          onClick={toggleBuried}
+          disabled={word.suspended}
+          title={isBuried ? "Unbury" : "Bury until tomorrow"}
+          className={`p-3 rounded-full ${
+            isBuried
+              ? "bg-neutral-300 text-neutral-800 hover:bg-neutral-400"
+              : "bg-neutral-100 text-neutral-800 hover:bg-neutral-200"
+          }`}
+        >
+          <Moon size={20} />
+        </button>
+        
+        <button 
+          onClick={() => setShowEditor(true)}
+          title="Edit"
+          className="p-3 rounded-full bg-neutral-100 text-neutral-800 hover:bg-neutral-200"
+        >
+          <Pencil size={20} />
+        </button>
+        
+        {isCustomWord(word) && (
+          <button 
+            onClick={handleDelete}
+            title="Delete"
+            className="p-3 rounded-full bg-neutral-100 text-red-600 hover:bg-red-100"
+          >
+            <Trash2 size={20} />
+          </button>
+        )}
       </div>
       
+      {showEditor && (
+        <WordEditor word={word} onClose={() => setShowEditor(false)} />
+      )}
+      
+      {/* Suspension / leech notice */}
+      {(word.isLeech || !isWordAvailable(word)) && (
+        <div className="text-center text-sm mb-6 space-y-1">
+          {word.isLeech && (
+            <div className="text-purple-700">
+              Leech: forgotten {word.lapses} times. Consider suspending it or adding a mnemonic.
+            </div>
+          )}
+          {word.suspended && (
+            <div className="text-neutral-600">Suspended: skipped in practice until you unsuspend it.</div>
+          )}
+          {isBuried && (
+            <div className="text-neutral-600">Buried until {formatDate(word.buriedUntil)}.</div>
+          )}
+        </div>
+      )}
+      
       {/* SRS & Statistics - Only for regular words, not chengyu */}
       {!isChengyu && (
         <div className="bg-neutral-50 rounded-xl p-4 mb-6">
@@ -168,11 +302,31 @@ export default function WordDetailView({
             </div>
           </div>
           
-          {word.nextReview && (
-            <div className="text-center text-sm text-neutral-600">
-              Next review: <span className="font-medium">{formatDate(word.nextReview)}</span>
-            </div>
-          )}
+          {/* Each skill is scheduled on its own */}
+          <div className="space-y-2">
+            {Object.values(SKILLS).map(skill => {
+              const track = getTrack(word, skill);
+              return (
+                <div key={skill} className="flex justify-between items-center text-sm">
+                  <span className="text-neutral-600">{SKILL_LABELS[skill]}</span>
+                  <span className="text-neutral-800">
+                    Level <span className="font-medium">{track.srsLevel || 0}</span>
+                    {track.nextReview && (
+                      <span className="text-neutral-500"> · next {formatDate(track.nextReview)}</span>
+                    )}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+      
+      {/* Decks */}
+      {!isChengyu && (
+        <div className="bg-white rounded-xl border border-neutral-100 p-4 mb-6">
+          <h3 className="text-lg font-medium text-neutral-800 mb-3">Decks</h3>
+          <DeckPicker wordId={word.id} />
         </div>
       )}
       
@@ -222,11 +376,21 @@ export default function WordDetailView({
           <div className="space-y-4">
             {word.examples.map((example, index) => (
               <div 
-                key={uuidv4()}
+                key={`${index}-${example.simplified}`}
                 className={`pb-4 ${index < word.examples.length - 1 ? `border-b ${isChengyu ? 'border-blue-100' : 'border-neutral-100'}` : ""}`}
               >
                 <div className="text-lg mb-2">
-                  {example.simplified}
+                  <SegmentedSentence
+                    text={example.simplified}
+                    pinyin={example.pinyin}
+                    highlightWord={word}
+                    sourceScreen={sourceScreen}
+                  />
+                  {example.isCustom && !isCustomWord(word) && (
+                    <span className="ml-2 px-2 py-0.5 bg-teal-50 text-teal-700 rounded-full text-xs font-medium align-middle">
+                      Mine
+                    </span>
+                  )}
                 </div>
                 <div className="text-sm text-red-500 mb-1">{example.pinyin}</div>
                 <div className="text-sm text-neutral-700">{example.english}</div>
@@ -246,7 +410,7 @@ export default function WordDetailView({
   if (mode === 'modal') {
     return (
       <div className="fixed inset-0 bg-black bg-opacity-30 z-50 flex items-center justify-center p-4">
-        <div className="bg-white rounded-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div ref={scrollRef} className="bg-white rounded-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
           <div className="sticky top-0 bg-white p-4 border-b border-neutral-100 flex justify-between items-center">
             {showBackButton ? (
               <button onClick={handleClose} className="p-1 text-neutral-500">
@@ -300,7 +464,7 @@ export default function WordDetailView({
         <div className="w-8"></div> {/* Spacer for centering title */}
       </div>
       
-      <div className={`flex-1 overflow-y-auto p-4 pb-16 safe-left safe-right ${isChengyu ? 'bg-blue-50/50' : ''}`}>
+      <div ref={scrollRef} className={`flex-1 overflow-y-auto p-4 pb-16 safe-left safe-right ${isChengyu ? 'bg-blue-50/50' : ''}`}>
         {renderContent()}
       </div>
     </div>
@@ -0,0 +1,283 @@
+import React, { useState } from "react";
+import { X, Plus, Trash2, RotateCcw } from "lucide-react";
+import { isCustomWord, EDITABLE_FIELDS, parseExamples } from "../services/db";
+import { useApp } from "../context/AppContext";
+import { LevelSelect } from "./ui/LevelSelect";
+
+const FIELD_LABELS = {
+  simplified: "Simplified",
+  traditional: "Traditional",
+  pinyin: "Pinyin",
+  meanings: "Meanings",
+  english: "English"
+};
+
+const emptyExample = () => ({ simplified: "", pinyin: "", english: "" });
+
+/**
+ * WordEditor - Form for adding a word or editing an existing one
+ *
+ * Words the user created can be edited freely. On server words only the
+ * meaning-related fields can be overridden, and examples can be added
+ * next to the server's examples.
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.word The word to edit, or null to add a new word
+ * @param {function} props.onClose Called when the editor is closed
+ * @param {function} props.onSaved Optional callback with the saved word
+ */
+export default function WordEditor({ word = null, onClose, onSaved = null }) {
+  const { addWord, editWord, revertWordEdit, findWordById } = useApp();
+
+  const isNew = !word;
+  const custom = isNew || isCustomWord(word);
+  const editableFields = custom ? ["simplified", ...EDITABLE_FIELDS] : EDITABLE_FIELDS;
+
+  const [fields, setFields] = useState(() => {
+    const initial = {};
+    ["simplified", ...EDITABLE_FIELDS].forEach(field => {
+      initial[field] = word?.[field] || "";
+    });
+    initial.level = word?.level ?? 1;
+    return initial;
+  });
+  const [examples, setExamples] = useState(() => {
+    return parseExamples(word?.examples).filter(example => custom || example.isCustom);
+  });
+  const [saving, setSaving] = useState(false);
+
+  const serverExamples = custom ? [] : parseExamples(word.examples).filter(example => !example.isCustom);
+
+  const updateField = (field, value) => {
+    setFields(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateExample = (index, field, value) => {
+    setExamples(prev => prev.map((example, i) => i === index ? { ...example, [field]: value } : example));
+  };
+
+  const removeExample = (index) => {
+    setExamples(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Restore the server's value of an overridden field
+  const revertField = async (field) => {
+    try {
+      const updated = await revertWordEdit(word.id, field);
+      updateField(field, updated[field] || "");
+    } catch (error) {
+      console.error("Error reverting field:", error);
+      alert(`Failed to revert: ${error.message}`);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!fields.simplified.trim()) {
+      alert("Please enter the word in simplified characters.");
+      return;
+    }
+
+    // Leave out example rows that were added but never filled in
+    const filledExamples = examples
+      .filter(example => (example.simplified || "").trim())
+      .map(example => ({
+        simplified: example.simplified.trim(),
+        pinyin: (example.pinyin || "").trim(),
+        english: (example.english || "").trim()
+      }));
+
+    try {
+      setSaving(true);
+      let saved;
+
+      if (isNew) {
+        saved = await addWord({
+          simplified: fields.simplified.trim(),
+          traditional: fields.traditional.trim(),
+          pinyin: fields.pinyin.trim(),
+          meanings: fields.meanings.trim(),
+          english: fields.english.trim(),
+          level: Number(fields.level),
+          examples: filledExamples
+        });
+      } else {
+        const changes = {};
+        editableFields.forEach(field => {
+          const value = fields[field].trim();
+          if (value !== (word[field] || "")) {
+            changes[field] = value;
+          }
+        });
+        if (custom && Number(fields.level) !== word.level) {
+          changes.level = Number(fields.level);
+        }
+
+        saved = await editWord(word.id, { fields: changes, customExamples: filledExamples });
+      }
+
+      if (onSaved) onSaved(saved);
+      onClose();
+    } catch (error) {
+      console.error("Error saving word:", error);
+      alert(`Failed to save word: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Read the latest local edits (they change when a field is reverted)
+  const localEdits = (word && findWordById(word.id)?.localEdits) || word?.localEdits || {};
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 z-50 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+      >
+        <div className="sticky top-0 bg-white p-4 border-b border-neutral-100 flex justify-between items-center">
+          <div className="w-8"></div>
+          <h2 className="text-lg font-bold text-neutral-900">
+            {isNew ? "Add Word" : "Edit Word"}
+          </h2>
+          <button type="button" onClick={onClose} className="p-1 text-neutral-500">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          {!custom && (
+            <div className="text-xs text-neutral-500 bg-neutral-50 p-2 rounded border border-neutral-100">
+              This word comes from the server. Your changes are kept when the vocabulary is updated.
+            </div>
+          )}
+
+          {/* Word fields */}
+          {["simplified", ...EDITABLE_FIELDS].map(field => {
+            const editable = editableFields.includes(field);
+            return (
+              <div key={field}>
+                <div className="flex justify-between items-center mb-1">
+                  <label className="text-sm font-medium text-neutral-700">{FIELD_LABELS[field]}</label>
+                  {field in localEdits && (
+                    <button
+                      type="button"
+                      onClick={() => revertField(field)}
+                      className="text-xs text-neutral-500 flex items-center"
+                    >
+                      <RotateCcw size={12} className="mr-1" />
+                      Use server version
+                    </button>
+                  )}
+                </div>
+                {field === "meanings" ? (
+                  <textarea
+                    value={fields[field]}
+                    onChange={(e) => updateField(field, e.target.value)}
+                    rows={3}
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg"
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    value={fields[field]}
+                    onChange={(e) => updateField(field, e.target.value)}
+                    disabled={!editable}
+                    className={`w-full px-3 py-2 border border-neutral-300 rounded-lg ${
+                      field === "simplified" ? "text-lg" : ""
+                    } ${!editable ? "bg-neutral-100 text-neutral-500" : ""}`}
+                  />
+                )}
+              </div>
+            );
+          })}
+
+          {custom && (
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-1">Level</label>
+              <LevelSelect value={fields.level} onChange={(level) => updateField("level", level)} />
+            </div>
+          )}
+
+          {/* Examples */}
+          <div>
+            <div className="text-sm font-medium text-neutral-700 mb-2">Example Sentences</div>
+
+            {serverExamples.length > 0 && (
+              <div className="text-xs text-neutral-500 mb-2">
+                {serverExamples.length} {serverExamples.length === 1 ? "example" : "examples"} from the server
+              </div>
+            )}
+
+            <div className="space-y-3">
+              {examples.map((example, index) => (
+                <div key={index} className="p-3 bg-neutral-50 rounded-lg border border-neutral-100 space-y-2">
+                  <div className="flex space-x-2">
+                    <input
+                      type="text"
+                      value={example.simplified || ""}
+                      onChange={(e) => updateExample(index, "simplified", e.target.value)}
+                      placeholder="Sentence"
+                      className="flex-1 px-3 py-1.5 border border-neutral-300 rounded-lg"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeExample(index)}
+                      className="p-2 text-neutral-500"
+                      title="Remove example"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                  <input
+                    type="text"
+                    value={example.pinyin || ""}
+                    onChange={(e) => updateExample(index, "pinyin", e.target.value)}
+                    placeholder="Pinyin"
+                    className="w-full px-3 py-1.5 border border-neutral-300 rounded-lg text-sm"
+                  />
+                  <input
+                    type="text"
+                    value={example.english || ""}
+                    onChange={(e) => updateExample(index, "english", e.target.value)}
+                    placeholder="Translation"
+                    className="w-full px-3 py-1.5 border border-neutral-300 rounded-lg text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => setExamples(prev => [...prev, emptyExample()])}
+              className="mt-2 px-3 py-1.5 text-sm rounded-lg border border-dashed border-neutral-300 text-neutral-600 flex items-center"
+            >
+              <Plus size={14} className="mr-1" />
+              Add example
+            </button>
+          </div>
+        </div>
+
+        <div className="sticky bottom-0 bg-white p-4 border-t border-neutral-100 flex space-x-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 py-2 bg-neutral-100 text-neutral-700 rounded-lg font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className={`flex-1 py-2 rounded-lg font-medium ${
+              saving ? "bg-neutral-200 text-neutral-500" : "bg-red-500 text-white"
+            }`}
+          >
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { Plus, Check } from "lucide-react";
+import { useApp } from "../../context/AppContext";
+
+/**
+ * DeckPicker - Toggle a word's membership in the user's decks
+ *
+ * @param {Object} props Component props
+ * @param {string|number} props.wordId The word to add to / remove from decks
+ * @param {boolean} props.compact Smaller layout for the vocabulary list
+ */
+export function DeckPicker({ wordId, compact = false }) {
+  const { decks, createDeck, toggleWordInDeck } = useApp();
+  const [newDeckName, setNewDeckName] = useState("");
+  const [showNewDeck, setShowNewDeck] = useState(false);
+
+  const handleToggle = async (e, deckId) => {
+    e.stopPropagation();
+    try {
+      await toggleWordInDeck(deckId, wordId);
+    } catch (error) {
+      console.error("Error updating deck:", error);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!newDeckName.trim()) return;
+
+    try {
+      await createDeck(newDeckName, [wordId]);
+      setNewDeckName("");
+      setShowNewDeck(false);
+    } catch (error) {
+      console.error("Error creating deck:", error);
+      alert(`Error creating deck: ${error.message}`);
+    }
+  };
+
+  const chipSize = compact ? "px-2 py-0.5 text-xs" : "px-3 py-1 text-sm";
+
+  return (
+    <div onClick={(e) => e.stopPropagation()}>
+      <div className="flex flex-wrap gap-2">
+        {decks.map(deck => {
+          const inDeck = deck.wordIds.includes(wordId);
+          return (
+            <button
+              key={deck.id}
+              onClick={(e) => handleToggle(e, deck.id)}
+              className={`${chipSize} rounded-full flex items-center ${
+                inDeck
+                  ? "bg-indigo-100 text-indigo-700"
+                  : "bg-neutral-100 text-neutral-600"
+              }`}
+            >
+              {inDeck && <Check size={12} className="mr-1" />}
+              {deck.name}
+            </button>
+          );
+        })}
+
+        {!showNewDeck && (
+          <button
+            onClick={(e) => { e.stopPropagation(); setShowNewDeck(true); }}
+            className={`${chipSize} rounded-full flex items-center border border-dashed border-neutral-300 text-neutral-500`}
+          >
+            <Plus size={12} className="mr-1" />
+            New deck
+          </button>
+        )}
+      </div>
+
+      {showNewDeck && (
+        <form onSubmit={handleCreate} className="flex mt-2 space-x-2">
+          <input
+            type="text"
+            value={newDeckName}
+            onChange={(e) => setNewDeckName(e.target.value)}
+            placeholder="Deck name"
+            autoFocus
+            className="flex-1 px-3 py-1 text-sm border border-neutral-300 rounded-lg"
+          />
+          <button
+            type="submit"
+            className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg"
+          >
+            Add
+          </button>
+          <button
+            type="button"
+            onClick={() => { setShowNewDeck(false); setNewDeckName(""); }}
+            className="px-3 py-1 text-sm bg-neutral-100 text-neutral-600 rounded-lg"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
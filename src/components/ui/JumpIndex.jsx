@@ -0,0 +1,39 @@
+import React from "react";
+
+/**
+ * JumpIndex - Column of section labels on the side of a long list. Tap a label,
+ * or slide a finger along the column, to jump to that section.
+ *
+ * @param {Object} props Component props
+ * @param {Array} props.targets Sections as {label, index} (index of the section's first row)
+ * @param {function} props.onJump Called with the row index to jump to
+ */
+export function JumpIndex({ targets, onJump }) {
+  if (targets.length < 2) return null;
+
+  // Follow the finger: jump to whichever label is under it
+  const handleTouchMove = (e) => {
+    const touch = e.touches[0];
+    const element = document.elementFromPoint(touch.clientX, touch.clientY);
+    const index = element?.dataset?.jumpIndex;
+    if (index !== undefined) onJump(Number(index));
+  };
+
+  return (
+    <div
+      className="fixed right-0 top-1/2 -translate-y-1/2 z-30 flex flex-col items-center py-2 px-1 touch-none select-none"
+      onTouchMove={handleTouchMove}
+    >
+      {targets.map(target => (
+        <button
+          key={target.label}
+          data-jump-index={target.index}
+          onClick={() => onJump(target.index)}
+          className="text-[11px] leading-4 font-medium text-red-600 w-5"
+        >
+          {target.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from "react";
+
+const LEVEL_OPTIONS = [
+  { value: 1, label: "HSK 1" },
+  { value: 2, label: "HSK 2" },
+  { value: 3, label: "HSK 3" },
+  { value: 4, label: "HSK 4" },
+  { value: 5, label: "HSK 5" },
+  { value: 6, label: "HSK 6" },
+  { value: 7, label: "HSK 7-9" },
+  { value: -1, label: "Chengyu" }
+];
+
+/**
+ * LevelSelect - Choose the HSK level of a word
+ *
+ * @param {Object} props Component props
+ * @param {number|string} props.value The selected level
+ * @param {function} props.onChange Called with the selected level as a number
+ */
+export function LevelSelect({ value, onChange }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="w-full px-3 py-2 border border-neutral-300 rounded-lg"
+    >
+      {LEVEL_OPTIONS.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  );
+}
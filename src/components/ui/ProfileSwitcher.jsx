@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from "react";
+import { User } from "lucide-react";
+import { profileService, PROFILES_CHANGED_EVENT } from "../../services/profile-service";
+
+/**
+ * ProfileSwitcher - Header bar for changing the active learner profile.
+ * Only shown once the device has more than one profile.
+ */
+export function ProfileSwitcher() {
+  const [profiles, setProfiles] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [switching, setSwitching] = useState(false);
+
+  // Load the profiles, again whenever they're changed in Settings
+  useEffect(() => {
+    const loadProfiles = () => {
+      profileService.getProfiles()
+        .then(all => {
+          setProfiles(all);
+          setActiveId(profileService.getActiveProfileId());
+        })
+        .catch(error => {
+          console.error("Error loading profiles:", error);
+        });
+    };
+    
+    loadProfiles();
+    window.addEventListener(PROFILES_CHANGED_EVENT, loadProfiles);
+    return () => window.removeEventListener(PROFILES_CHANGED_EVENT, loadProfiles);
+  }, []);
+
+  const handleSwitch = async (id) => {
+    try {
+      setSwitching(true);
+      await profileService.switchProfile(id);
+      // Start fresh so nothing of the previous profile stays in memory
+      window.location.reload();
+    } catch (error) {
+      console.error("Error switching profile:", error);
+      alert(`Failed to switch profile: ${error.message}`);
+      setSwitching(false);
+    }
+  };
+
+  if (profiles.length < 2) return null;
+
+  return (
+    <div className="bg-white border-b border-neutral-100 px-4 py-1.5 flex items-center justify-end safe-left safe-right">
+      <User size={14} className="text-neutral-400 mr-1.5" />
+      <select
+        value={activeId || ""}
+        onChange={(e) => handleSwitch(e.target.value)}
+        disabled={switching}
+        className="text-sm text-neutral-700 bg-transparent focus:outline-none"
+      >
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>{profile.name}</option>
+        ))}
+      </select>
+      {switching && <span className="text-xs text-neutral-500 ml-2">Switching...</span>}
+    </div>
+  );
+}
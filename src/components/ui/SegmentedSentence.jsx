@@ -0,0 +1,70 @@
+import React from "react";
+import { useApp } from "../../context/AppContext";
+import { useSettings } from "../../hooks/useSettings";
+import { readTokens, showsRuby } from "../../services/ruby";
+
+/**
+ * SegmentedSentence - A Chinese sentence split into vocabulary words. Tapping
+ * a word opens its entry; the practiced word is highlighted as a whole. Words
+ * get pinyin above them as set in the ruby mode setting.
+ *
+ * @param {Object} props Component props
+ * @param {string} props.text The sentence
+ * @param {string} props.pinyin The sentence's own pinyin, if it has any
+ * @param {Object} props.highlightWord Word to highlight wherever it appears
+ * @param {boolean} props.revealHighlighted Whether the highlighted word gets pinyin
+ *   too (not while it's being asked)
+ * @param {string} props.sourceScreen The screen to return to from the word's entry
+ */
+export function SegmentedSentence({ text, pinyin = null, highlightWord = null, revealHighlighted = true, sourceScreen }) {
+  const { openWordDetail, segmenter } = useApp();
+  const { settings } = useSettings();
+
+  const tokens = segmenter.segment(text, { keepWord: highlightWord });
+  const readings = readTokens(tokens, pinyin);
+
+  // The token's text, with pinyin above each character where it should have it
+  const renderText = (token, index, highlighted) => {
+    const hasReadings = readings[index].some(Boolean);
+    if (!hasReadings || !showsRuby(settings.rubyMode, token.word) || (highlighted && !revealHighlighted)) {
+      return token.text;
+    }
+
+    return (
+      <ruby>
+        {[...token.text].map((char, charIndex) => (
+          <React.Fragment key={charIndex}>
+            {char}
+            <rt className="text-[0.6em] font-normal text-neutral-500">{readings[index][charIndex] || ""}</rt>
+          </React.Fragment>
+        ))}
+      </ruby>
+    );
+  };
+
+  return (
+    <>
+      {tokens.map((token, index) => {
+        if (!token.word) {
+          return <span key={index}>{renderText(token, index, false)}</span>;
+        }
+
+        const highlighted = highlightWord && token.word.id === highlightWord.id;
+        return (
+          <span
+            key={index}
+            onClick={(e) => {
+              e.stopPropagation();
+              openWordDetail(token.word, sourceScreen);
+            }}
+            className={`cursor-pointer rounded hover:bg-red-50 ${
+              highlighted ? "text-red-600 font-bold" : "border-b border-dotted border-neutral-300"
+            }`}
+          >
+            {renderText(token, index, highlighted)}
+          </span>
+        );
+      })}
+    </>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { CHARACTER_STATUS } from "../../services/sentence-reading";
+
+const CHARACTER_STYLES = {
+  [CHARACTER_STATUS.CORRECT]: "text-green-700",
+  [CHARACTER_STATUS.SUBSTITUTED]: "text-red-600 bg-red-50 rounded",
+  [CHARACTER_STATUS.MISSING]: "text-neutral-400 line-through",
+  [CHARACTER_STATUS.INSERTED]: "text-amber-600 bg-amber-50 rounded text-sm",
+  [CHARACTER_STATUS.PUNCTUATION]: "text-neutral-500"
+};
+
+/**
+ * SentenceDiff - An example sentence as it was read: every character marked
+ * correct, substituted (with what was heard above it), missing or inserted,
+ * followed by the score and the words read right and wrong
+ */
+export function SentenceDiff({ sentence, words }) {
+  if (!sentence) return null;
+
+  const scoreColor = sentence.score >= 90 ? "text-green-600"
+    : sentence.score >= 60 ? "text-amber-600"
+    : "text-red-500";
+
+  return (
+    <div className="mt-2">
+      <div className="text-xl leading-loose">
+        {sentence.characters.map((character, index) => (
+          <span key={index} className="inline-flex flex-col items-center align-bottom">
+            <span className="text-[10px] leading-none h-3 text-red-500">
+              {character.status === CHARACTER_STATUS.SUBSTITUTED ? character.heard : ""}
+            </span>
+            <span className={`px-px ${CHARACTER_STYLES[character.status]}`}>
+              {character.status === CHARACTER_STATUS.INSERTED ? `+${character.heard}` : character.char}
+            </span>
+          </span>
+        ))}
+      </div>
+
+      <div className={`text-sm font-medium mt-1 ${scoreColor}`}>
+        {sentence.score}% read correctly
+      </div>
+
+      {words && words.length > 0 && (
+        <div className="flex flex-wrap justify-center gap-1.5 mt-2">
+          {words.map(({ word, correct }) => (
+            <span
+              key={word.id}
+              className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                correct ? "bg-green-50 text-green-700" : "bg-red-50 text-red-600"
+              }`}
+            >
+              {word.simplified}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,11 @@
+export function SessionStats({ stats }) {
+    if (!stats) return null;
+    
+    return (
+      <div className="flex justify-center space-x-3 text-xs font-medium">
+        <span className="text-blue-600">{stats.newCount} new</span>
+        <span className="text-red-600">{stats.relearnCount} again</span>
+        <span className="text-green-700">{stats.reviewCount} reviews</span>
+      </div>
+    );
+}
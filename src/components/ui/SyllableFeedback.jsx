@@ -0,0 +1,43 @@
+import React from "react";
+import { numberedToMarked } from "../../services/pinyin-utils";
+import { SYLLABLE_STATUS } from "../../services/pronunciation";
+
+const STATUS_STYLES = {
+  [SYLLABLE_STATUS.CORRECT]: { label: "Correct", className: "bg-green-50 border-green-200 text-green-700" },
+  [SYLLABLE_STATUS.TONE]: { label: "Wrong tone", className: "bg-amber-50 border-amber-200 text-amber-700" },
+  [SYLLABLE_STATUS.INITIAL]: { label: "Wrong initial", className: "bg-orange-50 border-orange-200 text-orange-700" },
+  [SYLLABLE_STATUS.FINAL]: { label: "Wrong final", className: "bg-orange-50 border-orange-200 text-orange-700" },
+  [SYLLABLE_STATUS.MISSING]: { label: "Missing", className: "bg-red-50 border-red-200 text-red-600" }
+};
+
+/**
+ * SyllableFeedback - How each syllable of the practiced word came out:
+ * the expected pinyin, what was heard instead and what was wrong with it
+ */
+export function SyllableFeedback({ syllables }) {
+  if (!syllables || syllables.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap justify-center gap-2 mt-2">
+      {syllables.map((syllable, index) => {
+        const style = STATUS_STYLES[syllable.status];
+        const showHeard = syllable.heard && syllable.status !== SYLLABLE_STATUS.CORRECT;
+
+        return (
+          <div
+            key={index}
+            className={`min-w-[4.5rem] px-2 py-1.5 rounded-lg border text-center ${style.className}`}
+          >
+            <div className="text-lg font-medium">{numberedToMarked(syllable.expected)}</div>
+            {showHeard && (
+              <div className="text-xs">
+                heard {numberedToMarked(syllable.heard)}{syllable.character ? ` (${syllable.character})` : ""}
+              </div>
+            )}
+            <div className="text-xs font-medium mt-0.5">{style.label}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,15 @@
+import { Undo2 } from "lucide-react";
+
+export function UndoButton({ onClick, disabled = false }) {
+    return (
+      <button
+        onClick={onClick}
+        disabled={disabled}
+        title="Undo last answer"
+        className="px-3 py-1 rounded-lg text-xs font-medium flex items-center bg-neutral-100 text-neutral-700 hover:bg-neutral-200"
+      >
+        <Undo2 size={14} className="mr-1" />
+        Undo
+      </button>
+    );
+}
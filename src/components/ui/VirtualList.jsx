@@ -0,0 +1,210 @@
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState } from "react";
+
+// Closest ancestor that scrolls vertically (the page's <main>), or the document
+const findScrollParent = (element) => {
+  let node = element?.parentElement;
+  while (node) {
+    const { overflowY } = getComputedStyle(node);
+    if (overflowY === "auto" || overflowY === "scroll") {
+      return node;
+    }
+    node = node.parentElement;
+  }
+  return document.scrollingElement || document.documentElement;
+};
+
+// Index of the last row starting at or above a position
+const findRowAt = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= position) low = middle;
+    else high = middle - 1;
+  }
+  return Math.max(0, low);
+};
+
+/**
+ * VirtualList - Render only the rows of a long list that are on (or near) the screen.
+ * Rows can have any height and change height (e.g. when expanded); heights are
+ * measured as rows are rendered and estimated until then. While heights are
+ * corrected, the top visible row is kept in place.
+ *
+ * Ref methods: scrollToIndex(index) and getAnchor() ({key, offset} of the top visible row).
+ *
+ * @param {Object} props Component props
+ * @param {Array} props.items Rows to render
+ * @param {function} props.getKey Stable key of an item
+ * @param {function} props.renderItem Renders an item: (item, index) => element
+ * @param {number} props.estimatedHeight Height used for rows not measured yet
+ * @param {number} props.gap Space between rows in pixels
+ * @param {number} props.overscan Extra pixels rendered above and below the screen
+ * @param {Object} props.initialAnchor Row to scroll to on mount, from getAnchor()
+ * @param {function} props.onAnchorChange Called with the top visible row after scrolling
+ */
+export const VirtualList = forwardRef(function VirtualList({
+  items,
+  getKey,
+  renderItem,
+  estimatedHeight = 100,
+  gap = 0,
+  overscan = 600,
+  initialAnchor = null,
+  onAnchorChange
+}, ref) {
+  const listRef = useRef(null);
+  const scrollParentRef = useRef(null);
+  const anchorRef = useRef(initialAnchor);
+  const frameRef = useRef(null);
+
+  const [viewport, setViewport] = useState({ top: 0, height: 0 });
+  // Measured row heights by (string) key
+  const [heights, setHeights] = useState(() => new Map());
+
+  // Top of every row (plus the end of the list), from measured or estimated heights
+  const offsets = useMemo(() => {
+    const result = new Array(items.length + 1);
+    result[0] = 0;
+    items.forEach((item, index) => {
+      const height = heights.get(String(getKey(item))) ?? estimatedHeight;
+      result[index + 1] = result[index] + height + gap;
+    });
+    return result;
+  }, [items, getKey, estimatedHeight, gap, heights]);
+
+  const keyIndex = useMemo(() => {
+    return new Map(items.map((item, index) => [getKey(item), index]));
+  }, [items, getKey]);
+
+  // Distance from the top of the scroll area to the top of the list
+  const getListTop = useCallback(() => {
+    const scrollParent = scrollParentRef.current;
+    if (!listRef.current || !scrollParent) return 0;
+    const parentTop = scrollParent === document.scrollingElement ? 0 : scrollParent.getBoundingClientRect().top;
+    return listRef.current.getBoundingClientRect().top - parentTop + scrollParent.scrollTop;
+  }, []);
+
+  const readViewport = useCallback(() => {
+    const scrollParent = scrollParentRef.current;
+    if (!scrollParent) return;
+    const top = scrollParent.scrollTop - getListTop();
+    setViewport(prev => (
+      prev.top === top && prev.height === scrollParent.clientHeight
+        ? prev
+        : { top, height: scrollParent.clientHeight }
+    ));
+  }, [getListTop]);
+
+  // Remember the top visible row so it can be kept in place (and restored)
+  const updateAnchor = useCallback(() => {
+    const scrollParent = scrollParentRef.current;
+    if (!scrollParent || items.length === 0) return;
+    const position = Math.max(0, scrollParent.scrollTop - getListTop());
+    const index = findRowAt(offsets, position);
+    anchorRef.current = { key: getKey(items[index]), offset: position - offsets[index] };
+    onAnchorChange?.(anchorRef.current);
+  }, [items, offsets, getKey, getListTop, onAnchorChange]);
+
+  const scrollToIndex = useCallback((index) => {
+    const scrollParent = scrollParentRef.current;
+    if (!scrollParent || index < 0 || index >= items.length) return;
+    anchorRef.current = { key: getKey(items[index]), offset: 0 };
+    scrollParent.scrollTop = getListTop() + offsets[index];
+  }, [items, offsets, getKey, getListTop]);
+
+  useImperativeHandle(ref, () => ({
+    scrollToIndex,
+    getAnchor: () => anchorRef.current
+  }), [scrollToIndex]);
+
+  // Follow the scroll position and size of the scroll area (a layout effect, so the
+  // scroll area is known before the anchor is restored below)
+  useLayoutEffect(() => {
+    const scrollParent = findScrollParent(listRef.current);
+    scrollParentRef.current = scrollParent;
+    const target = scrollParent === document.scrollingElement ? window : scrollParent;
+
+    const handleScroll = () => {
+      if (frameRef.current) return;
+      frameRef.current = requestAnimationFrame(() => {
+        frameRef.current = null;
+        readViewport();
+      });
+    };
+
+    readViewport();
+    target.addEventListener("scroll", handleScroll, { passive: true });
+    window.addEventListener("resize", handleScroll);
+    return () => {
+      target.removeEventListener("scroll", handleScroll);
+      window.removeEventListener("resize", handleScroll);
+      if (frameRef.current) cancelAnimationFrame(frameRef.current);
+      frameRef.current = null;
+    };
+  }, [readViewport]);
+
+  useEffect(() => {
+    updateAnchor();
+  }, [viewport.top, updateAnchor]);
+
+  // Keep the anchor row where it was when heights above it change, and on mount
+  // scroll back to the initial anchor
+  useLayoutEffect(() => {
+    const scrollParent = scrollParentRef.current;
+    const anchor = anchorRef.current;
+    if (!scrollParent || !anchor) return;
+    const index = keyIndex.get(anchor.key);
+    if (index === undefined) return;
+
+    const wanted = getListTop() + offsets[index] + anchor.offset;
+    if (Math.abs(scrollParent.scrollTop - wanted) >= 1) {
+      scrollParent.scrollTop = wanted;
+    }
+  }, [offsets, keyIndex, getListTop]);
+
+  // Measure rendered rows whenever they change size
+  const resizeObserver = useMemo(() => {
+    if (typeof ResizeObserver === "undefined") return null;
+    return new ResizeObserver(entries => {
+      const measured = entries
+        .filter(entry => entry.target.isConnected)
+        .map(entry => [entry.target.dataset.virtualKey, entry.target.offsetHeight]);
+
+      setHeights(prev => {
+        if (measured.every(([key, height]) => prev.get(key) === height)) return prev;
+        const next = new Map(prev);
+        measured.forEach(([key, height]) => next.set(key, height));
+        return next;
+      });
+    });
+  }, []);
+
+  useEffect(() => () => resizeObserver?.disconnect(), [resizeObserver]);
+
+  const observeRow = useCallback((element) => {
+    if (!element || !resizeObserver) return;
+    resizeObserver.observe(element);
+    return () => resizeObserver.unobserve(element);
+  }, [resizeObserver]);
+
+  const totalHeight = offsets[items.length];
+  const first = items.length > 0 ? findRowAt(offsets, Math.max(0, viewport.top - overscan)) : 0;
+  const last = items.length > 0 ? findRowAt(offsets, viewport.top + viewport.height + overscan) : -1;
+  const rows = items.slice(first, last + 1);
+
+  return (
+    <div ref={listRef} style={{ position: "relative", height: totalHeight }}>
+      <div style={{ position: "absolute", top: offsets[first] || 0, left: 0, right: 0 }}>
+        {rows.map((item, i) => {
+          const key = getKey(item);
+          return (
+            <div key={key} ref={observeRow} data-virtual-key={key} style={{ marginBottom: gap }}>
+              {renderItem(item, first + i)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+});
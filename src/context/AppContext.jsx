@@ -1,19 +1,45 @@
-import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
-import { vocabularyDB } from '../services/db';
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef, useMemo } from 'react';
+import { vocabularyDB, deckDB, characterDB, parseExamples, isWordAvailable } from '../services/db';
 import { useWebSocket } from '../hooks/useWebSocket';
+import { useVocabularyFilter } from '../hooks/useVocabularyFilter';
+import { useSettings } from '../hooks/useSettings';
+import { createStudySession } from '../services/study-session';
+import { SKILLS } from '../services/srs';
+import { profileService } from '../services/profile-service';
+import { createSegmenter } from '../services/segmenter';
+import { createPinyinLexicon } from '../services/pronunciation';
 
 const AppContext = createContext();
 
-export function AppProvider({ children }) {
-  // Get settings from localStorage
-  const [preferOfflinePractice, setPreferOfflinePractice] = useState(() => {
-    try {
-      const settings = JSON.parse(localStorage.getItem('appSettings') || '{}');
-      return settings.preferOfflinePractice || false;
-    } catch (error) {
-      return false;
-    }
+// Whether two versions of the vocabulary segment and read text the same way:
+// the same words with the same text and pinyin, whatever their progress
+const sameWordText = (previous, words) => {
+  return previous.length === words.length && words.every((word, index) => {
+    const other = previous[index];
+    return word === other || (
+      word.id === other.id &&
+      word.simplified === other.simplified &&
+      word.traditional === other.traditional &&
+      word.pinyin === other.pinyin
+    );
   });
+};
+
+// Sort words by level and then by simplified character
+const compareWords = (a, b) => {
+  if (a.level !== b.level) {
+    return a.level - b.level;
+  }
+  return a.simplified.localeCompare(b.simplified, 'zh-CN');
+};
+
+export function AppProvider({ children }) {
+  // Offline practice mode is a setting; kept here too as the connection depends on it
+  const { settings, updateSetting } = useSettings();
+  const preferOfflinePractice = settings.preferOfflinePractice;
+  const setPreferOfflinePractice = useCallback((value) => {
+    return updateSetting('preferOfflinePractice', value);
+  }, [updateSetting]);
 
   // Use the WebSocket hook
   const { wsRef, status, connected: wsConnected, offlineMode, reconnect: reconnectWebSocket } = 
@@ -25,12 +51,14 @@ export function AppProvider({ children }) {
   const [currentExample, setCurrentExample] = useState(null);
   const [loading, setLoading] = useState(true);
   
-  // Filtered vocabulary state
-  const [filteredVocabulary, setFilteredVocabulary] = useState([]);
-  const [isFiltering, setIsFiltering] = useState(false);
+  // Filter state
   const [searchTerm, setSearchTerm] = useState("");
   const [selectedLevel, setSelectedLevel] = useState(null);
-  const [filterType, setFilterType] = useState("all"); // all, mastered, learning, favorite
+  const [filterType, setFilterType] = useState("all"); // all, mastered, learning, favorite, leech, suspended, custom
+  const [selectedDeckId, setSelectedDeckId] = useState(null);
+  
+  // User-defined decks
+  const [decks, setDecks] = useState([]);
   
   // Word detail view state
   const [detailViewActive, setDetailViewActive] = useState(false);
@@ -39,36 +67,32 @@ export function AppProvider({ children }) {
   const [selectedWordId, setSelectedWordId] = useState(null);
   
   // Load vocabulary from database
-  const loadVocabulary = useCallback(async () => {
+  const loadVocabulary = useCallback(async (force = false) => {
     try {
-      // Only load if not already loaded
-      if (vocabularyWords.length === 0) {
+      // Only load if not already loaded (or a reload was requested)
+      if (force || vocabularyWords.length === 0) {
         setLoading(true);
         
-        // Load from IndexedDB
-        let data = await vocabularyDB.getAll();
+        // A profile switch that was cut off has to finish before anything is read
+        await profileService.resumeSwitch();
+        
+        // Load from IndexedDB, leaving out words the server has removed
+        let data = (await vocabularyDB.getAll()).filter(word => !word.archived);
         
         if (data.length > 0) {
-          // Sort words by level and then by simplified character
-          data.sort((a, b) => {
-            if (a.level !== b.level) {
-              return a.level - b.level;
-            }
-            return a.simplified.localeCompare(b.simplified, 'zh-CN');
-          });
+          data.sort(compareWords);
   
-          // Pre-parse examples to avoid doing it repeatedly
+          // Normalize examples (older records store them as a JSON string)
           data.forEach(word => {
-            try {
-              word.examples = JSON.parse(word.examples || '[]');
-            } catch (e) {
-              word.examples = [];
-              console.error("Error parsing examples for word:", word.id);
-            }
+            word.examples = parseExamples(word.examples);
           });
           
           setVocabularyWords(data);
-          setFilteredVocabulary(data); // Initialize filtered results with all words
+          
+          // Derive the character records the first time (they're kept up to date after that)
+          characterDB.ensureBuilt(data).catch(error => {
+            console.error("Error building characters:", error);
+          });
         }
         
         setLoading(false);
@@ -79,62 +103,129 @@ export function AppProvider({ children }) {
     }
   }, [vocabularyWords.length]);
   
+  // Reload vocabulary after the local database changed (e.g. a server import)
+  const reloadVocabulary = useCallback(() => loadVocabulary(true), [loadVocabulary]);
+  
   // Add this effect to load vocabulary when app starts
   useEffect(() => {
     loadVocabulary();
   }, [loadVocabulary]);
-
-  // Filter vocabulary based on search and filters
+  
+  // Load decks from database
+  const reloadDecks = useCallback(async () => {
+    try {
+      await profileService.resumeSwitch();
+      const data = await deckDB.getAll();
+      setDecks(data);
+      return data;
+    } catch (error) {
+      console.error("Error loading decks:", error);
+      return [];
+    }
+  }, []);
+  
   useEffect(() => {
-    if (vocabularyWords.length === 0) return;
+    reloadDecks();
+  }, [reloadDecks]);
+  
+  // Create a deck, optionally starting with a word
+  const createDeck = useCallback(async (name, wordIds = []) => {
+    const deck = await deckDB.create(name, wordIds);
+    await reloadDecks();
+    return deck;
+  }, [reloadDecks]);
+  
+  // Add a word to a deck, or remove it if it's already there
+  const toggleWordInDeck = useCallback(async (deckId, wordId) => {
+    const deck = decks.find(d => d.id === deckId);
+    if (!deck) return null;
     
-    setIsFiltering(true);
+    const updated = deck.wordIds.includes(wordId)
+      ? await deckDB.removeWord(deckId, wordId)
+      : await deckDB.addWord(deckId, wordId);
     
-    const timeoutId = setTimeout(() => {
-      const results = vocabularyWords.filter(word => {
-        let matches = true;
-        
-        if (selectedLevel !== null) {
-          matches = matches && word.level === selectedLevel;
-        } else {
-            matches = matches && word.level !== -1;
-        }
-        
-        if (filterType === "mastered") {
-          matches = matches && (word.correctCount > 0);
-        } else if (filterType === "learning") {
-          matches = matches && (word.correctCount === 0);
-        } else if (filterType === "favorite") {
-          matches = matches && word.isFavorite;
-        }
-        
-        if (searchTerm) {
-          const searchLower = searchTerm.toLowerCase();
-          matches = matches && (
-            word.simplified.includes(searchTerm) ||
-            word.pinyin?.toLowerCase().includes(searchLower) ||
-            word.meanings?.toLowerCase().includes(searchLower) ||
-            word.english?.toLowerCase().includes(searchLower)
-          );
-        }
-        
-        return matches;
+    setDecks(prev => prev.map(d => d.id === deckId ? updated : d));
+    return updated;
+  }, [decks]);
+
+  // Filter vocabulary based on search and filters (in a worker)
+  const selectedDeckWordIds = selectedDeckId ? decks.find(deck => deck.id === selectedDeckId)?.wordIds || null : null;
+  const { filteredVocabulary, isFiltering } = useVocabularyFilter(vocabularyWords, {
+    searchTerm,
+    selectedLevel,
+    filterType,
+    deckWordIds: selectedDeckWordIds
+  });
+
+  // One segmenter for every sentence on screen. When only the words' progress
+  // changed (e.g. after an answer) the new versions are swapped into it instead
+  // of building it again.
+  const segmenterRef = useRef({ words: [], segmenter: createSegmenter([]) });
+  const segmenter = useMemo(() => {
+    const { words: previous, segmenter: current } = segmenterRef.current;
+    let next = current;
+    if (sameWordText(previous, vocabularyWords)) {
+      vocabularyWords.forEach((word, index) => {
+        if (word !== previous[index]) current.replaceWord(word);
       });
-      
-      setFilteredVocabulary(results);
-      setIsFiltering(false);
-    }, 10);
-    
-    return () => clearTimeout(timeoutId);
-  }, [vocabularyWords, searchTerm, selectedLevel, filterType]);
+    } else {
+      next = createSegmenter(vocabularyWords);
+    }
+    segmenterRef.current = { words: vocabularyWords, segmenter: next };
+    return next;
+  }, [vocabularyWords]);
+  
+  // Pinyin lexicon for grading speech, built the first time it's needed for each segmenter
+  const lexiconRef = useRef({ segmenter: null, lexicon: null });
+  const getPinyinLexicon = useCallback(() => {
+    if (lexiconRef.current.segmenter !== segmenter) {
+      lexiconRef.current = { segmenter, lexicon: createPinyinLexicon(vocabularyWords, segmenter) };
+    }
+    return lexiconRef.current.lexicon;
+  }, [segmenter, vocabularyWords]);
 
   const getExamplesFromWord = (word) => {
     if (!word || !word.examples) return [];
     return word.examples;
   };
   
-  // Function to select a new word for practice
-  const selectNewWord = useCallback(async (hskLevels, showOnlySrsLevel0 = false) => {
+  // Today's study session - rebuilt when the levels/deck, skill, mode or day change
+  const sessionRef = useRef(null);
+  const sessionSourceRef = useRef(null);
+  const [sessionStats, setSessionStats] = useState(null);
+  const [sessionComplete, setSessionComplete] = useState(false);
+  
+  // Words answered in this session with the example they were shown with, most recent last, for undo
+  const [answerHistory, setAnswerHistory] = useState([]);
+  // The same for extra practice, which the session doesn't know about
+  const [extraAnswerHistory, setExtraAnswerHistory] = useState([]);
+  
+  // Show a word and pick one of its examples
+  const showWord = useCallback((word) => {
+    setCurrentWord(word);
+    
+    // Get examples for this word
+    const examples = getExamplesFromWord(word);
+    
+    if (examples && examples.length > 0) {
+      // Select a random example
+      const randomIndex = Math.floor(Math.random() * examples.length);
+      setCurrentExample(examples[randomIndex]);
+    } else {
+      setCurrentExample(null);
+    }
+  }, []);
+  
+  // Function to select a new word for practice.
+  // Words come from the daily study session; `extraPractice` picks a random
+  // word from the selected levels once the session is finished.
+  // When `deckId` names an existing deck, its words are practiced instead of the levels.
+  // `skill` picks whose schedule decides which words are due.
+  const selectNewWord = useCallback(async (hskLevels, showOnlySrsLevel0 = false, {
+    extraPractice = false,
+    deckId = null,
+    skill = SKILLS.RECOGNITION
+  } = {}) => {
     try {
       let word = null;
       
@@ -143,85 +234,94 @@ export function AppProvider({ children }) {
         await loadVocabulary();
       }
       
-      if (showOnlySrsLevel0) {
-        // Get all words for the selected HSK levels with SRS level 0
-        const srsLevel0Words = vocabularyWords.filter(word => {
-          // Check HSK level and SRS level is 0
-          if (!hskLevels.includes(word.level) || word.srsLevel !== 0) return false;
-          // Check for examples
-          return Array.isArray(word.examples) && word.examples.length > 0;
+      // Decks may still be loading right after start-up
+      const deck = deckId ? (decks.find(d => d.id === deckId) || await deckDB.get(deckId)) : null;
+      const deckWordIds = deck ? new Set(deck.wordIds) : null;
+      const inSource = (w) => deckWordIds ? deckWordIds.has(w.id) : hskLevels.includes(w.level);
+      
+      if (extraPractice) {
+        const randomWords = vocabularyWords.filter(word => {
+          return inSource(word) && 
+                 isWordAvailable(word) &&
+                 Array.isArray(word.examples) && 
+                 word.examples.length > 0;
         });
         
-        if (srsLevel0Words.length > 0) {
-          // Choose a random word from the filtered list
-          const randomIndex = Math.floor(Math.random() * srsLevel0Words.length);
-          word = srsLevel0Words[randomIndex];
+        if (randomWords.length > 0) {
+          const randomIndex = Math.floor(Math.random() * randomWords.length);
+          word = randomWords[randomIndex];
         }
       } else {
-        // First check for words due for review
-        const dueWords = vocabularyWords.filter(word => {
-          // Check HSK level 
-          if (!hskLevels.includes(word.level)) return false;
-          
-          // Check if due for review
-          const today = new Date().toISOString().split('T')[0];
-          return word.nextReview <= today && 
-                 Array.isArray(word.examples) && 
-                 word.examples.length > 0;
-        });
+        let session = sessionRef.current;
+        const today = new Date().toISOString().split('T')[0];
+        
+        // Editing the practiced deck starts a fresh session
+        const source = deck ? `deck:${deck.id}:${deck.updatedAt}` : `levels:${hskLevels.join(',')}`;
         
-        if (dueWords.length > 0) {
-          // Pick a random due word
-          const randomIndex = Math.floor(Math.random() * dueWords.length);
-          word = dueWords[randomIndex];
-        } else {
-          // No due words, pick a random word from selected HSK levels
-          const randomWords = vocabularyWords.filter(word => {
-            return hskLevels.includes(word.level) && 
-                   Array.isArray(word.examples) && 
-                   word.examples.length > 0;
+        if (!session ||
+            session.date !== today ||
+            session.newOnly !== showOnlySrsLevel0 ||
+            session.skill !== skill ||
+            sessionSourceRef.current !== source) {
+          session = await createStudySession({
+            levels: hskLevels,
+            wordIds: deck ? deck.wordIds : null,
+            skill,
+            newOnly: showOnlySrsLevel0
           });
-          
-          if (randomWords.length > 0) {
-            const randomIndex = Math.floor(Math.random() * randomWords.length);
-            word = randomWords[randomIndex];
-          }
+          sessionRef.current = session;
+          sessionSourceRef.current = source;
+          // Answers from before can't be undone in the new session
+          setAnswerHistory([]);
+          setExtraAnswerHistory([]);
         }
-      }
-      
-      if (word) {
-        setCurrentWord(word);
         
-        // Get examples for this word
-        const examples = getExamplesFromWord(word);
-        
-        if (examples && examples.length > 0) {
-          // Select a random example
-          const randomIndex = Math.floor(Math.random() * examples.length);
-          setCurrentExample(examples[randomIndex]);
-        } else {
-          setCurrentExample(null);
+        // Skip ids that aren't in the loaded vocabulary any more or were suspended/buried meanwhile
+        let wordId = session.next();
+        while (wordId !== null && !word) {
+          word = vocabularyWords.find(w => w.id === wordId && isWordAvailable(w)) || null;
+          if (!word) wordId = session.next();
         }
         
+        setSessionStats(session.getStats());
+        setSessionComplete(!word);
+      }
+      
+      if (word) {
+        showWord(word);
         return word;
       }
       
+      setCurrentWord(null);
+      setCurrentExample(null);
       return null;
     } catch (error) {
       console.error("Error selecting word:", error);
       return null;
     }
-  }, [vocabularyWords, loadVocabulary]);
+  }, [vocabularyWords, decks, loadVocabulary, showWord]);
+  
+  // Tell the study session how a word was answered (failed words come back later).
+  // Extra practice answers are only kept for undo: they aren't part of the session.
+  const recordSessionAnswer = useCallback((wordId, grade, { extraPractice = false } = {}) => {
+    const entry = { wordId, example: currentExample };
+    if (extraPractice) {
+      setExtraAnswerHistory(prev => [...prev, entry]);
+      return;
+    }
+    
+    const session = sessionRef.current;
+    if (!session) return;
+    
+    session.recordAnswer(wordId, grade);
+    setSessionStats(session.getStats());
+    setAnswerHistory(prev => [...prev, entry]);
+  }, [currentExample]);
 
   // Update a word in both the vocabulary list and current word if needed
   const updateWord = useCallback(async (id, updatedWord) => {
     try {
-      try {
-        updatedWord.examples = JSON.parse(updatedWord.examples || '[]');
-      } catch (e) {
-        updatedWord.examples = [];
-        console.error("Error parsing examples for word:", updatedWord.id);
-      }
+      updatedWord.examples = parseExamples(updatedWord.examples);
       // Update in local state
       setVocabularyWords(prev => 
         prev.map(word => word.id === id ? updatedWord : word)
@@ -244,27 +344,104 @@ export function AppProvider({ children }) {
     }
   }, [currentWord, detailViewWord]);
   
+  // Add a word the user created
+  const addWord = useCallback(async (fields) => {
+    const word = await vocabularyDB.addCustomWord(fields);
+    setVocabularyWords(prev => [...prev, word].sort(compareWords));
+    return word;
+  }, []);
+  
+  // Edit a word's content (see vocabularyDB.editWord)
+  const editWord = useCallback(async (id, changes) => {
+    const updatedWord = await vocabularyDB.editWord(id, changes);
+    return updateWord(id, updatedWord);
+  }, [updateWord]);
+  
+  // Go back to the server's value of a locally edited field
+  const revertWordEdit = useCallback(async (id, field) => {
+    const updatedWord = await vocabularyDB.revertLocalEdit(id, field);
+    return updateWord(id, updatedWord);
+  }, [updateWord]);
+  
+  // Delete a word the user created
+  const deleteWord = useCallback(async (id) => {
+    await vocabularyDB.deleteCustomWord(id);
+    setVocabularyWords(prev => prev.filter(word => word.id !== id));
+    await reloadDecks();
+  }, [reloadDecks]);
+  
+  // Undo the most recent answer of this session (or of extra practice): the word
+  // gets its previous scheduling state and counters back and is shown again
+  const undoLastAnswer = useCallback(async ({ extraPractice = false } = {}) => {
+    const history = extraPractice ? extraAnswerHistory : answerHistory;
+    const entry = history[history.length - 1];
+    if (!entry) return null;
+    
+    const { wordId, example } = entry;
+    
+    try {
+      const restoredWord = await vocabularyDB.undoLastReview(wordId);
+      restoredWord.examples = parseExamples(restoredWord.examples);
+      
+      if (extraPractice) {
+        setExtraAnswerHistory(prev => prev.slice(0, -1));
+      } else {
+        const session = sessionRef.current;
+        if (session) {
+          session.undo();
+          setSessionStats(session.getStats());
+        }
+        setAnswerHistory(prev => prev.slice(0, -1));
+        setSessionComplete(false);
+      }
+      
+      setVocabularyWords(prev => prev.map(word => word.id === wordId ? restoredWord : word));
+      if (detailViewWord && detailViewWord.id === wordId) {
+        setDetailViewWord(restoredWord);
+      }
+      setCurrentWord(restoredWord);
+      setCurrentExample(example);
+      
+      return restoredWord;
+    } catch (error) {
+      console.error("Error undoing answer:", error);
+      throw error;
+    }
+  }, [answerHistory, extraAnswerHistory, detailViewWord]);
+  
   // Function to open word detail view
   const openWordDetail = useCallback((word, sourceScreen) => {
-    // Save current navigation state
-    setNavigationStack(prev => [...prev, { screen: sourceScreen }]);
+    // Already showing this word (e.g. tapped in one of its own examples)
+    if (detailViewActive && detailViewWord?.id === word.id) return;
+    
+    // Save current navigation state, and the word shown so far when going from
+    // one word's entry to another's
+    setNavigationStack(prev => [...prev, { screen: sourceScreen, word: detailViewActive ? detailViewWord : null }]);
     setDetailViewWord(word);
     setDetailViewActive(true);
     setSelectedWordId(word.id);
-  }, []);
+  }, [detailViewActive, detailViewWord]);
   
-  // Function to close word detail view and return to previous screen
+  // Function to close word detail view and return to the previous word or screen
   const closeWordDetail = useCallback(() => {
     // Get the last navigation item and remove it from the stack
     const newStack = [...navigationStack];
     const lastScreen = newStack.pop();
     
     setNavigationStack(newStack);
+    
+    if (lastScreen?.word) {
+      const previousWord = vocabularyWords.find(word => word.id === lastScreen.word.id) || lastScreen.word;
+      setDetailViewWord(previousWord);
+      setSelectedWordId(previousWord.id);
+      return lastScreen.screen;
+    }
+    
     setDetailViewActive(false);
     setDetailViewWord(null);
     
     return lastScreen?.screen || 'vocabulary'; // Default to vocabulary if no previous screen
-  }, [navigationStack]);
+  }, [navigationStack, vocabularyWords]);
   
   // Function to find a word by ID
   const findWordById = useCallback((id) => {
@@ -305,15 +482,40 @@ export function AppProvider({ children }) {
     setSelectedLevel,
     filterType,
     setFilterType,
+    selectedDeckId,
+    setSelectedDeckId,
+    
+    // Deck state
+    decks,
+    
+    // Reading Chinese text with the vocabulary
+    segmenter,
+    getPinyinLexicon,
     
     // Word detail view state
     detailViewActive,
     detailViewWord,
     selectedWordId,
     
+    // Study session state
+    sessionStats,
+    sessionComplete,
+    canUndo: answerHistory.length > 0,
+    canUndoExtra: extraAnswerHistory.length > 0,
+    
     // Functions
+    reloadVocabulary,
+    reloadDecks,
+    createDeck,
+    toggleWordInDeck,
     selectNewWord,
+    recordSessionAnswer,
+    undoLastAnswer,
     updateWord,
+    addWord,
+    editWord,
+    revertWordEdit,
+    deleteWord,
     openWordDetail,
     closeWordDetail,
     findWordById,
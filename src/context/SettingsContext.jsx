@@ -0,0 +1,32 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { settingsService } from '../services/settings-service';
+import { SettingsContext } from '../hooks/useSettings';
+
+export function SettingsProvider({ children }) {
+  const [settings, setSettings] = useState(() => settingsService.getAll());
+  const [loaded, setLoaded] = useState(false);
+
+  // Load the stored settings and follow every change, wherever it's made
+  useEffect(() => {
+    const unsubscribe = settingsService.subscribe(setSettings);
+
+    settingsService.init().then(all => {
+      setSettings(all);
+      setLoaded(true);
+    });
+
+    return unsubscribe;
+  }, []);
+
+  const updateSetting = useCallback((key, value) => settingsService.set(key, value), []);
+  const updateSettings = useCallback((changes) => settingsService.update(changes), []);
+
+  // Wait for the stored settings so the app doesn't start with the defaults
+  if (!loaded) return null;
+
+  return (
+    <SettingsContext.Provider value={{ settings, updateSetting, updateSettings }}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
@@ -0,0 +1,13 @@
+// src/hooks/useSettings.jsx
+import { createContext, useContext } from 'react';
+
+// Provided by SettingsProvider
+export const SettingsContext = createContext();
+
+/**
+ * The app settings, updated live wherever they're changed
+ * @returns {{settings: Object, updateSetting: function(string, *): Promise, updateSettings: function(Object): Promise}}
+ */
+export function useSettings() {
+  return useContext(SettingsContext);
+}
@@ -0,0 +1,125 @@
+// src/hooks/useVocabularyFilter.jsx
+import { useState, useEffect, useRef } from 'react';
+import { createSearchIndex } from '../services/search-index';
+import { FILTER_MESSAGES, toFilterRecord, matchesFilters } from '../services/vocabulary-filter';
+
+// Start the filter worker, or return null where workers aren't available
+const createFilterWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('../services/vocabulary.worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.error("Could not start the vocabulary worker, filtering on the main thread:", error);
+    return null;
+  }
+};
+
+const sameWordIds = (previous, words) => {
+  return previous.length === words.length && words.every((word, index) => word.id === previous[index].id);
+};
+
+// Same result as the worker, computed in one go
+const filterOnMainThread = (words, { searchTerm, selectedLevel, filterType, deckWordIds }) => {
+  const filters = { selectedLevel, filterType, deckWordIds: deckWordIds ? new Set(deckWordIds) : null };
+  const records = words.map(toFilterRecord);
+  const candidates = searchTerm
+    ? createSearchIndex(records).search(searchTerm).map(result => result.word)
+    : records;
+  const wordsById = new Map(words.map(word => [word.id, word]));
+
+  return candidates
+    .filter(record => matchesFilters(record, filters))
+    .map(record => wordsById.get(record.id));
+};
+
+/**
+ * Filter and search the vocabulary list in a Web Worker. A change of filters
+ * cancels the query still running, and results arrive in batches.
+ * @param {Array} words - The full vocabulary, in display order
+ * @param {Object} filters
+ * @param {string} filters.searchTerm
+ * @param {number|null} filters.selectedLevel
+ * @param {string} filters.filterType
+ * @param {Array|null} filters.deckWordIds - Word ids of the selected deck
+ * @returns {{filteredVocabulary: Array, isFiltering: boolean}} isFiltering is true
+ *   until the first batch of the current query has arrived
+ */
+export function useVocabularyFilter(words, { searchTerm, selectedLevel, filterType, deckWordIds }) {
+  const [filteredVocabulary, setFilteredVocabulary] = useState([]);
+  const [isFiltering, setIsFiltering] = useState(false);
+
+  const workerRef = useRef(null);
+  const queryIdRef = useRef(0);
+  const wordsByIdRef = useRef(new Map());
+  // The words the worker has, to send it only what changed
+  const sentWordsRef = useRef([]);
+
+  // Start the worker and collect its result batches
+  useEffect(() => {
+    const worker = createFilterWorker();
+    workerRef.current = worker;
+    sentWordsRef.current = [];
+    if (!worker) return;
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      // Batches of a query that has been replaced by a newer one
+      if (message.queryId !== queryIdRef.current) return;
+
+      if (message.type === FILTER_MESSAGES.ERROR) {
+        console.error("Error filtering vocabulary:", message.message);
+        setIsFiltering(false);
+        return;
+      }
+
+      const batch = message.ids.map(id => wordsByIdRef.current.get(id)).filter(Boolean);
+      if (message.first) {
+        setFilteredVocabulary(batch);
+        setIsFiltering(false);
+      } else {
+        setFilteredVocabulary(prev => prev.concat(batch));
+      }
+    };
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  // Give the worker the current words. When only some of them changed (e.g.
+  // the progress after an answer) just those are sent, not the whole list.
+  useEffect(() => {
+    wordsByIdRef.current = new Map(words.map(word => [word.id, word]));
+    const worker = workerRef.current;
+    if (!worker) return;
+
+    const previous = sentWordsRef.current;
+    sentWordsRef.current = words;
+    if (sameWordIds(previous, words)) {
+      const changed = words.filter((word, index) => word !== previous[index]);
+      if (changed.length === 0) return;
+      worker.postMessage({ type: FILTER_MESSAGES.UPDATE_WORDS, records: changed.map(toFilterRecord) });
+    } else {
+      worker.postMessage({ type: FILTER_MESSAGES.SET_WORDS, records: words.map(toFilterRecord) });
+    }
+  }, [words]);
+
+  // Run a query whenever the words or filters change
+  useEffect(() => {
+    if (words.length === 0) return;
+
+    const filters = { searchTerm: searchTerm.trim(), selectedLevel, filterType, deckWordIds };
+    const queryId = ++queryIdRef.current;
+
+    if (!workerRef.current) {
+      setFilteredVocabulary(filterOnMainThread(words, filters));
+      return;
+    }
+
+    setIsFiltering(true);
+    workerRef.current.postMessage({ type: FILTER_MESSAGES.QUERY, queryId, filters });
+  }, [words, searchTerm, selectedLevel, filterType, deckWordIds]);
+
+  return { filteredVocabulary, isFiltering };
+}
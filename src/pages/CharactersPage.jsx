@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ChevronLeft, X } from "lucide-react";
+import { useApp } from "../context/AppContext";
+import { characterDB } from "../services/db";
+import { isCharacterKnown } from "../services/characters";
+import WordDetailView from "../components/WordDetailView";
+
+// Tile colors from unpracticed to well known
+const masteryClass = (mastery) => {
+  if (mastery >= 0.8) return "bg-green-100 text-green-800 border-green-200";
+  if (mastery >= 0.5) return "bg-emerald-50 text-emerald-700 border-emerald-100";
+  if (mastery > 0) return "bg-amber-50 text-amber-700 border-amber-100";
+  return "bg-white text-neutral-800 border-neutral-200";
+};
+
+export default function CharactersPage() {
+  const navigate = useNavigate();
+  const {
+    vocabularyWords,
+    findWordById,
+    openWordDetail,
+    detailViewActive,
+    detailViewWord
+  } = useApp();
+
+  const [characters, setCharacters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedLevel, setSelectedLevel] = useState(null);
+  const [filterType, setFilterType] = useState("all"); // all, known, learning
+  const [selectedCharacter, setSelectedCharacter] = useState(null);
+
+  // Reload when words change (e.g. after practice or an import)
+  useEffect(() => {
+    characterDB.ensureBuilt()
+      .then(() => characterDB.getAll())
+      .then(records => {
+        records.sort((a, b) => (a.firstLevel ?? 99) - (b.firstLevel ?? 99) || b.wordIds.length - a.wordIds.length);
+        setCharacters(records);
+        setLoading(false);
+      })
+      .catch(error => {
+        console.error("Error loading characters:", error);
+        setLoading(false);
+      });
+  }, [vocabularyWords]);
+
+  if (detailViewActive && detailViewWord) {
+    return <WordDetailView mode="fullscreen" sourceScreen="characters" />;
+  }
+
+  const visible = characters.filter(record => {
+    if (selectedLevel !== null && record.firstLevel !== selectedLevel) return false;
+    if (filterType === "known") return isCharacterKnown(record);
+    if (filterType === "learning") return !isCharacterKnown(record);
+    return true;
+  });
+  const knownCount = visible.filter(isCharacterKnown).length;
+
+  const selectedWords = selectedCharacter
+    ? selectedCharacter.wordIds.map(findWordById).filter(Boolean)
+    : [];
+
+  return (
+    <div className="p-4 pb-16">
+      <div className="flex items-center mb-4">
+        <button onClick={() => navigate("/progress")} className="p-1 -ml-1 mr-2 text-neutral-600">
+          <ChevronLeft size={24} />
+        </button>
+        <h1 className="text-xl font-bold text-neutral-900">Characters</h1>
+      </div>
+
+      {/* Filters */}
+      <div className="mb-4 space-y-3">
+        <div className="flex overflow-x-auto space-x-2 py-1 -mx-4 px-4">
+          {[null, 1, 2, 3, 4, 5, 6, 7].map(level => (
+            <button
+              key={level ?? "all"}
+              onClick={() => setSelectedLevel(level)}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium whitespace-nowrap flex-shrink-0 ${
+                selectedLevel === level
+                  ? "bg-red-100 text-red-800"
+                  : "bg-neutral-100 text-neutral-600"
+              }`}
+            >
+              {level === null ? "All Levels" : `HSK ${level}`}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex space-x-2">
+          {[
+            { value: "all", label: "All" },
+            { value: "known", label: "Known" },
+            { value: "learning", label: "Learning" }
+          ].map(option => (
+            <button
+              key={option.value}
+              onClick={() => setFilterType(option.value)}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium ${
+                filterType === option.value
+                  ? "bg-red-100 text-red-800"
+                  : "bg-neutral-100 text-neutral-600"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center py-10">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-red-500"></div>
+        </div>
+      ) : (
+        <>
+          <div className="text-sm text-neutral-500 mb-3">
+            {knownCount} of {visible.length} characters known
+          </div>
+
+          <div className="grid grid-cols-6 gap-2">
+            {visible.map(record => (
+              <button
+                key={record.character}
+                onClick={() => setSelectedCharacter(record)}
+                className={`aspect-square rounded-lg border text-2xl flex items-center justify-center ${masteryClass(record.mastery)}`}
+                title={`${Math.round(record.mastery * 100)}%`}
+              >
+                {record.character}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      {/* Words containing the selected character */}
+      {selectedCharacter && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 z-50 flex items-end justify-center">
+          <div className="bg-white rounded-t-xl w-full max-w-md max-h-[70vh] overflow-y-auto">
+            <div className="sticky top-0 bg-white p-4 border-b border-neutral-100 flex justify-between items-center">
+              <div className="flex items-center">
+                <span className="text-4xl mr-3">{selectedCharacter.character}</span>
+                <div className="text-sm text-neutral-500">
+                  <div>{selectedCharacter.firstLevel ? `First in HSK ${selectedCharacter.firstLevel}` : "Not in an HSK level"}</div>
+                  <div>Mastery {Math.round(selectedCharacter.mastery * 100)}%</div>
+                </div>
+              </div>
+              <button onClick={() => setSelectedCharacter(null)} className="p-1 text-neutral-500">
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="divide-y divide-neutral-100">
+              {selectedWords.map(word => (
+                <button
+                  key={word.id}
+                  onClick={() => {
+                    setSelectedCharacter(null);
+                    openWordDetail(word, "characters");
+                  }}
+                  className="w-full text-left p-4 flex justify-between items-center"
+                >
+                  <div>
+                    <div className="text-lg text-neutral-900">{word.simplified}</div>
+                    <div className="text-sm text-neutral-500">{word.pinyin}</div>
+                  </div>
+                  <div className="text-sm text-neutral-600 text-right ml-4 truncate max-w-[50%]">
+                    {word.english || word.meanings}
+                  </div>
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
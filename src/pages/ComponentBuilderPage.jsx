@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { ArrowLeft, Info, RefreshCw, CheckCircle, AlertTriangle } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 
@@ -6,6 +6,8 @@ import { useNavigate } from "react-router-dom";
 import DraggableComponent from "../components/game/DraggableComponent";
 import BuildArea from "../components/game/BuildArea";
 import CharacterDisplay from "../components/game/CharacterDisplay";
+import { vocabularyDB, PRACTICE_MODES } from "../services/db";
+import { gradeFromBoolean } from "../services/srs";
 
 export default function ComponentBuilderPage() {
   const navigate = useNavigate();
@@ -19,6 +21,7 @@ export default function ComponentBuilderPage() {
   const [difficulty, setDifficulty] = useState("radical"); // "once", "radical", or "graphical"
   const [availableCharacters, setAvailableCharacters] = useState([]);
   const [showHint, setShowHint] = useState(false);
+  const characterShownAtRef = useRef(null);
 
   // Load component data from JSON file
   useEffect(() => {
@@ -59,6 +62,7 @@ export default function ComponentBuilderPage() {
     const randomIndex = Math.floor(Math.random() * availableCharacters.length);
     const selectedChar = availableCharacters[randomIndex];
     setCurrentCharacter(selectedChar);
+    characterShownAtRef.current = Date.now();
     
     // Get character info
     if (componentData[selectedChar]) {
@@ -129,6 +133,24 @@ export default function ComponentBuilderPage() {
       sortedPlaced.every((value, index) => value === sortedCorrect[index]);
     
     setIsCorrect(isEqual);
+    logBuilderReview(currentCharacter, isEqual);
+  };
+  
+  // Record the attempt in the review log, linked to the vocabulary word if there is one
+  const logBuilderReview = async (character, correct) => {
+    try {
+      const word = await vocabularyDB.getBySimplified(character);
+      await vocabularyDB.logReview({
+        wordId: word ? word.id : null,
+        simplified: character,
+        mode: PRACTICE_MODES.COMPONENT_BUILDER,
+        grade: gradeFromBoolean(correct),
+        correct,
+        responseTime: characterShownAtRef.current ? Date.now() - characterShownAtRef.current : null
+      });
+    } catch (error) {
+      console.error("Error logging component builder review:", error);
+    }
   };
 
   // Change difficulty level
@@ -1,14 +1,25 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { RefreshCw, CheckCircle, XCircle, ArrowRight, Eye, Bookmark, ExternalLink } from "lucide-react";
-import { vocabularyDB } from "../services/db";
+import { vocabularyDB, PRACTICE_MODES } from "../services/db";
+import { GRADES, GRADE_LABELS, SKILLS, previewIntervals, formatInterval } from "../services/srs";
 import { useApp } from "../context/AppContext";
+import { useSettings } from "../hooks/useSettings";
 import WordDetailView from "../components/WordDetailView";
+import { SessionStats } from "../components/ui/SessionStats";
+import { UndoButton } from "../components/ui/UndoButton";
+import { SegmentedSentence } from "../components/ui/SegmentedSentence";
 
 export default function OfflinePracticePage() {
   const { 
     currentWord, 
     currentExample, 
     selectNewWord, 
+    recordSessionAnswer,
+    undoLastAnswer,
+    canUndo,
+    canUndoExtra,
+    sessionStats,
+    sessionComplete,
     updateWord,
     loading,
     openWordDetail,
@@ -18,74 +29,77 @@ export default function OfflinePracticePage() {
 
   const [showDetails, setShowDetails] = useState(false);
   const [answerStatus, setAnswerStatus] = useState(null); // "correct", "incorrect", or null
-  const [hskLevels, setHskLevels] = useState([1, 2, 3]); // Default HSK levels to practice
   const [showHint, setShowHint] = useState(false);
-  const [showOnlySrsLevel0, setShowOnlySrsLevel0] = useState(false);
+  const { settings, updateSetting } = useSettings();
+  const { hskFocus: hskLevels, practiceDeckId, showOnlySrsLevel0 } = settings;
+  const [extraPractice, setExtraPractice] = useState(false);
+  // Extra practice answers are undone separately from the session's
+  const undoAvailable = extraPractice ? canUndoExtra : canUndo;
+  
+  // When the current word was shown, to measure response time for the review log
+  const wordShownAtRef = useRef(null);
   
-  // Load settings on component mount
   useEffect(() => {
-    const loadSettings = async () => {
-      try {
-        // Try to load settings from localStorage
-        const appSettings = localStorage.getItem('appSettings');
-        if (appSettings) {
-          const settings = JSON.parse(appSettings);
-          if (settings.hskFocus && Array.isArray(settings.hskFocus)) {
-            setHskLevels(settings.hskFocus);
-          }
-          if (settings.showOnlySrsLevel0 !== undefined) {
-            setShowOnlySrsLevel0(settings.showOnlySrsLevel0);
-          }
-        }
-      } catch (error) {
-        console.error("Error loading settings:", error);
-      }
-    };
-    
-    loadSettings();
-  }, []);
+    wordShownAtRef.current = Date.now();
+  }, [currentWord?.id]);
   
   // Toggle SRS Level 0 mode
   const toggleSrsLevel0 = () => {
-    const newValue = !showOnlySrsLevel0;
-    setShowOnlySrsLevel0(newValue);
-    
-    // Save to localStorage
-    try {
-      const settings = JSON.parse(localStorage.getItem('appSettings') || '{}');
-      settings.showOnlySrsLevel0 = newValue;
-      localStorage.setItem('appSettings', JSON.stringify(settings));
-    } catch (error) {
+    updateSetting('showOnlySrsLevel0', !showOnlySrsLevel0).catch(error => {
       console.error("Error saving setting:", error);
-    }
+    });
   };
   
-  // Load a new word to practice
-  const loadNewWord = useCallback(async () => {
+  // Load a new word to practice (from today's session, or extra practice once it's done)
+  const loadNewWord = useCallback(async (extra = extraPractice) => {
     setShowDetails(false);
     setAnswerStatus(null);
     setShowHint(false);
     
-    await selectNewWord(hskLevels, showOnlySrsLevel0);
-  }, [hskLevels, showOnlySrsLevel0, selectNewWord]);
+    await selectNewWord(hskLevels, showOnlySrsLevel0, { extraPractice: extra, deckId: practiceDeckId, skill: SKILLS.RECOGNITION });
+  }, [hskLevels, showOnlySrsLevel0, selectNewWord, extraPractice, practiceDeckId]);
   
-  // Handle user answer (self-reported recognition)
-  const handleAnswer = async (recognized) => {
+  // Continue with random words after today's session is finished
+  const startExtraPractice = () => {
+    setExtraPractice(true);
+    loadNewWord(true);
+  };
+  
+  // Handle user answer (self-graded recognition)
+  const handleAnswer = async (grade) => {
     if (!currentWord) return;
     
     try {
-      const updatedWord = await vocabularyDB.updateWordAfterPractice(currentWord.id, recognized);
+      const updatedWord = await vocabularyDB.updateWordAfterPractice(currentWord.id, grade, {
+        mode: PRACTICE_MODES.SELF_GRADED,
+        responseTime: wordShownAtRef.current ? Date.now() - wordShownAtRef.current : null
+      });
       // Update word using the provided function
       updateWord(currentWord.id, updatedWord);
+      recordSessionAnswer(currentWord.id, grade, { extraPractice });
       
       // Update UI
-      setAnswerStatus(recognized ? "correct" : "incorrect");
+      setAnswerStatus(grade === GRADES.AGAIN ? "incorrect" : "correct");
       setShowDetails(true);
     } catch (error) {
       console.error("Error updating word:", error);
     }
   };
   
+  // Go back to the previous card and take back its answer
+  const handleUndo = async () => {
+    try {
+      await undoLastAnswer({ extraPractice });
+      setAnswerStatus(null);
+      setShowDetails(false);
+      setShowHint(false);
+      wordShownAtRef.current = Date.now();
+    } catch (error) {
+      console.error("Error undoing answer:", error);
+      alert(`Couldn't undo: ${error.message}`);
+    }
+  };
+  
   // Handle toggling favorite status
   const handleToggleFavorite = async () => {
     if (!currentWord) return;
@@ -108,6 +122,12 @@ export default function OfflinePracticePage() {
     }
   };
   
+  // Interval each answer button would schedule
+  const intervalPreviews = useMemo(
+    () => currentWord ? previewIntervals(currentWord, SKILLS.RECOGNITION) : {},
+    [currentWord]
+  );
+  
   // If detail view is active, show the word detail component
   if (detailViewActive && detailViewWord) {
     return <WordDetailView mode="fullscreen" sourceScreen="offline-practice" />;
@@ -141,6 +161,14 @@ export default function OfflinePracticePage() {
         </div>
       </div>
       
+      {/* What's left in today's session */}
+      {(sessionStats || undoAvailable) && (
+        <div className="flex items-center space-x-3">
+          <SessionStats stats={sessionStats} />
+          {undoAvailable && <UndoButton onClick={handleUndo} />}
+        </div>
+      )}
+      
       {/* Character Display */}
       {currentWord ? (
         <div className="w-full max-w-md bg-white rounded-xl shadow-sm border border-neutral-100 p-5 flex flex-col items-center">
@@ -160,7 +188,13 @@ export default function OfflinePracticePage() {
                 {currentExample ? (
                 <div className="mt-4">
                     <div className="text-xl mt-2 mb-4 bg-neutral-50 p-3 rounded-lg border border-neutral-100">
-                        {currentExample.simplified}
+                        <SegmentedSentence
+                            text={currentExample.simplified}
+                            pinyin={currentExample.pinyin}
+                            highlightWord={currentWord}
+                            revealHighlighted={!!answerStatus}
+                            sourceScreen="offline-practice"
+                        />
                     </div>
                     
                     {answerStatus && (
@@ -181,26 +215,38 @@ export default function OfflinePracticePage() {
               <span className="px-2 py-1 bg-red-50 text-red-600 rounded-full text-xs font-medium">
                 HSK {currentWord.level}
               </span>
+              {currentWord.isLeech && (
+                <span className="ml-2 px-2 py-1 bg-purple-50 text-purple-700 rounded-full text-xs font-medium">
+                  Leech
+                </span>
+              )}
             </div>
           )}
           
           {/* Answer Buttons */}
           {!showDetails && !answerStatus && (
-            <div className="flex space-x-4 mt-4 w-full">
-              <button
-                onClick={() => handleAnswer(false)}
-                className="flex-1 px-5 py-3 bg-neutral-200 text-neutral-700 rounded-lg font-medium hover:bg-neutral-300 transition-colors duration-200"
-              >
-                <XCircle className="inline-block mr-2" size={20} />
-                Don't Know
-              </button>
-              <button
-                onClick={() => handleAnswer(true)}
-                className="flex-1 px-5 py-3 bg-red-500 text-white rounded-lg font-medium hover:bg-red-600 transition-colors duration-200"
-              >
-                <CheckCircle className="inline-block mr-2" size={20} />
-                I Know It
-              </button>
+            <div className="grid grid-cols-4 gap-2 mt-4 w-full">
+              {Object.values(GRADES).map(grade => (
+                <button
+                  key={grade}
+                  onClick={() => handleAnswer(grade)}
+                  className={`px-2 py-3 rounded-lg font-medium flex flex-col items-center transition-colors duration-200 ${
+                    grade === GRADES.AGAIN
+                      ? "bg-neutral-200 text-neutral-700 hover:bg-neutral-300"
+                      : grade === GRADES.EASY
+                        ? "bg-green-100 text-green-800 hover:bg-green-200"
+                        : "bg-red-500 text-white hover:bg-red-600"
+                  }`}
+                >
+                  {grade === GRADES.AGAIN ? (
+                    <XCircle size={18} className="mb-1" />
+                  ) : (
+                    <CheckCircle size={18} className="mb-1" />
+                  )}
+                  <span className="text-sm">{GRADE_LABELS[grade]}</span>
+                  <span className="text-xs opacity-75">{formatInterval(intervalPreviews[grade])}</span>
+                </button>
+              ))}
             </div>
           )}
           
@@ -223,7 +269,7 @@ export default function OfflinePracticePage() {
           {answerStatus && (
             <div className={`mt-4 text-center px-4 py-2 rounded-lg`}>
                 <button
-                    onClick={loadNewWord}
+                    onClick={() => loadNewWord()}
                     disabled={loading}
                     className={`p-4 rounded-full shadow-md z-10 ${
                     answerStatus === "correct" ? "bg-green-100 text-green-800" : "bg-red-100 text-red-600"
@@ -241,12 +287,24 @@ export default function OfflinePracticePage() {
           </div>
           <p className="text-neutral-500">Loading character...</p>
         </div>
+      ) : sessionComplete && !extraPractice ? (
+        <div className="w-full max-w-md bg-white rounded-xl shadow-sm border border-neutral-100 p-5 text-center">
+          <CheckCircle size={32} className="mx-auto text-green-500 mb-2" />
+          <div className="text-lg font-medium text-neutral-800">You're done for today!</div>
+          <p className="text-sm text-neutral-500 mt-1">No more reviews or new words are due.</p>
+          <button 
+            onClick={startExtraPractice}
+            className="mt-3 px-4 py-2 bg-red-500 text-white rounded-lg font-medium"
+          >
+            Keep Practicing
+          </button>
+        </div>
       ) : (
         <div className="w-full max-w-md bg-white rounded-xl shadow-sm border border-neutral-100 p-5 text-center">
           <div className="py-4 text-red-500">No characters available for the selected HSK levels</div>
           <div className="flex space-x-2 justify-center">
             <button 
-              onClick={loadNewWord}
+              onClick={() => loadNewWord()}
               className="mt-2 px-4 py-2 bg-red-500 text-white rounded-lg font-medium"
             >
               Try Again
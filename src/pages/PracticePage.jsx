@@ -1,10 +1,19 @@
-import React, { useState, useEffect, useCallback } from "react";
-import { RefreshCw, CheckCircle, XCircle, Volume2, ExternalLink } from "lucide-react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { RefreshCw, CheckCircle, XCircle, AlertCircle, Volume2, ExternalLink } from "lucide-react";
 import AudioRecorder from "../components/AudioRecorder";
 import { WebSocketUtils } from "../services/websocket-utils";
-import { vocabularyDB } from "../services/db";
+import { vocabularyDB, PRACTICE_MODES } from "../services/db";
+import { GRADES, SKILLS } from "../services/srs";
+import { gradeSpeech, SPEECH_OUTCOMES } from "../services/pronunciation";
+import { alignSentence, gradeSentenceWords } from "../services/sentence-reading";
 import { useApp } from "../context/AppContext";
+import { useSettings } from "../hooks/useSettings";
 import WordDetailView from "../components/WordDetailView";
+import { SessionStats } from "../components/ui/SessionStats";
+import { UndoButton } from "../components/ui/UndoButton";
+import { SyllableFeedback } from "../components/ui/SyllableFeedback";
+import { SentenceDiff } from "../components/ui/SentenceDiff";
+import { SegmentedSentence } from "../components/ui/SegmentedSentence";
 
 export default function PracticePage() {
   // Get context values
@@ -12,9 +21,17 @@ export default function PracticePage() {
     wsRef, 
     wsConnected, 
     reconnectWebSocket,
+    segmenter,
+    getPinyinLexicon,
     currentWord,
     currentExample,
     selectNewWord,
+    recordSessionAnswer,
+    undoLastAnswer,
+    canUndo,
+    canUndoExtra,
+    sessionStats,
+    sessionComplete,
     updateWord,
     loading: propLoading,
     openWordDetail,
@@ -26,35 +43,36 @@ export default function PracticePage() {
   const [results, setResults] = useState(null);
   const [localLoading, setLocalLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [hskLevels, setHskLevels] = useState([1, 2, 3]);
+  const { settings, updateSetting } = useSettings();
+  const { hskFocus: hskLevels, practiceDeckId, readSentenceAloud } = settings;
+  const [extraPractice, setExtraPractice] = useState(false);
+  // Extra practice answers are undone separately from the session's
+  const undoAvailable = extraPractice ? canUndoExtra : canUndo;
   
-  // Load HSK level settings
+  // Timestamps used to measure response time for the review log
+  const wordShownAtRef = useRef(null);
+  const recordingStartedAtRef = useRef(null);
+  
+  // Read the example sentence aloud instead of just the word (when there is one)
+  const readingSentence = readSentenceAloud && !!currentExample?.simplified;
+  
+  // Restart the response timer whenever a new word is shown
   useEffect(() => {
-    try {
-      const appSettings = localStorage.getItem('appSettings');
-      if (appSettings) {
-        const settings = JSON.parse(appSettings);
-        if (settings.hskFocus && Array.isArray(settings.hskFocus)) {
-          setHskLevels(settings.hskFocus);
-        }
-      }
-    } catch (error) {
-      console.error("Error loading settings:", error);
-    }
-  }, []);
+    wordShownAtRef.current = Date.now();
+  }, [currentWord?.id]);
   
-  // Request a new word and example
-  const requestNewWord = useCallback(async () => {
+  // Request a new word and example (from today's session, or extra practice once it's done)
+  const requestNewWord = useCallback(async (extra = extraPractice) => {
     setLocalLoading(true);
     setTranscription("");
     setResults(null);
     setError(null);
     
     try {
-      const word = await selectNewWord(hskLevels, false);
+      const word = await selectNewWord(hskLevels, false, { extraPractice: extra, deckId: practiceDeckId, skill: SKILLS.SPEAKING });
       
-      if (!word) {
-        setError("No words available for practice. Please check your database or HSK level settings.");
+      if (!word && extra) {
+        setError("No words available for practice. Please check your database, HSK level or deck settings.");
       }
     } catch (err) {
       console.error("Error requesting word:", err);
@@ -62,10 +80,31 @@ export default function PracticePage() {
     } finally {
       setLocalLoading(false);
     }
-  }, [hskLevels, selectNewWord]);
+  }, [hskLevels, selectNewWord, extraPractice, practiceDeckId]);
+  
+  // Continue with random words after today's session is finished
+  const startExtraPractice = () => {
+    setExtraPractice(true);
+    requestNewWord(true);
+  };
+  
+  // Go back to the previous card and take back its answer (e.g. after a bad transcription)
+  const handleUndo = async () => {
+    try {
+      await undoLastAnswer({ extraPractice });
+      setTranscription("");
+      setResults(null);
+      setError(null);
+      wordShownAtRef.current = Date.now();
+    } catch (err) {
+      console.error("Error undoing answer:", err);
+      setError(`Couldn't undo: ${err.message}`);
+    }
+  };
   
   // Handle transcription start
   const handleTranscriptionStart = () => {
+    recordingStartedAtRef.current = Date.now();
     setTranscription("");
     setResults(null);
   };
@@ -80,44 +119,115 @@ export default function PracticePage() {
     const transcribedText = data.transcription;
     setTranscription(transcribedText);
     
-    // Now evaluate transcription against the current word
+    // Now evaluate transcription against the current word (or its example sentence)
     if (currentWord && currentWord.simplified) {
       try {
-        // Check if the word is in the transcription
-        const containsWord = transcribedText.includes(currentWord.simplified);
-        const updatedWord = await vocabularyDB.updateWordAfterPractice(currentWord.id, containsWord);
-        
-        // Update the word's learning progress
-        updateWord(currentWord.id, updatedWord);
-        
-        // Set results for display
-        setResults({
-          correct: containsWord,
-          word: currentWord.simplified
-        });
+        if (readingSentence) {
+          await evaluateSentence(transcribedText);
+        } else {
+          await evaluateWord(transcribedText);
+        }
       } catch (err) {
         console.error("Error processing transcription:", err);
         setError("Error evaluating your pronunciation");
       }
     }
   };
+  
+  const getResponseTime = () => {
+    return recordingStartedAtRef.current && wordShownAtRef.current
+      ? recordingStartedAtRef.current - wordShownAtRef.current
+      : null;
+  };
+  
+  // Grade the word on its own
+  const evaluateWord = async (transcribedText) => {
+    // Exact characters, a homophone, a tone slip or wrong, with a grade to match
+    const { outcome, grade, pronunciation } = gradeSpeech(
+      currentWord,
+      transcribedText,
+      getPinyinLexicon()
+    );
+    
+    const updatedWord = await vocabularyDB.updateWordAfterPractice(currentWord.id, grade, {
+      mode: PRACTICE_MODES.SPEECH,
+      responseTime: getResponseTime(),
+      transcription: transcribedText,
+      pronunciation
+    });
+    
+    // Update the word's learning progress
+    updateWord(currentWord.id, updatedWord);
+    recordSessionAnswer(currentWord.id, grade, { extraPractice });
+    
+    // Set results for display
+    setResults({
+      correct: grade !== GRADES.AGAIN,
+      outcome,
+      word: currentWord.simplified,
+      pronunciation
+    });
+  };
+  
+  // Grade the example sentence character by character. The practiced word is
+  // scheduled; the other vocabulary words in the sentence are only logged.
+  const evaluateSentence = async (transcribedText) => {
+    const sentence = currentExample.simplified;
+    const alignment = alignSentence(sentence, transcribedText);
+    const wordResults = gradeSentenceWords(
+      sentence,
+      alignment.characters,
+      segmenter,
+      currentWord
+    );
+    
+    const target = wordResults.find(result => result.word.id === currentWord.id);
+    const correct = target ? target.correct : alignment.score === 100;
+    const grade = correct ? GRADES.GOOD : GRADES.AGAIN;
+    
+    // The other words are logged with the practiced word's review, so undoing
+    // the answer takes them back too
+    const relatedReviews = wordResults
+      .filter(result => result.word.id !== currentWord.id)
+      .map(result => ({
+        wordId: result.word.id,
+        simplified: result.word.simplified,
+        skill: SKILLS.SPEAKING,
+        correct: result.correct,
+        transcription: transcribedText
+      }));
+    
+    const updatedWord = await vocabularyDB.updateWordAfterPractice(currentWord.id, grade, {
+      mode: PRACTICE_MODES.SENTENCE_READING,
+      responseTime: getResponseTime(),
+      transcription: transcribedText,
+      relatedReviews
+    });
+    updateWord(currentWord.id, updatedWord);
+    recordSessionAnswer(currentWord.id, grade, { extraPractice });
+    
+    setResults({
+      correct,
+      word: currentWord.simplified,
+      sentence: alignment,
+      words: wordResults
+    });
+  };
 
-  // Function to render the example sentence with highlighted target character
+  // Render the example sentence as tappable words, with the practiced word highlighted
   const renderExampleSentence = () => {
     if (!currentExample || !currentExample.simplified || !currentWord) return null;
     
     return (
       <div className="mt-3 mb-2 p-3 bg-neutral-50 rounded-lg border border-neutral-100">
         <div className="text-base leading-relaxed">
-          {currentExample.simplified.split('').map((char, index) => (
-            <span 
-              key={index}
-              className={char === currentWord.simplified ? 
-                "text-red-600 font-bold" : ""}
-            >
-              {char}
-            </span>
-          ))}
+          <SegmentedSentence
+            text={currentExample.simplified}
+            pinyin={currentExample.pinyin}
+            highlightWord={currentWord}
+            revealHighlighted={!!transcription}
+            sourceScreen="practice"
+          />
         </div>
       </div>
     );
@@ -142,6 +252,14 @@ export default function PracticePage() {
     <div className="h-full flex flex-col p-3">
       {/* Main content area */}
       <div className="flex flex flex-col">
+        {/* What's left in today's session */}
+        {(sessionStats || undoAvailable) && (
+          <div className="mb-2 flex justify-center items-center space-x-3">
+            <SessionStats stats={sessionStats} />
+            {undoAvailable && <UndoButton onClick={handleUndo} />}
+          </div>
+        )}
+        
         {/* Always show the character and example when available */}
         {currentWord && !isLoading ? (
           <div className="w-full max-w-md mx-auto bg-white rounded-xl shadow-sm border border-neutral-100 p-4 mb-3">
@@ -171,6 +289,11 @@ export default function PracticePage() {
                     <span className="px-2 py-1 bg-red-50 text-red-600 rounded-full text-xs font-medium">
                       HSK {currentWord.level}
                     </span>
+                    {currentWord.isLeech && (
+                      <span className="ml-2 px-2 py-1 bg-purple-50 text-purple-700 rounded-full text-xs font-medium">
+                        Leech
+                      </span>
+                    )}
                   </div>
                 )}
               </div>
@@ -186,12 +309,24 @@ export default function PracticePage() {
             </div>
             <p className="text-neutral-500">Loading character...</p>
           </div>
+        ) : sessionComplete && !error ? (
+          <div className="w-full max-w-md mx-auto bg-white rounded-xl shadow-sm border border-neutral-100 p-4 text-center mb-3">
+            <CheckCircle size={32} className="mx-auto text-green-500 mb-2" />
+            <div className="text-lg font-medium text-neutral-800">You're done for today!</div>
+            <p className="text-sm text-neutral-500 mt-1">No more reviews or new words are due.</p>
+            <button 
+              onClick={startExtraPractice}
+              className="mt-3 px-4 py-2 bg-red-500 text-white rounded-lg font-medium"
+            >
+              Keep Practicing
+            </button>
+          </div>
         ) : error ? (
           <div className="w-full max-w-md mx-auto bg-white rounded-xl shadow-sm border border-neutral-100 p-4 text-center mb-3">
             <div className="py-4 text-red-500">{error}</div>
             <div className="flex space-x-2 justify-center">
               <button 
-                onClick={requestNewWord}
+                onClick={() => requestNewWord()}
                 className="mt-2 px-4 py-2 bg-red-500 text-white rounded-lg font-medium"
               >
                 Try Again
@@ -217,7 +352,17 @@ export default function PracticePage() {
               {results && (
                 <div className="mt-3 pt-3 border-t border-neutral-100">
                   <div className="flex items-center justify-center mb-2">
-                    {results.correct ? (
+                    {results.outcome === SPEECH_OUTCOMES.HOMOPHONE ? (
+                      <div className="flex items-center text-green-600">
+                        <CheckCircle size={20} className="mr-2" />
+                        <span className="text-base font-medium">Right pronunciation</span>
+                      </div>
+                    ) : results.outcome === SPEECH_OUTCOMES.TONE ? (
+                      <div className="flex items-center text-amber-600">
+                        <AlertCircle size={20} className="mr-2" />
+                        <span className="text-base font-medium">Check the Tone</span>
+                      </div>
+                    ) : results.correct ? (
                       <div className="flex items-center text-green-600">
                         <CheckCircle size={20} className="mr-2" />
                         <span className="text-base font-medium">Correct!</span>
@@ -230,7 +375,28 @@ export default function PracticePage() {
                     )}
                   </div>
                   
-                  {!results.correct && (
+                  {results.outcome === SPEECH_OUTCOMES.HOMOPHONE && (
+                    <p className="text-sm text-neutral-600 mb-1">
+                      Heard as {results.pronunciation.syllables.map(syllable => syllable.character).join("")}, which sounds
+                      the same as {results.word}
+                    </p>
+                  )}
+                  
+                  {results.outcome === SPEECH_OUTCOMES.TONE && (
+                    <p className="text-sm text-neutral-600 mb-1">
+                      The syllables were right, but a different tone makes a different word
+                    </p>
+                  )}
+                  
+                  {results.sentence && (
+                    <SentenceDiff sentence={results.sentence} words={results.words} />
+                  )}
+                  
+                  {results.pronunciation && (
+                    <SyllableFeedback syllables={results.pronunciation.syllables} />
+                  )}
+                  
+                  {!results.correct && !results.pronunciation && !results.sentence && (
                     <p className="text-sm text-neutral-600 mt-1">
                       Try to include the character in your sentence
                     </p>
@@ -242,6 +408,26 @@ export default function PracticePage() {
         )}
       </div>
       
+      {/* What to say: the word alone or its whole example sentence */}
+      <div className="mb-2 flex justify-center">
+        <div className="inline-flex rounded-lg bg-neutral-100 p-0.5 text-sm">
+          {[[false, "Say the word"], [true, "Read the sentence"]].map(([value, label]) => (
+            <button
+              key={label}
+              onClick={() => updateSetting('readSentenceAloud', value)}
+              disabled={value && !currentExample?.simplified}
+              className={`px-3 py-1 rounded-md font-medium ${
+                readingSentence === value
+                  ? 'bg-white text-neutral-800 shadow-sm'
+                  : 'text-neutral-500 disabled:text-neutral-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      
       {/* Audio Recorder */}
       <div className="">
         <AudioRecorder 
@@ -255,7 +441,7 @@ export default function PracticePage() {
       {/* Next Character Button */}
       <div className="mt-3 flex justify-center">
         <button
-          onClick={requestNewWord}
+          onClick={() => requestNewWord()}
           disabled={isLoading}
           className={`px-5 py-2.5 rounded-lg font-medium flex items-center justify-center ${
             isLoading
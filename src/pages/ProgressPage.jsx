@@ -1,18 +1,33 @@
 import React, { useState, useEffect } from "react";
-import { CheckCircle, RefreshCw } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import { CheckCircle, RefreshCw, ChevronRight } from "lucide-react";
 import { useApp } from "../context/AppContext";
+import { SKILLS, SKILL_LABELS, getTrack } from "../services/srs";
+import { characterDB } from "../services/db";
+import { isCharacterKnown } from "../services/characters";
+
+// A word counts as mastered in a skill once it's been recalled in that skill
+// and the last answer wasn't "Again"
+const isMasteredInSkill = (word, skill) => {
+  const track = getTrack(word, skill);
+  return (track.reps || 0) > 0 && (track.srsLevel || 0) > 0;
+};
 
 export default function ProgressPage() {
   // Get context values
   const { vocabularyWords: words, loading: propLoading } = useApp();
+  const navigate = useNavigate();
   
   // Use local loading state for processing the data
   const [localLoading, setLocalLoading] = useState(true);
+  const [selectedSkill, setSelectedSkill] = useState(null); // null = any skill
   const [stats, setStats] = useState({
     totalWords: 0,
     masteredWords: 0,
-    masteredByLevel: []
+    masteredByLevel: [],
+    masteredBySkill: []
   });
+  const [characterStats, setCharacterStats] = useState(null);
   
   // Calculate statistics based on words from context
   useEffect(() => {
@@ -22,8 +37,20 @@ export default function ProgressPage() {
         
         const allWords = words || [];
         
-        // Calculate mastered words (correct at least once)
-        const mastered = allWords.filter(word => word.correctCount > 0);
+        // Calculate mastered words (correct at least once, or per skill)
+        const isMastered = selectedSkill
+          ? (word) => isMasteredInSkill(word, selectedSkill)
+          : (word) => word.correctCount > 0;
+        const mastered = allWords.filter(isMastered);
+        
+        const masteredBySkill = Object.values(SKILLS).map(skill => {
+          const count = allWords.filter(word => isMasteredInSkill(word, skill)).length;
+          return {
+            skill,
+            mastered: count,
+            percentage: allWords.length > 0 ? Math.round((count / allWords.length) * 100) : 0
+          };
+        });
         
         // Calculate words mastered by HSK level
         const levelCounts = {};
@@ -38,7 +65,7 @@ export default function ProgressPage() {
           
           levelCounts[level].total++;
           
-          if (word.correctCount > 0) {
+          if (isMastered(word)) {
             levelCounts[level].mastered++;
           }
         });
@@ -61,7 +88,8 @@ export default function ProgressPage() {
         setStats({
           totalWords: allWords.length,
           masteredWords: mastered.length,
-          masteredByLevel
+          masteredByLevel,
+          masteredBySkill
         });
         
         setLocalLoading(false);
@@ -75,6 +103,36 @@ export default function ProgressPage() {
     if (!propLoading && words && words.length > 0) {
       calculateStats();
     }
+  }, [words, propLoading, selectedSkill]);
+
+  // Characters known per HSK level (a character belongs to the first level it appears in)
+  useEffect(() => {
+    if (propLoading) return;
+    
+    characterDB.ensureBuilt()
+      .then(() => characterDB.getAll())
+      .then(characters => {
+        const byLevel = [];
+        for (let level = 1; level <= 6; level++) {
+          const inLevel = characters.filter(character => character.firstLevel === level);
+          const known = inLevel.filter(isCharacterKnown).length;
+          byLevel.push({
+            level,
+            total: inLevel.length,
+            known,
+            percentage: inLevel.length > 0 ? Math.round((known / inLevel.length) * 100) : 0
+          });
+        }
+        
+        setCharacterStats({
+          total: characters.length,
+          known: characters.filter(isCharacterKnown).length,
+          byLevel
+        });
+      })
+      .catch(error => {
+        console.error("Error loading characters:", error);
+      });
   }, [words, propLoading]);
 
   // Determine if we should show loading state
@@ -116,11 +174,50 @@ export default function ProgressPage() {
             </div>
           </div>
           
-          {/* Rest of your component remains the same */}
+          {/* Skill Progress */}
+          <div className="bg-white rounded-xl shadow-sm border border-neutral-100 p-4 mb-5">
+            <h2 className="text-lg font-medium mb-4 text-neutral-900">Progress by Skill</h2>
+            
+            <div className="space-y-4">
+              {stats.masteredBySkill.map(skill => (
+                <div key={skill.skill} className="mb-3">
+                  <div className="flex justify-between mb-1">
+                    <span className="font-medium text-neutral-800">{SKILL_LABELS[skill.skill]}</span>
+                    <span className="text-neutral-600">
+                      {skill.mastered} / {stats.totalWords} ({skill.percentage}%)
+                    </span>
+                  </div>
+                  <div className="w-full bg-neutral-100 rounded-full h-2.5">
+                    <div 
+                      className="bg-red-500 h-2.5 rounded-full" 
+                      style={{ width: `${skill.percentage}%` }}
+                    ></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
           
           {/* HSK Level Progress */}
           <div className="bg-white rounded-xl shadow-sm border border-neutral-100 p-4 mb-5">
-            <h2 className="text-lg font-medium mb-4 text-neutral-900">HSK Level Progress</h2>
+            <h2 className="text-lg font-medium mb-3 text-neutral-900">HSK Level Progress</h2>
+            
+            {/* Skill selection */}
+            <div className="flex flex-wrap gap-2 mb-4">
+              {[null, ...Object.values(SKILLS)].map(skill => (
+                <button
+                  key={skill || 'any'}
+                  onClick={() => setSelectedSkill(skill)}
+                  className={`px-3 py-1 rounded-full text-sm font-medium ${
+                    selectedSkill === skill
+                      ? "bg-red-100 text-red-800"
+                      : "bg-neutral-100 text-neutral-600"
+                  }`}
+                >
+                  {skill ? SKILL_LABELS[skill] : "Any Skill"}
+                </button>
+              ))}
+            </div>
             
             <div className="space-y-4">
               {stats.masteredByLevel.map(level => (
@@ -142,6 +239,46 @@ export default function ProgressPage() {
             </div>
           </div>
           
+          {/* Characters */}
+          {characterStats && (
+            <div className="bg-white rounded-xl shadow-sm border border-neutral-100 p-4 mb-5">
+              <div className="flex justify-between items-center mb-3">
+                <h2 className="text-lg font-medium text-neutral-900">Characters Known</h2>
+                <button
+                  onClick={() => navigate("/characters")}
+                  className="text-sm text-red-600 flex items-center"
+                >
+                  View all
+                  <ChevronRight size={16} />
+                </button>
+              </div>
+              
+              <div className="flex items-center justify-between mb-4">
+                <span className="text-neutral-600">Known characters:</span>
+                <span className="font-bold text-neutral-800">{characterStats.known} / {characterStats.total}</span>
+              </div>
+              
+              <div className="space-y-4">
+                {characterStats.byLevel.map(level => (
+                  <div key={level.level} className="mb-3">
+                    <div className="flex justify-between mb-1">
+                      <span className="font-medium text-neutral-800">HSK {level.level}</span>
+                      <span className="text-neutral-600">
+                        {level.known} / {level.total} ({level.percentage}%)
+                      </span>
+                    </div>
+                    <div className="w-full bg-neutral-100 rounded-full h-2.5">
+                      <div 
+                        className="bg-red-500 h-2.5 rounded-full" 
+                        style={{ width: `${level.percentage}%` }}
+                      ></div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          
           {/* Learning Streak */}
           <div className="bg-white rounded-xl shadow-sm border border-neutral-100 p-4 mb-5">
             <h2 className="text-lg font-medium mb-3 text-neutral-900">Learning Activity</h2>
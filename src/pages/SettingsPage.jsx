@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { 
   Mic, 
   Database, 
@@ -10,39 +10,52 @@ import {
   Info,
   AlertCircle,
   Server,
-  Trash2
+  Trash2,
+  Layers,
+  Pencil,
+  User,
+  Check
 } from "lucide-react";
-import { vocabularyDB } from "../services/db";
+import { vocabularyDB, deckDB, parseExamples, checkSchema } from "../services/db";
 import { ENDPOINTS } from "../services/api";
 import { useApp } from "../context/AppContext";
+import { useSettings } from "../hooks/useSettings";
+import { createBackup, validateBackup, APP_VERSION } from "../services/backup-service";
+import RestorePreview from "../components/RestorePreview";
+import { exportText, buildApkg, TEXT_FORMATS } from "../services/anki-service";
+import AnkiImportDialog from "../components/AnkiImportDialog";
+import { parsePlecoFile, exportPleco, PLECO_EXPORT_SOURCES } from "../services/pleco-service";
+import PlecoImportDialog from "../components/PlecoImportDialog";
+import { profileService } from "../services/profile-service";
+import { RUBY_MODES } from "../services/ruby";
 
 export default function SettingsPage() {
   // Get context values
   const { 
     status, 
     offlineMode, 
-    preferOfflinePractice, 
-    setPreferOfflinePractice 
+    reloadVocabulary,
+    decks,
+    reloadDecks
   } = useApp();
 
-  const [settings, setSettings] = useState({
-    useHoldToSpeak: true,
-    showWaveform: true,
-    sensitivity: 1.5,
-    hskFocus: [1, 2, 3],
-    preferOfflinePractice: false, // Will be overridden with context value
-    preInitializeAudio: true
-  });
+  const { settings, updateSetting } = useSettings();
   
-  const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [showHSKSelect, setShowHSKSelect] = useState(false);
-  const [appVersion, setAppVersion] = useState('1.2.0');
+  const [pendingBackup, setPendingBackup] = useState(null);
+  const [ankiExportScope, setAnkiExportScope] = useState('all');
+  const [ankiImportFile, setAnkiImportFile] = useState(null);
+  const [plecoExportSource, setPlecoExportSource] = useState(PLECO_EXPORT_SOURCES.FAVORITES);
+  const [plecoImport, setPlecoImport] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
   const [storageUsage, setStorageUsage] = useState(null);
   const [dataStats, setDataStats] = useState({
     wordCount: 0,
     sentenceCount: 0
   });
+  const [schemaStatus, setSchemaStatus] = useState(null);
   
   // Server connection settings
   const [serverBaseUrl, setServerBaseUrl] = useState(() => {
@@ -65,14 +78,7 @@ export default function SettingsPage() {
         // Count sentences
         let sentenceCount = 0;
         words.forEach(word => {
-          try {
-            const examples = JSON.parse(word.examples || '[]');
-            if (Array.isArray(examples)) {
-              sentenceCount += examples.length;
-            }
-          } catch (error) {
-            // Ignore parsing errors
-          }
+          sentenceCount += parseExamples(word.examples).length;
         });
         
         setDataStats({
@@ -80,6 +86,9 @@ export default function SettingsPage() {
           sentenceCount: sentenceCount
         });
         
+        // Database schema self-check
+        setSchemaStatus(await checkSchema());
+        
         // Estimate storage usage
         if (navigator.storage && navigator.storage.estimate) {
           const estimate = await navigator.storage.estimate();
@@ -102,67 +111,15 @@ export default function SettingsPage() {
     loadStats();
   }, []);
   
-  // Load settings
-  useEffect(() => {
-    const loadSettings = async () => {
-      try {
-        setLoading(true);
-        
-        // Try to load from localStorage first (for settings that need to be quickly accessible)
-        const appSettings = localStorage.getItem('appSettings');
-        if (appSettings) {
-          const parsedSettings = JSON.parse(appSettings);
-          setSettings(prev => ({
-            ...prev,
-            ...parsedSettings,
-            preferOfflinePractice // Always use the value from context
-          }));
-        } else {
-          // If no settings in localStorage, use context value for offline mode
-          setSettings(prev => ({
-            ...prev,
-            preferOfflinePractice
-          }));
-        }
-        
-        setLoading(false);
-      } catch (error) {
-        console.error("Error loading settings:", error);
-        setLoading(false);
-      }
-    };
-    
-    loadSettings();
-  }, [preferOfflinePractice]);
-  
-  // Save a setting
+  // Save a setting (everything using it updates right away)
   const saveSetting = async (key, value) => {
     try {
       setSaving(true);
-      
-      // If changing offline practice mode, update context too
-      if (key === 'preferOfflinePractice') {
-        setPreferOfflinePractice(value);
-      }
-      
-      // Update local state
-      setSettings(prev => ({
-        ...prev,
-        [key]: value
-      }));
-      
-      // Save to localStorage for quick access
-      try {
-        const appSettings = JSON.parse(localStorage.getItem('appSettings') || '{}');
-        appSettings[key] = value;
-        localStorage.setItem('appSettings', JSON.stringify(appSettings));
-      } catch (error) {
-        console.error("Error saving to localStorage:", error);
-      }
-      
-      setSaving(false);
+      await updateSetting(key, value);
     } catch (error) {
       console.error(`Error saving setting ${key}:`, error);
+      alert(`Failed to save setting: ${error.message}`);
+    } finally {
       setSaving(false);
     }
   };
@@ -223,6 +180,15 @@ export default function SettingsPage() {
     return `HSK ${settings.hskFocus.join(", ")}`;
   };
   
+  // Format the database self-check for display
+  const formatSchemaStatus = () => {
+    if (schemaStatus.ok) return `v${schemaStatus.version} (up to date)`;
+    
+    const missing = [...schemaStatus.missingStores, ...schemaStatus.missingIndexes];
+    return `v${schemaStatus.version} (expected v${schemaStatus.expectedVersion}` +
+      (missing.length > 0 ? `, missing ${missing.join(", ")})` : ")");
+  };
+  
   // Clear cache
   const clearCache = async () => {
     if (window.confirm("Are you sure you want to clear cached data? This won't affect your progress.")) {
@@ -260,88 +226,362 @@ export default function SettingsPage() {
     }
   };
   
-  // Export SRS progress
-  const exportSRSProgress = async () => {
+  // Download content (text or binary) as a file
+  const downloadFile = (content, filename, type) => {
+    const dataBlob = new Blob([content], { type });
+    const url = URL.createObjectURL(dataBlob);
+    
+    // Create a link and click it to download
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+  };
+  
+  // Download data as a JSON file
+  const downloadJSON = (data, filename) => {
+    downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+  };
+  
+  // Save everything that only lives on this device
+  const createBackupFile = async () => {
+    try {
+      setSaving(true);
+      const backup = await createBackup();
+      downloadJSON(backup, `hsk-backup-${new Date().toISOString().split('T')[0]}.json`);
+    } catch (error) {
+      console.error("Error creating backup:", error);
+      alert(`Failed to create backup: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  // Read a backup file and show what restoring it would change
+  const selectBackupFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    
+    const reader = new FileReader();
+    
+    reader.onload = (e) => {
+      try {
+        setPendingBackup(validateBackup(JSON.parse(e.target.result)));
+      } catch (error) {
+        console.error("Error reading backup file:", error);
+        alert(`Failed to read backup: ${error.message}`);
+      }
+    };
+    
+    reader.onerror = () => {
+      alert("Error reading file");
+    };
+    
+    reader.readAsText(file);
+  };
+  
+  // Export words for Anki, as a plain text file or a package
+  const exportToAnki = async (format) => {
     try {
       setSaving(true);
       
-      // Get progress data
-      const progressData = await vocabularyDB.exportProgress();
-      
-      // Create a download link
-      const dataStr = JSON.stringify(progressData, null, 2);
-      const dataBlob = new Blob([dataStr], { type: 'application/json' });
-      const url = URL.createObjectURL(dataBlob);
+      let words = (await vocabularyDB.getAll()).filter(word => !word.archived);
+      const deck = decks.find(d => d.id === ankiExportScope);
+      if (deck) {
+        const ids = new Set(deck.wordIds);
+        words = words.filter(word => ids.has(word.id));
+      } else if (ankiExportScope === 'practiced') {
+        words = words.filter(word => (word.reps || 0) > 0);
+      }
       
-      // Create a link and click it to download
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `hsk-progress-${new Date().toISOString().split('T')[0]}.json`;
-      document.body.appendChild(a);
-      a.click();
+      if (words.length === 0) {
+        alert("There are no words to export.");
+        return;
+      }
       
-      // Clean up
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }, 100);
+      const date = new Date().toISOString().split('T')[0];
+      const name = deck ? deck.name.replace(/[^\w\u3400-\u9fff-]+/g, '-') : 'hsk';
       
-      setSaving(false);
+      if (format === 'apkg') {
+        const content = await buildApkg(words, deck ? `HSK Master::${deck.name}` : 'HSK Master');
+        downloadFile(content, `${name}-${date}.apkg`, 'application/octet-stream');
+      } else {
+        const content = await exportText(words, format);
+        const type = format === TEXT_FORMATS.CSV ? 'text/csv' : 'text/tab-separated-values';
+        downloadFile(content, `${name}-${date}.${format}`, `${type};charset=utf-8`);
+      }
     } catch (error) {
-      console.error("Error exporting progress:", error);
-      alert(`Failed to export progress: ${error.message}`);
+      console.error("Error exporting for Anki:", error);
+      alert(`Failed to export: ${error.message}`);
+    } finally {
       setSaving(false);
     }
   };
   
-  // Import SRS progress from a file
-  const importSRSProgress = async (event) => {
+  const selectAnkiImportFile = (event) => {
     const file = event.target.files[0];
-    if (!file) return;
+    event.target.value = "";
+    if (file) setAnkiImportFile(file);
+  };
+  
+  const closeAnkiImport = useCallback(() => setAnkiImportFile(null), []);
+  
+  const handleAnkiImported = async (summary) => {
+    setAnkiImportFile(null);
+    await reloadVocabulary();
+    await reloadDecks();
     
+    alert([
+      `Matched ${summary.matched} existing words and added ${summary.created} new words.`,
+      summary.withProgress > 0 ? `Review progress carried over for ${summary.withProgress} words.` : "",
+      summary.skipped > 0 ? `Skipped ${summary.skipped} empty or duplicate rows.` : "",
+      summary.deck ? `The words are in the deck "${summary.deck.name}".` : ""
+    ].filter(Boolean).join("\n"));
+  };
+  
+  // Export flagged words as a Pleco flashcard file
+  const exportToPleco = async () => {
     try {
       setSaving(true);
       
-      // Read the file
-      const reader = new FileReader();
+      // Deck options are stored as "deck:<id>"
+      const [source, deckId = null] = plecoExportSource.split(':');
+      const { text, count } = await exportPleco(source, deckId);
       
-      reader.onload = async (e) => {
-        try {
-          const progressData = JSON.parse(e.target.result);
-          
-          // Validate format
-          if (!progressData || !progressData.progressData || !Array.isArray(progressData.progressData)) {
-            throw new Error("Invalid progress data format");
-          }
-          
-          // Import the progress
-          const count = await vocabularyDB.importProgress(progressData);
-          
-          alert(`Successfully imported progress for ${count} words.`);
-          setSaving(false);
-        } catch (error) {
-          console.error("Error parsing progress file:", error);
-          alert(`Failed to import progress: ${error.message}`);
-          setSaving(false);
-        }
-      };
+      if (count === 0) {
+        alert("There are no words to export.");
+        return;
+      }
       
-      reader.onerror = () => {
-        alert("Error reading file");
-        setSaving(false);
-      };
+      downloadFile(text, `pleco-flashcards-${new Date().toISOString().split('T')[0]}.txt`, 'text/plain;charset=utf-8');
+    } catch (error) {
+      console.error("Error exporting for Pleco:", error);
+      alert(`Failed to export: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const selectPlecoImportFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    
+    const reader = new FileReader();
+    
+    reader.onload = (e) => {
+      try {
+        setPlecoImport({ flashcards: parsePlecoFile(e.target.result), fileName: file.name });
+      } catch (error) {
+        console.error("Error reading Pleco file:", error);
+        alert(`Failed to read file: ${error.message}`);
+      }
+    };
+    
+    reader.onerror = () => {
+      alert("Error reading file");
+    };
+    
+    reader.readAsText(file);
+  };
+  
+  const handlePlecoImported = async (summary) => {
+    setPlecoImport(null);
+    await reloadVocabulary();
+    await reloadDecks();
+    
+    alert([
+      `Matched ${summary.matched} existing words and added ${summary.created} new words.`,
+      summary.decks > 0 ? `Categories added as decks: ${summary.decks}` : ""
+    ].filter(Boolean).join("\n"));
+  };
+  
+  const closeRestorePreview = useCallback(() => setPendingBackup(null), []);
+  
+  const handleRestored = (summary) => {
+    setPendingBackup(null);
+    
+    const restored = summary.progress.restored + summary.customWords.added + summary.edits.applied;
+    alert(`Backup restored: ${restored} words, ${summary.decks.added + summary.decks.merged} decks and ${summary.reviews.added} reviews. The app will now reload.`);
+    
+    // Settings and vocabulary are read when the app starts
+    window.location.reload();
+  };
+  
+  // Learner profiles
+  const loadProfiles = useCallback(async () => {
+    try {
+      setProfiles(await profileService.getProfiles());
+      setActiveProfileId(profileService.getActiveProfileId());
+    } catch (error) {
+      console.error("Error loading profiles:", error);
+    }
+  }, []);
+  
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+  
+  const addProfile = async () => {
+    const name = window.prompt("Name of the new profile:");
+    if (name === null) return;
+    
+    try {
+      await profileService.createProfile(name);
+      await loadProfiles();
+    } catch (error) {
+      console.error("Error creating profile:", error);
+      alert(`Failed to create profile: ${error.message}`);
+    }
+  };
+  
+  const renameProfile = async (profile) => {
+    const name = window.prompt("Profile name:", profile.name);
+    if (name === null || name.trim() === profile.name) return;
+    
+    try {
+      await profileService.renameProfile(profile.id, name);
+      await loadProfiles();
+    } catch (error) {
+      console.error("Error renaming profile:", error);
+      alert(`Failed to rename profile: ${error.message}`);
+    }
+  };
+  
+  const deleteProfile = async (profile) => {
+    if (!window.confirm(`Delete the profile "${profile.name}" and all of its progress? This cannot be undone.`)) return;
+    
+    try {
+      await profileService.deleteProfile(profile.id);
+      await loadProfiles();
+    } catch (error) {
+      console.error("Error deleting profile:", error);
+      alert(`Failed to delete profile: ${error.message}`);
+    }
+  };
+  
+  const switchProfile = async (profile) => {
+    try {
+      setSaving(true);
+      await profileService.switchProfile(profile.id);
+      // Start fresh so nothing of the previous profile stays in memory
+      window.location.reload();
+    } catch (error) {
+      console.error("Error switching profile:", error);
+      alert(`Failed to switch profile: ${error.message}`);
+      setSaving(false);
+    }
+  };
+  
+  const exportProfile = async (profile) => {
+    try {
+      setSaving(true);
+      const backup = await profileService.exportProfile(profile.id);
+      const name = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      downloadJSON(backup, `hsk-profile-${name}-${new Date().toISOString().split('T')[0]}.json`);
+    } catch (error) {
+      console.error("Error exporting profile:", error);
+      alert(`Failed to export profile: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  // Rename a deck
+  const renameDeck = async (deck) => {
+    const name = window.prompt("Deck name:", deck.name);
+    if (name === null || name.trim() === deck.name) return;
+    
+    try {
+      await deckDB.rename(deck.id, name);
+      await reloadDecks();
+    } catch (error) {
+      console.error("Error renaming deck:", error);
+      alert(`Failed to rename deck: ${error.message}`);
+    }
+  };
+  
+  // Delete a deck (its words stay in the vocabulary)
+  const deleteDeck = async (deck) => {
+    if (!window.confirm(`Delete the deck "${deck.name}"? The words themselves are kept.`)) return;
+    
+    try {
+      await deckDB.delete(deck.id);
+      
+      // Fall back to the HSK levels if this deck was being practiced
+      if (settings.practiceDeckId === deck.id) {
+        saveSetting('practiceDeckId', null);
+      }
       
-      reader.readAsText(file);
+      await reloadDecks();
     } catch (error) {
-      console.error("Error importing progress:", error);
-      alert(`Failed to import progress: ${error.message}`);
+      console.error("Error deleting deck:", error);
+      alert(`Failed to delete deck: ${error.message}`);
+    }
+  };
+  
+  // Export all decks
+  const exportDecks = async () => {
+    try {
+      setSaving(true);
+      const deckData = await deckDB.exportDecks();
+      downloadJSON(deckData, `hsk-decks-${new Date().toISOString().split('T')[0]}.json`);
+    } catch (error) {
+      console.error("Error exporting decks:", error);
+      alert(`Failed to export decks: ${error.message}`);
+    } finally {
       setSaving(false);
     }
   };
   
+  // Import decks from a file
+  const importDecks = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    setSaving(true);
+    const reader = new FileReader();
+    
+    reader.onload = async (e) => {
+      try {
+        const summary = await deckDB.importDecks(JSON.parse(e.target.result));
+        await reloadDecks();
+        
+        alert([
+          `Imported decks: ${summary.created} new, ${summary.merged} merged.`,
+          `Words added to decks: ${summary.words}`,
+          summary.unmatched.length > 0
+            ? `Words not in your vocabulary (skipped): ${summary.unmatched.length}`
+            : ""
+        ].filter(Boolean).join("\n"));
+      } catch (error) {
+        console.error("Error importing decks:", error);
+        alert(`Failed to import decks: ${error.message}`);
+      } finally {
+        setSaving(false);
+        event.target.value = "";
+      }
+    };
+    
+    reader.onerror = () => {
+      alert("Error reading file");
+      setSaving(false);
+    };
+    
+    reader.readAsText(file);
+  };
+  
   // Import full database from server
   const importFullDatabase = async () => {
-    if (window.confirm("This will download the entire vocabulary database from the server and replace your local copy. Your learning progress will be reset. Continue?")) {
+    if (window.confirm("This will download the vocabulary from the server and merge it into your local copy. Your learning progress and favorites are kept. Continue?")) {
       try {
         setSaving(true);
         
@@ -362,18 +602,21 @@ export default function SettingsPage() {
           throw new Error("Server returned empty or invalid vocabulary data");
         }
         
-        // Import vocabulary
-        const wordCount = await vocabularyDB.importFromServer(vocabulary);
+        // Merge vocabulary into the local database
+        const summary = await vocabularyDB.importFromServer(vocabulary);
         
         // Update stats
-        setDataStats({
-          wordCount
-        });
+        setDataStats(prev => ({
+          ...prev,
+          wordCount: summary.total
+        }));
         
         // Save import timestamp
         localStorage.setItem('lastDatabaseImport', new Date().toISOString());
         
-        alert(`Successfully imported ${wordCount} words.`);
+        await reloadVocabulary();
+        
+        alert(formatImportSummary(summary));
       } catch (error) {
         console.error("Error importing database:", error);
         alert(`Failed to import database: ${error.message}`);
@@ -383,6 +626,26 @@ export default function SettingsPage() {
     }
   };
   
+  // Describe the result of a vocabulary merge
+  const formatImportSummary = (summary) => {
+    const listWords = (words) => {
+      if (words.length === 0) return "";
+      const preview = words.slice(0, 10).join("、");
+      return words.length > 10 ? `: ${preview} …` : `: ${preview}`;
+    };
+    
+    return [
+      `Vocabulary updated (${summary.total} words on the server).`,
+      "",
+      `Added: ${summary.added.length}${listWords(summary.added)}`,
+      `Changed: ${summary.updated.length}${listWords(summary.updated)}`,
+      `Removed (archived): ${summary.archived.length}${listWords(summary.archived)}`,
+      `Unchanged: ${summary.unchanged}`,
+      "",
+      "Your learning progress, own words and edits were kept."
+    ].join("\n");
+  };
+  
   // Save server URLs
   const saveServerUrls = () => {
     // Save both URLs
@@ -413,406 +676,776 @@ export default function SettingsPage() {
 
   return (
     <div className="p-4 space-y-5 pb-20">
-      {loading ? (
-        <div className="flex justify-center items-center py-10">
-          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-red-500"></div>
+      {/* Connection Status */}
+      <div className="bg-white rounded-xl shadow-sm border border-neutral-100 mb-5">
+        <div className="p-4 flex items-center justify-between">
+          <div className="flex items-center">
+            {offlineMode ? (
+              <WifiOff size={20} className="text-amber-500 mr-2" />
+            ) : (
+              <Wifi size={20} className="text-green-500 mr-2" />
+            )}
+            <span className="text-neutral-800 font-medium">
+              {offlineMode ? "Offline Mode" : "Connected"}
+            </span>
+          </div>
+          <span className="text-sm text-neutral-500">
+            {offlineMode ? "Some features limited" : `Status: ${status}`}
+          </span>
         </div>
-      ) : (
-        <>
-          {/* Connection Status */}
-          <div className="bg-white rounded-xl shadow-sm border border-neutral-100 mb-5">
-            <div className="p-4 flex items-center justify-between">
-              <div className="flex items-center">
-                {offlineMode ? (
-                  <WifiOff size={20} className="text-amber-500 mr-2" />
-                ) : (
-                  <Wifi size={20} className="text-green-500 mr-2" />
-                )}
-                <span className="text-neutral-800 font-medium">
-                  {offlineMode ? "Offline Mode" : "Connected"}
-                </span>
-              </div>
-              <span className="text-sm text-neutral-500">
-                {offlineMode ? "Some features limited" : `Status: ${status}`}
+      </div>
+      
+      {/* Server Configuration */}
+      <div className="bg-white rounded-xl shadow-sm border border-neutral-100 mb-5">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="flex items-center">
+            <Server size={18} className="text-red-500 mr-2" />
+            <h2 className="text-lg font-medium text-neutral-900">Server Connection</h2>
+          </div>
+        </div>
+        
+        <div className="p-4 space-y-4">
+          {/* Current Connection Status */}
+          <div className="mb-4 p-2 bg-neutral-50 rounded-md border border-neutral-100">
+            <div className="flex items-center">
+              <div 
+                className={`w-3 h-3 rounded-full mr-2 ${
+                  status === "connected" ? "bg-green-500" : 
+                  status === "connecting" ? "bg-amber-500" :
+                  "bg-red-500"
+                }`}
+              ></div>
+              <span className="text-sm text-neutral-600">
+                Status: {status}
               </span>
             </div>
           </div>
           
-          {/* Server Configuration */}
-          <div className="bg-white rounded-xl shadow-sm border border-neutral-100 mb-5">
-            <div className="p-4 border-b border-neutral-100">
-              <div className="flex items-center">
-                <Server size={18} className="text-red-500 mr-2" />
-                <h2 className="text-lg font-medium text-neutral-900">Server Connection</h2>
-              </div>
+          {/* Server Base URL */}
+          <div>
+            <label className="block text-sm font-medium text-neutral-700 mb-1">
+              Server URL
+            </label>
+            <div className="flex items-center">
+              <span className="bg-neutral-50 px-3 py-2 rounded-l-md border border-r-0 border-neutral-200 text-neutral-500">
+                https://
+              </span>
+              <input
+                type="text"
+                value={serverBaseUrl}
+                onChange={(e) => setServerBaseUrl(e.target.value)}
+                placeholder="your-ngrok-url.ngrok.io"
+                className="flex-1 p-2 border border-neutral-200 focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+              <span className="bg-neutral-50 px-3 py-2 rounded-r-md border border-l-0 border-neutral-200 text-neutral-500">
+                /
+              </span>
             </div>
-            
-            <div className="p-4 space-y-4">
-              {/* Current Connection Status */}
-              <div className="mb-4 p-2 bg-neutral-50 rounded-md border border-neutral-100">
-                <div className="flex items-center">
-                  <div 
-                    className={`w-3 h-3 rounded-full mr-2 ${
-                      status === "connected" ? "bg-green-500" : 
-                      status === "connecting" ? "bg-amber-500" :
-                      "bg-red-500"
-                    }`}
-                  ></div>
-                  <span className="text-sm text-neutral-600">
-                    Status: {status}
-                  </span>
-                </div>
-              </div>
-              
-              {/* Server Base URL */}
+            <p className="mt-1 text-xs text-neutral-500">
+              Example: abcd1234.ngrok.io
+            </p>
+          </div>
+          
+          {/* Preview of URLs that will be used */}
+          <div className="text-xs text-neutral-600 space-y-1 bg-neutral-50 p-2 rounded border border-neutral-100">
+            <div><strong>API URL:</strong> https://{serverBaseUrl}</div>
+            <div><strong>WebSocket URL:</strong> wss://{serverBaseUrl}/ws/api</div>
+          </div>
+          
+          {/* Save Button */}
+          <div className="flex justify-end">
+            <button
+              onClick={saveServerUrls}
+              className="px-4 py-2 bg-red-500 text-white rounded-md font-medium"
+              disabled={saving}
+            >
+              Save and Reload
+            </button>
+          </div>
+        </div>
+      </div>
+    
+      {/* Profiles */}
+      <div className="bg-white rounded-xl shadow-sm border border-neutral-100">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="flex items-center">
+            <User size={18} className="text-red-500 mr-2" />
+            <h2 className="text-lg font-medium text-neutral-900">Profiles</h2>
+          </div>
+          <div className="text-sm text-neutral-500 mt-1">
+            Each profile has its own progress, favorites, decks and settings. The words are shared.
+          </div>
+        </div>
+        
+        <div className="divide-y divide-neutral-100">
+          {profiles.map(profile => (
+            <div key={profile.id} className="p-4 flex justify-between items-center">
               <div>
-                <label className="block text-sm font-medium text-neutral-700 mb-1">
-                  Server URL
-                </label>
-                <div className="flex items-center">
-                  <span className="bg-neutral-50 px-3 py-2 rounded-l-md border border-r-0 border-neutral-200 text-neutral-500">
-                    https://
-                  </span>
-                  <input
-                    type="text"
-                    value={serverBaseUrl}
-                    onChange={(e) => setServerBaseUrl(e.target.value)}
-                    placeholder="your-ngrok-url.ngrok.io"
-                    className="flex-1 p-2 border border-neutral-200 focus:outline-none focus:ring-2 focus:ring-red-500"
-                  />
-                  <span className="bg-neutral-50 px-3 py-2 rounded-r-md border border-l-0 border-neutral-200 text-neutral-500">
-                    /
-                  </span>
+                <div className="font-medium text-neutral-800 flex items-center">
+                  {profile.name}
+                  {profile.id === activeProfileId && <Check size={16} className="text-green-600 ml-1" />}
+                </div>
+                <div className="text-sm text-neutral-500">
+                  {profile.id === activeProfileId ? "Active" : "Since " + new Date(profile.createdAt).toLocaleDateString()}
                 </div>
-                <p className="mt-1 text-xs text-neutral-500">
-                  Example: abcd1234.ngrok.io
-                </p>
-              </div>
-              
-              {/* Preview of URLs that will be used */}
-              <div className="text-xs text-neutral-600 space-y-1 bg-neutral-50 p-2 rounded border border-neutral-100">
-                <div><strong>API URL:</strong> https://{serverBaseUrl}</div>
-                <div><strong>WebSocket URL:</strong> wss://{serverBaseUrl}/ws/api</div>
               </div>
-              
-              {/* Save Button */}
-              <div className="flex justify-end">
+              <div className="flex space-x-2">
+                {profile.id !== activeProfileId && (
+                  <button
+                    onClick={() => switchProfile(profile)}
+                    disabled={saving}
+                    className="px-3 py-1.5 rounded-lg text-sm font-medium bg-red-100 text-red-800"
+                  >
+                    Switch
+                  </button>
+                )}
+                <button
+                  onClick={() => exportProfile(profile)}
+                  disabled={saving}
+                  className="p-2 rounded-full bg-neutral-100 text-neutral-600"
+                  title="Export"
+                >
+                  <ArrowDownToLine size={16} />
+                </button>
                 <button
-                  onClick={saveServerUrls}
-                  className="px-4 py-2 bg-red-500 text-white rounded-md font-medium"
+                  onClick={() => renameProfile(profile)}
                   disabled={saving}
+                  className="p-2 rounded-full bg-neutral-100 text-neutral-600"
+                  title="Rename"
                 >
-                  Save and Reload
+                  <Pencil size={16} />
                 </button>
+                {profile.id !== activeProfileId && (
+                  <button
+                    onClick={() => deleteProfile(profile)}
+                    disabled={saving}
+                    className="p-2 rounded-full bg-red-50 text-red-600"
+                    title="Delete"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                )}
               </div>
             </div>
+          ))}
+          
+          <div className="p-4">
+            <button
+              onClick={addProfile}
+              disabled={saving}
+              className="w-full py-2 bg-neutral-100 text-neutral-700 rounded-lg font-medium"
+            >
+              Add Profile
+            </button>
+          </div>
+        </div>
+      </div>
+      
+      {/* Audio Settings */}
+      <div className="bg-white rounded-xl shadow-sm border border-neutral-100">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="flex items-center">
+            <Mic size={18} className="text-red-500 mr-2" />
+            <h2 className="text-lg font-medium text-neutral-900">Audio Settings</h2>
           </div>
+        </div>
         
-          {/* Audio Settings */}
-          <div className="bg-white rounded-xl shadow-sm border border-neutral-100">
-            <div className="p-4 border-b border-neutral-100">
-              <div className="flex items-center">
-                <Mic size={18} className="text-red-500 mr-2" />
-                <h2 className="text-lg font-medium text-neutral-900">Audio Settings</h2>
-              </div>
+        <div className="divide-y divide-neutral-100">
+          {/* Hold to Speak Toggle */}
+          <SettingsToggle
+            label="Hold to Speak"
+            description="Hold space bar or button to record"
+            checked={settings.useHoldToSpeak}
+            onChange={() => toggleSetting('useHoldToSpeak')}
+            disabled={saving}
+          />
+          
+          {/* Show Waveform Toggle */}
+          <SettingsToggle
+            label="Audio Waveform"
+            description="Show audio visualization"
+            checked={settings.showWaveform}
+            onChange={() => toggleSetting('showWaveform')}
+            disabled={saving}
+          />
+          
+          {/* Pre-initialize Audio Toggle */}
+          <SettingsToggle
+            label="Pre-initialize Audio"
+            description="Reduces recording startup delay"
+            checked={settings.preInitializeAudio}
+            onChange={() => toggleSetting('preInitializeAudio')}
+            disabled={saving}
+          />
+          
+          {/* Microphone Sensitivity */}
+          <div className="p-4">
+            <div className="mb-2">
+              <div className="font-medium text-neutral-800">Microphone Sensitivity</div>
+              <div className="text-sm text-neutral-500">Adjust input level</div>
             </div>
-            
-            <div className="divide-y divide-neutral-100">
-              {/* Hold to Speak Toggle */}
-              <SettingsToggle
-                label="Hold to Speak"
-                description="Hold space bar or button to record"
-                checked={settings.useHoldToSpeak}
-                onChange={() => toggleSetting('useHoldToSpeak')}
-                disabled={saving}
-              />
-              
-              {/* Show Waveform Toggle */}
-              <SettingsToggle
-                label="Audio Waveform"
-                description="Show audio visualization"
-                checked={settings.showWaveform}
-                onChange={() => toggleSetting('showWaveform')}
-                disabled={saving}
-              />
-              
-              {/* Pre-initialize Audio Toggle */}
-              <SettingsToggle
-                label="Pre-initialize Audio"
-                description="Reduces recording startup delay"
-                checked={settings.preInitializeAudio}
-                onChange={() => toggleSetting('preInitializeAudio')}
-                disabled={saving}
-              />
-              
-              {/* Microphone Sensitivity */}
-              <div className="p-4">
-                <div className="mb-2">
-                  <div className="font-medium text-neutral-800">Microphone Sensitivity</div>
-                  <div className="text-sm text-neutral-500">Adjust input level</div>
-                </div>
-                <div className="flex items-center">
-                  <span className="text-sm text-neutral-500 mr-2">Low</span>
-                  <input 
-                    type="range" 
-                    min="0.5" 
-                    max="3" 
-                    step="0.1"
-                    value={settings.sensitivity}
-                    onChange={(e) => saveSetting('sensitivity', parseFloat(e.target.value))}
-                    className="w-full h-2 bg-neutral-100 rounded-lg appearance-none cursor-pointer accent-red-500"
-                    disabled={saving}
-                  />
-                  <span className="text-sm text-neutral-500 ml-2">High</span>
-                </div>
-              </div>
-              
-              {/* Prefer Offline Practice Toggle */}
-              <SettingsToggle
-                label="Offline Practice Mode"
-                description="Focus on character recognition"
-                checked={settings.preferOfflinePractice}
-                onChange={() => toggleSetting('preferOfflinePractice')}
+            <div className="flex items-center">
+              <span className="text-sm text-neutral-500 mr-2">Low</span>
+              <input 
+                type="range" 
+                min="0.5" 
+                max="3" 
+                step="0.1"
+                value={settings.sensitivity}
+                onChange={(e) => saveSetting('sensitivity', parseFloat(e.target.value))}
+                className="w-full h-2 bg-neutral-100 rounded-lg appearance-none cursor-pointer accent-red-500"
                 disabled={saving}
               />
+              <span className="text-sm text-neutral-500 ml-2">High</span>
             </div>
           </div>
           
-          {/* Learning Settings */}
-          <div className="bg-white rounded-xl shadow-sm border border-neutral-100">
-            <div className="p-4 border-b border-neutral-100">
-              <div className="flex items-center">
-                <Database size={18} className="text-red-500 mr-2" />
-                <h2 className="text-lg font-medium text-neutral-900">Learning Settings</h2>
-              </div>
+          {/* Prefer Offline Practice Toggle */}
+          <SettingsToggle
+            label="Offline Practice Mode"
+            description="Focus on character recognition"
+            checked={settings.preferOfflinePractice}
+            onChange={() => toggleSetting('preferOfflinePractice')}
+            disabled={saving}
+          />
+        </div>
+      </div>
+      
+      {/* Learning Settings */}
+      <div className="bg-white rounded-xl shadow-sm border border-neutral-100">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="flex items-center">
+            <Database size={18} className="text-red-500 mr-2" />
+            <h2 className="text-lg font-medium text-neutral-900">Learning Settings</h2>
+          </div>
+        </div>
+        
+        <div className="divide-y divide-neutral-100">
+          {/* HSK Level Focus */}
+          <div 
+            className="p-4 flex justify-between items-center cursor-pointer"
+            onClick={() => setShowHSKSelect(!showHSKSelect)}
+          >
+            <div>
+              <div className="font-medium text-neutral-800">HSK Level Focus</div>
+              <div className="text-sm text-neutral-500">Choose which levels to practice</div>
             </div>
-            
-            <div className="divide-y divide-neutral-100">
-              {/* HSK Level Focus */}
-              <div 
-                className="p-4 flex justify-between items-center cursor-pointer"
-                onClick={() => setShowHSKSelect(!showHSKSelect)}
-              >
-                <div>
-                  <div className="font-medium text-neutral-800">HSK Level Focus</div>
-                  <div className="text-sm text-neutral-500">Choose which levels to practice</div>
-                </div>
-                <div className="flex items-center">
-                  <span className="text-sm text-neutral-600 mr-2">{formatHSKFocus()}</span>
-                  <RefreshCw size={18} className="text-neutral-400" />
-                </div>
-              </div>
-              
-              {/* HSK Selection Dropdown */}
-              {showHSKSelect && (
-                <div className="p-4 bg-neutral-50">
-                  <div className="text-sm font-medium mb-2 text-neutral-700">Select HSK Levels:</div>
-                  <div className="flex flex-wrap gap-2">
-                    {[1, 2, 3, 4, 5, 6].map(level => (
-                      <button
-                        key={level}
-                        onClick={() => toggleHSKLevel(level)}
-                        className={`px-3 py-1 rounded-full text-sm font-medium ${
-                          settings.hskFocus.includes(level)
-                            ? "bg-red-100 text-red-800"
-                            : "bg-neutral-100 text-neutral-600"
-                        }`}
-                      >
-                        HSK {level}
-                      </button>
-                    ))}
-                  </div>
-                </div>
-              )}
+            <div className="flex items-center">
+              <span className="text-sm text-neutral-600 mr-2">{formatHSKFocus()}</span>
+              <RefreshCw size={18} className="text-neutral-400" />
             </div>
           </div>
           
-          {/* Data Management */}
-          <div className="bg-white rounded-xl shadow-sm border border-neutral-100">
-            <div className="p-4 border-b border-neutral-100">
-              <div className="flex items-center">
-                <Database size={18} className="text-red-500 mr-2" />
-                <h2 className="text-lg font-medium text-neutral-900">Data Management</h2>
-              </div>
-            </div>
-            
-            <div className="divide-y divide-neutral-100">
-              {/* Storage Usage */}
-              {storageUsage && (
-                <div className="p-4">
-                  <div className="flex justify-between mb-1">
-                    <span className="text-sm font-medium text-neutral-700">Storage Usage</span>
-                    <span className="text-sm text-neutral-500">
-                      {storageUsage.usage} MB / {storageUsage.quota} MB
-                    </span>
-                  </div>
-                  <div className="w-full bg-neutral-100 rounded-full h-2.5">
-                    <div 
-                      className="bg-red-500 h-2.5 rounded-full" 
-                      style={{ width: `${storageUsage.percent}%` }}
-                    ></div>
-                  </div>
-                </div>
-              )}
-              
-              {/* Database Stats */}
-              <div className="p-4">
-                <div className="text-sm font-medium mb-2 text-neutral-700">Database Statistics</div>
-                <div className="flex flex-col space-y-1">
-                  <div className="flex justify-between">
-                    <span className="text-sm text-neutral-600">Vocabulary words:</span>
-                    <span className="text-sm font-medium text-neutral-800">{dataStats.wordCount}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-sm text-neutral-600">Example sentences:</span>
-                    <span className="text-sm font-medium text-neutral-800">{dataStats.sentenceCount}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-sm text-neutral-600">Last import:</span>
-                    <span className="text-sm font-medium text-neutral-800">
-                      {localStorage.getItem('lastDatabaseImport') 
-                        ? new Date(localStorage.getItem('lastDatabaseImport')).toLocaleString() 
-                        : 'Never'}
-                    </span>
-                  </div>
-                </div>
-              </div>
-              
-              {/* Import Database from Server */}
-              <div className="p-4">
-                <div className="flex justify-between items-center mb-3">
-                  <div>
-                    <div className="font-medium text-neutral-800">Import Database</div>
-                    <div className="text-sm text-neutral-500">Get data from server</div>
-                  </div>
-                  <button 
-                    onClick={importFullDatabase}
-                    disabled={saving || offlineMode}
-                    className={`px-3 py-1.5 rounded-lg text-sm font-medium ${
-                      saving || offlineMode
-                        ? "bg-neutral-200 text-neutral-500" 
-                        : "bg-red-100 text-red-800 hover:bg-red-200"
+          {/* HSK Selection Dropdown */}
+          {showHSKSelect && (
+            <div className="p-4 bg-neutral-50">
+              <div className="text-sm font-medium mb-2 text-neutral-700">Select HSK Levels:</div>
+              <div className="flex flex-wrap gap-2">
+                {[1, 2, 3, 4, 5, 6].map(level => (
+                  <button
+                    key={level}
+                    onClick={() => toggleHSKLevel(level)}
+                    className={`px-3 py-1 rounded-full text-sm font-medium ${
+                      settings.hskFocus.includes(level)
+                        ? "bg-red-100 text-red-800"
+                        : "bg-neutral-100 text-neutral-600"
                     }`}
                   >
-                    <ArrowDownToLine size={16} className="inline-block mr-1" />
-                    Import
+                    HSK {level}
                   </button>
-                </div>
-                
-                <div className="text-xs text-neutral-500 bg-neutral-50 p-2 rounded border border-neutral-100">
-                  <AlertCircle size={14} className="inline-block mr-1 text-amber-500" />
-                  This will replace your local database and reset progress
-                </div>
+                ))}
               </div>
-              
-              {/* Export/Import Progress */}
-              <div className="p-4">
-                <div className="flex justify-between items-center mb-3">
-                  <div>
-                    <div className="font-medium text-neutral-800">Export Progress</div>
-                    <div className="text-sm text-neutral-500">Save learning data</div>
+            </div>
+          )}
+          
+          {/* Practice Source */}
+          <div className="p-4 flex justify-between items-center">
+            <div>
+              <div className="font-medium text-neutral-800">Practice Source</div>
+              <div className="text-sm text-neutral-500">Practice a deck instead of the HSK levels</div>
+            </div>
+            <select
+              value={settings.practiceDeckId || ""}
+              onChange={(e) => saveSetting('practiceDeckId', e.target.value || null)}
+              className="max-w-[50%] p-1.5 border border-neutral-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+              disabled={saving}
+            >
+              <option value="">HSK levels</option>
+              {decks.map(deck => (
+                <option key={deck.id} value={deck.id}>
+                  {deck.name} ({deck.wordIds.length})
+                </option>
+              ))}
+            </select>
+          </div>
+          
+          {/* Pop-up Dictionary Toggle */}
+          <SettingsToggle
+            label="Pop-up Dictionary"
+            description="Hover or long-press Chinese text to look it up"
+            checked={settings.popupDictionary}
+            onChange={() => toggleSetting('popupDictionary')}
+            disabled={saving}
+          />
+          
+          {/* Pinyin above example sentences */}
+          <div className="p-4 flex justify-between items-center">
+            <div>
+              <div className="font-medium text-neutral-800">Pinyin Above Sentences</div>
+              <div className="text-sm text-neutral-500">Show pinyin over the characters of example sentences</div>
+            </div>
+            <select
+              value={settings.rubyMode}
+              onChange={(e) => saveSetting('rubyMode', e.target.value)}
+              className="max-w-[50%] p-1.5 border border-neutral-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+              disabled={saving}
+            >
+              <option value={RUBY_MODES.ALWAYS}>Always</option>
+              <option value={RUBY_MODES.UNKNOWN}>Unknown words</option>
+              <option value={RUBY_MODES.NEVER}>Never</option>
+            </select>
+          </div>
+          
+          {/* Daily Limits */}
+          <div className="p-4 flex justify-between items-center">
+            <div>
+              <div className="font-medium text-neutral-800">New Words per Day</div>
+              <div className="text-sm text-neutral-500">Words introduced in each daily session</div>
+            </div>
+            <input
+              type="number"
+              min="0"
+              max="500"
+              value={settings.newWordsPerDay}
+              onChange={(e) => saveSetting('newWordsPerDay', Math.max(0, parseInt(e.target.value, 10) || 0))}
+              className="w-20 p-1.5 border border-neutral-200 rounded-md text-right focus:outline-none focus:ring-2 focus:ring-red-500"
+              disabled={saving}
+            />
+          </div>
+          
+          <div className="p-4 flex justify-between items-center">
+            <div>
+              <div className="font-medium text-neutral-800">Reviews per Day</div>
+              <div className="text-sm text-neutral-500">Maximum reviews in each daily session</div>
+            </div>
+            <input
+              type="number"
+              min="0"
+              max="9999"
+              value={settings.reviewsPerDay}
+              onChange={(e) => saveSetting('reviewsPerDay', Math.max(0, parseInt(e.target.value, 10) || 0))}
+              className="w-20 p-1.5 border border-neutral-200 rounded-md text-right focus:outline-none focus:ring-2 focus:ring-red-500"
+              disabled={saving}
+            />
+          </div>
+          
+          <div className="p-4 flex justify-between items-center">
+            <div>
+              <div className="font-medium text-neutral-800">Leech Threshold</div>
+              <div className="text-sm text-neutral-500">Flag words forgotten this many times</div>
+            </div>
+            <input
+              type="number"
+              min="2"
+              max="50"
+              value={settings.leechThreshold}
+              onChange={(e) => saveSetting('leechThreshold', Math.max(2, parseInt(e.target.value, 10) || 2))}
+              className="w-20 p-1.5 border border-neutral-200 rounded-md text-right focus:outline-none focus:ring-2 focus:ring-red-500"
+              disabled={saving}
+            />
+          </div>
+        </div>
+      </div>
+      
+      {/* Decks */}
+      <div className="bg-white rounded-xl shadow-sm border border-neutral-100">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="flex items-center">
+            <Layers size={18} className="text-red-500 mr-2" />
+            <h2 className="text-lg font-medium text-neutral-900">Decks</h2>
+          </div>
+        </div>
+        
+        <div className="divide-y divide-neutral-100">
+          {decks.length === 0 ? (
+            <div className="p-4 text-sm text-neutral-500">
+              No decks yet. Add words to a deck from the vocabulary list or a word's detail view.
+            </div>
+          ) : (
+            decks.map(deck => (
+              <div key={deck.id} className="p-4 flex justify-between items-center">
+                <div>
+                  <div className="font-medium text-neutral-800">{deck.name}</div>
+                  <div className="text-sm text-neutral-500">
+                    {deck.wordIds.length} {deck.wordIds.length === 1 ? 'word' : 'words'}
                   </div>
-                  <button 
-                    onClick={exportSRSProgress}
-                    disabled={saving || dataStats.wordCount === 0}
-                    className={`px-3 py-1.5 rounded-lg text-sm font-medium ${
-                      saving || dataStats.wordCount === 0
-                        ? "bg-neutral-200 text-neutral-500" 
-                        : "bg-neutral-100 text-neutral-800 hover:bg-neutral-200"
-                    }`}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => renameDeck(deck)}
+                    disabled={saving}
+                    className="p-2 rounded-full bg-neutral-100 text-neutral-600"
+                    title="Rename"
                   >
-                    <ArrowUpFromLine size={16} className="inline-block mr-1" />
-                    Export
+                    <Pencil size={16} />
                   </button>
-                </div>
-                
-                <div className="mt-3">
-                  <div className="font-medium text-neutral-800 mb-1">Import Progress</div>
-                  <div className="text-sm text-neutral-500 mb-2">Restore from backup</div>
-                  
-                  <label className="flex items-center justify-center w-full px-4 py-2 bg-neutral-100 text-neutral-800 rounded-lg hover:bg-neutral-200 cursor-pointer">
-                    <ArrowDownToLine size={18} className="mr-2" />
-                    <span>Select Progress File</span>
-                    <input 
-                      type="file" 
-                      accept=".json" 
-                      className="hidden" 
-                      onChange={importSRSProgress}
-                      disabled={saving}
-                    />
-                  </label>
-                </div>
-              </div>
-              
-              {/* Reset Progress */}
-              <div className="p-4">
-                <div className="flex justify-between items-center mb-3">
-                  <div>
-                    <div className="font-medium text-neutral-800">Reset Progress</div>
-                    <div className="text-sm text-neutral-500">Clear learning data</div>
-                  </div>
-                  <button 
-                    onClick={resetAllProgress}
-                    disabled={saving || dataStats.wordCount === 0}
-                    className={`px-3 py-1.5 rounded-lg text-sm font-medium ${
-                      saving || dataStats.wordCount === 0
-                        ? "bg-neutral-200 text-neutral-500" 
-                        : "bg-red-100 text-red-800 hover:bg-red-200"
-                    }`}
+                  <button
+                    onClick={() => deleteDeck(deck)}
+                    disabled={saving}
+                    className="p-2 rounded-full bg-red-50 text-red-600"
+                    title="Delete"
                   >
-                    <Trash2 size={16} className="inline-block mr-1" />
-                    Reset
+                    <Trash2 size={16} />
                   </button>
                 </div>
-                
-                <div className="text-xs text-neutral-500 bg-neutral-50 p-2 rounded border border-neutral-100">
-                  <AlertCircle size={14} className="inline-block mr-1 text-red-500" />
-                  This will reset all words to initial learning status
-                </div>
               </div>
-              
-              {/* Clear Cache */}
-              <div className="p-4 flex justify-between items-center">
-                <div>
-                  <div className="font-medium text-neutral-800">Clear Cache</div>
-                  <div className="text-sm text-neutral-500">Free up storage space</div>
+            ))
+          )}
+          
+          {/* Export/Import Decks */}
+          <div className="p-4 flex space-x-2">
+            <button
+              onClick={exportDecks}
+              disabled={saving || decks.length === 0}
+              className={`flex-1 flex items-center justify-center px-4 py-2 rounded-lg text-sm font-medium ${
+                saving || decks.length === 0
+                  ? "bg-neutral-200 text-neutral-500"
+                  : "bg-neutral-100 text-neutral-800 hover:bg-neutral-200"
+              }`}
+            >
+              <ArrowUpFromLine size={16} className="mr-1" />
+              Export Decks
+            </button>
+            
+            <label className="flex-1 flex items-center justify-center px-4 py-2 bg-neutral-100 text-neutral-800 rounded-lg text-sm font-medium hover:bg-neutral-200 cursor-pointer">
+              <ArrowDownToLine size={16} className="mr-1" />
+              Import Decks
+              <input
+                type="file"
+                accept=".json"
+                className="hidden"
+                onChange={importDecks}
+                disabled={saving}
+              />
+            </label>
+          </div>
+        </div>
+      </div>
+      
+      {/* Data Management */}
+      <div className="bg-white rounded-xl shadow-sm border border-neutral-100">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="flex items-center">
+            <Database size={18} className="text-red-500 mr-2" />
+            <h2 className="text-lg font-medium text-neutral-900">Data Management</h2>
+          </div>
+        </div>
+        
+        <div className="divide-y divide-neutral-100">
+          {/* Storage Usage */}
+          {storageUsage && (
+            <div className="p-4">
+              <div className="flex justify-between mb-1">
+                <span className="text-sm font-medium text-neutral-700">Storage Usage</span>
+                <span className="text-sm text-neutral-500">
+                  {storageUsage.usage} MB / {storageUsage.quota} MB
+                </span>
+              </div>
+              <div className="w-full bg-neutral-100 rounded-full h-2.5">
+                <div 
+                  className="bg-red-500 h-2.5 rounded-full" 
+                  style={{ width: `${storageUsage.percent}%` }}
+                ></div>
+              </div>
+            </div>
+          )}
+          
+          {/* Database Stats */}
+          <div className="p-4">
+            <div className="text-sm font-medium mb-2 text-neutral-700">Database Statistics</div>
+            <div className="flex flex-col space-y-1">
+              <div className="flex justify-between">
+                <span className="text-sm text-neutral-600">Vocabulary words:</span>
+                <span className="text-sm font-medium text-neutral-800">{dataStats.wordCount}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-sm text-neutral-600">Example sentences:</span>
+                <span className="text-sm font-medium text-neutral-800">{dataStats.sentenceCount}</span>
+              </div>
+              {schemaStatus && (
+                <div className="flex justify-between">
+                  <span className="text-sm text-neutral-600">Database schema:</span>
+                  <span className={`text-sm font-medium ${schemaStatus.ok ? "text-neutral-800" : "text-red-600"}`}>
+                    {formatSchemaStatus()}
+                  </span>
                 </div>
-                <button 
-                  className="px-3 py-1.5 bg-neutral-100 text-neutral-800 rounded-lg text-sm font-medium"
-                  onClick={clearCache}
-                >
-                  Clear
-                </button>
+              )}
+              <div className="flex justify-between">
+                <span className="text-sm text-neutral-600">Last import:</span>
+                <span className="text-sm font-medium text-neutral-800">
+                  {localStorage.getItem('lastDatabaseImport') 
+                    ? new Date(localStorage.getItem('lastDatabaseImport')).toLocaleString() 
+                    : 'Never'}
+                </span>
               </div>
             </div>
           </div>
           
-          {/* About */}
-          <div className="bg-white rounded-xl shadow-sm border border-neutral-100">
-            <div className="p-4 border-b border-neutral-100">
-              <div className="flex items-center">
-                <Info size={18} className="text-red-500 mr-2" />
-                <h2 className="text-lg font-medium text-neutral-900">About</h2>
+          {/* Import Database from Server */}
+          <div className="p-4">
+            <div className="flex justify-between items-center mb-3">
+              <div>
+                <div className="font-medium text-neutral-800">Import Database</div>
+                <div className="text-sm text-neutral-500">Get data from server</div>
               </div>
+              <button 
+                onClick={importFullDatabase}
+                disabled={saving || offlineMode}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium ${
+                  saving || offlineMode
+                    ? "bg-neutral-200 text-neutral-500" 
+                    : "bg-red-100 text-red-800 hover:bg-red-200"
+                }`}
+              >
+                <ArrowDownToLine size={16} className="inline-block mr-1" />
+                Import
+              </button>
             </div>
             
-            <div className="p-4">
-              <div className="text-center mb-4">
-                <h3 className="text-xl font-bold text-red-500">HSK Master</h3>
-                <p className="text-sm text-neutral-500">Version {appVersion}</p>
+            <div className="text-xs text-neutral-500 bg-neutral-50 p-2 rounded border border-neutral-100">
+              <AlertCircle size={14} className="inline-block mr-1 text-amber-500" />
+              Updates words from the server. Your progress is kept
+            </div>
+          </div>
+          
+          {/* Backup and Restore */}
+          <div className="p-4">
+            <div className="flex justify-between items-center mb-3">
+              <div>
+                <div className="font-medium text-neutral-800">Create Backup</div>
+                <div className="text-sm text-neutral-500">Progress, own words, decks, history and settings</div>
               </div>
+              <button 
+                onClick={createBackupFile}
+                disabled={saving || dataStats.wordCount === 0}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium ${
+                  saving || dataStats.wordCount === 0
+                    ? "bg-neutral-200 text-neutral-500" 
+                    : "bg-neutral-100 text-neutral-800 hover:bg-neutral-200"
+                }`}
+              >
+                <ArrowUpFromLine size={16} className="inline-block mr-1" />
+                Backup
+              </button>
+            </div>
+            
+            <div className="mt-3">
+              <div className="font-medium text-neutral-800 mb-1">Restore Backup</div>
+              <div className="text-sm text-neutral-500 mb-2">Preview the changes before anything is replaced</div>
               
-              <p className="text-sm text-neutral-700 mb-3">
-                HSK Master helps you practice Chinese characters through spaced repetition
-                and pronunciation. Works offline for character recognition.
-              </p>
-              
-              <div className="text-center text-xs text-neutral-500">
-                &copy; {new Date().getFullYear()} HSK Master
+              <label className="flex items-center justify-center w-full px-4 py-2 bg-neutral-100 text-neutral-800 rounded-lg hover:bg-neutral-200 cursor-pointer">
+                <ArrowDownToLine size={18} className="mr-2" />
+                <span>Select Backup File</span>
+                <input 
+                  type="file" 
+                  accept=".json" 
+                  className="hidden" 
+                  onChange={selectBackupFile}
+                  disabled={saving}
+                />
+              </label>
+            </div>
+          </div>
+          
+          {/* Anki */}
+          <div className="p-4">
+            <div className="font-medium text-neutral-800 mb-1">Anki</div>
+            <div className="text-sm text-neutral-500 mb-2">Export notes with their review state, or import a deck</div>
+            
+            <select
+              value={ankiExportScope}
+              onChange={(e) => setAnkiExportScope(e.target.value)}
+              className="w-full px-3 py-2 mb-2 border border-neutral-300 rounded-lg text-sm"
+            >
+              <option value="all">All words</option>
+              <option value="practiced">Practiced words</option>
+              {decks.map(deck => (
+                <option key={deck.id} value={deck.id}>Deck: {deck.name}</option>
+              ))}
+            </select>
+            
+            <div className="flex space-x-2 mb-3">
+              {[
+                { format: TEXT_FORMATS.CSV, label: "CSV" },
+                { format: TEXT_FORMATS.TSV, label: "TSV" },
+                { format: 'apkg', label: ".apkg" }
+              ].map(option => (
+                <button
+                  key={option.format}
+                  onClick={() => exportToAnki(option.format)}
+                  disabled={saving || dataStats.wordCount === 0}
+                  className={`flex-1 flex items-center justify-center px-3 py-1.5 rounded-lg text-sm font-medium ${
+                    saving || dataStats.wordCount === 0
+                      ? "bg-neutral-200 text-neutral-500"
+                      : "bg-neutral-100 text-neutral-800 hover:bg-neutral-200"
+                  }`}
+                >
+                  <ArrowUpFromLine size={16} className="mr-1" />
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            
+            <label className="flex items-center justify-center w-full px-4 py-2 bg-neutral-100 text-neutral-800 rounded-lg hover:bg-neutral-200 cursor-pointer">
+              <ArrowDownToLine size={18} className="mr-2" />
+              <span>Import Anki or CSV File</span>
+              <input 
+                type="file" 
+                accept=".apkg,.csv,.tsv,.txt" 
+                className="hidden" 
+                onChange={selectAnkiImportFile}
+                disabled={saving}
+              />
+            </label>
+          </div>
+          
+          {/* Pleco */}
+          <div className="p-4">
+            <div className="font-medium text-neutral-800 mb-1">Pleco</div>
+            <div className="text-sm text-neutral-500 mb-2">Exchange flashcards with the Pleco dictionary</div>
+            
+            <div className="flex space-x-2 mb-3">
+              <select
+                value={plecoExportSource}
+                onChange={(e) => setPlecoExportSource(e.target.value)}
+                className="flex-1 min-w-0 px-3 py-2 border border-neutral-300 rounded-lg text-sm"
+              >
+                <option value={PLECO_EXPORT_SOURCES.FAVORITES}>Favorites</option>
+                <option value={PLECO_EXPORT_SOURCES.LEECHES}>Leeches</option>
+                <option value={PLECO_EXPORT_SOURCES.DECKS}>All decks</option>
+                {decks.map(deck => (
+                  <option key={deck.id} value={`${PLECO_EXPORT_SOURCES.DECKS}:${deck.id}`}>Deck: {deck.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={exportToPleco}
+                disabled={saving || dataStats.wordCount === 0}
+                className={`flex items-center px-3 py-1.5 rounded-lg text-sm font-medium ${
+                  saving || dataStats.wordCount === 0
+                    ? "bg-neutral-200 text-neutral-500"
+                    : "bg-neutral-100 text-neutral-800 hover:bg-neutral-200"
+                }`}
+              >
+                <ArrowUpFromLine size={16} className="mr-1" />
+                Export
+              </button>
+            </div>
+            
+            <label className="flex items-center justify-center w-full px-4 py-2 bg-neutral-100 text-neutral-800 rounded-lg hover:bg-neutral-200 cursor-pointer">
+              <ArrowDownToLine size={18} className="mr-2" />
+              <span>Import Pleco Flashcards</span>
+              <input 
+                type="file" 
+                accept=".txt" 
+                className="hidden" 
+                onChange={selectPlecoImportFile}
+                disabled={saving}
+              />
+            </label>
+          </div>
+          
+          {/* Reset Progress */}
+          <div className="p-4">
+            <div className="flex justify-between items-center mb-3">
+              <div>
+                <div className="font-medium text-neutral-800">Reset Progress</div>
+                <div className="text-sm text-neutral-500">Clear learning data</div>
               </div>
+              <button 
+                onClick={resetAllProgress}
+                disabled={saving || dataStats.wordCount === 0}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium ${
+                  saving || dataStats.wordCount === 0
+                    ? "bg-neutral-200 text-neutral-500" 
+                    : "bg-red-100 text-red-800 hover:bg-red-200"
+                }`}
+              >
+                <Trash2 size={16} className="inline-block mr-1" />
+                Reset
+              </button>
+            </div>
+            
+            <div className="text-xs text-neutral-500 bg-neutral-50 p-2 rounded border border-neutral-100">
+              <AlertCircle size={14} className="inline-block mr-1 text-red-500" />
+              This will reset all words to initial learning status
             </div>
           </div>
-        </>
+          
+          {/* Clear Cache */}
+          <div className="p-4 flex justify-between items-center">
+            <div>
+              <div className="font-medium text-neutral-800">Clear Cache</div>
+              <div className="text-sm text-neutral-500">Free up storage space</div>
+            </div>
+            <button 
+              className="px-3 py-1.5 bg-neutral-100 text-neutral-800 rounded-lg text-sm font-medium"
+              onClick={clearCache}
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+      </div>
+      
+      {/* About */}
+      <div className="bg-white rounded-xl shadow-sm border border-neutral-100">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="flex items-center">
+            <Info size={18} className="text-red-500 mr-2" />
+            <h2 className="text-lg font-medium text-neutral-900">About</h2>
+          </div>
+        </div>
+        
+        <div className="p-4">
+          <div className="text-center mb-4">
+            <h3 className="text-xl font-bold text-red-500">HSK Master</h3>
+            <p className="text-sm text-neutral-500">Version {APP_VERSION}</p>
+          </div>
+          
+          <p className="text-sm text-neutral-700 mb-3">
+            HSK Master helps you practice Chinese characters through spaced repetition
+            and pronunciation. Works offline for character recognition.
+          </p>
+          
+          <div className="text-center text-xs text-neutral-500">
+            &copy; {new Date().getFullYear()} HSK Master
+          </div>
+        </div>
+      </div>
+      
+      {ankiImportFile && (
+        <AnkiImportDialog
+          file={ankiImportFile}
+          onClose={closeAnkiImport}
+          onImported={handleAnkiImported}
+        />
+      )}
+      
+      {plecoImport && (
+        <PlecoImportDialog
+          flashcards={plecoImport.flashcards}
+          fileName={plecoImport.fileName}
+          onClose={() => setPlecoImport(null)}
+          onImported={handlePlecoImported}
+        />
+      )}
+      
+      {pendingBackup && (
+        <RestorePreview
+          backup={pendingBackup}
+          onClose={closeRestorePreview}
+          onRestored={handleRestored}
+        />
       )}
     </div>
   );
@@ -1,8 +1,41 @@
-import React, { useRef } from "react";
-import { Search, X, Filter, Heart, BookOpen, ChevronDown, ChevronUp } from "lucide-react";
-import { vocabularyDB } from "../services/db";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Search, X, Filter, Heart, BookOpen, ChevronDown, ChevronUp, AlertTriangle, PauseCircle, Layers, Plus, User } from "lucide-react";
+import { vocabularyDB, isWordAvailable, isCustomWord, hasLocalEdits } from "../services/db";
 import { useApp } from "../context/AppContext";
 import WordDetailView from "../components/WordDetailView";
+import { DeckPicker } from "../components/ui/DeckPicker";
+import WordEditor from "../components/WordEditor";
+import { VirtualList } from "../components/ui/VirtualList";
+import { JumpIndex } from "../components/ui/JumpIndex";
+
+const getWordKey = (word) => word.id;
+
+// First letter of a word's pinyin, without tone mark
+const pinyinInitial = (word) => {
+  const letter = (word.pinyin || "").normalize("NFD").charAt(0).toUpperCase();
+  return letter >= "A" && letter <= "Z" ? letter : "#";
+};
+
+// Sections for the jump index: HSK levels when the list spans several levels,
+// otherwise the initials of the pinyin. None for search results, which are ranked.
+const buildJumpTargets = (words, searching) => {
+  if (searching || words.length === 0) return [];
+
+  const multipleLevels = words.some(word => word.level !== words[0].level);
+  const labelOf = multipleLevels
+    ? (word) => (word.level === -1 ? "成" : String(word.level))
+    : pinyinInitial;
+
+  const targets = [];
+  const seen = new Set();
+  words.forEach((word, index) => {
+    const label = labelOf(word);
+    if (seen.has(label)) return;
+    seen.add(label);
+    targets.push({ label, index });
+  });
+  return targets;
+};
 
 export default function VocabularyPage() {
   // Get values from context
@@ -16,6 +49,9 @@ export default function VocabularyPage() {
     setSelectedLevel,
     filterType, 
     setFilterType,
+    decks,
+    selectedDeckId,
+    setSelectedDeckId,
     selectedWordId,
     toggleWordExpanded,
     openWordDetail,
@@ -25,6 +61,21 @@ export default function VocabularyPage() {
   } = useApp();
   
   const searchInputRef = useRef(null);
+  const [showEditor, setShowEditor] = useState(false);
+  
+  // The word list keeps its scroll position (as the top visible word) while the
+  // detail view is open
+  const listRef = useRef(null);
+  const listAnchorRef = useRef(null);
+  
+  // A different list starts at the top
+  useEffect(() => {
+    listAnchorRef.current = null;
+  }, [searchTerm, selectedLevel, filterType, selectedDeckId]);
+  
+  const jumpTargets = useMemo(() => {
+    return buildJumpTargets(filteredVocabulary, searchTerm.trim() !== "");
+  }, [filteredVocabulary, searchTerm]);
 
   // Clear search
   const clearSearch = () => {
@@ -62,6 +113,175 @@ export default function VocabularyPage() {
     }
   };
 
+  // One row of the word list
+  const renderWord = (word) => (
+    <div className="bg-white rounded-xl shadow-sm border border-neutral-100 overflow-hidden">
+      {/* Word Header - Clickable area */}
+      <div className="p-4 cursor-pointer" onClick={() => toggleWordExpanded(word.id)}>
+        <div className="flex justify-between items-start">
+          <div>
+            <div className="flex items-center">
+              <span className="text-xl font-bold text-neutral-900">{word.simplified}</span>
+            </div>
+            <div className="text-sm text-red-500">{word.pinyin}</div>
+          </div>
+
+          <div className="flex items-center">
+            {word.level === -1 ? (
+              <span className="text-xs bg-blue-50 text-blue-600 px-2 py-0.5 rounded-full font-medium mr-2">
+                Chengyu
+              </span>
+            ) : (
+              <span className="text-xs bg-red-50 text-red-600 px-2 py-0.5 rounded-full font-medium mr-2">
+                HSK {word.level}
+              </span>
+            )}
+
+            {/* Mastery Indicator - Only show for regular words, not chengyu */}
+            {word.level !== -1 && (
+              word.correctCount > 0 ? (
+                <span className="text-xs bg-green-50 text-green-700 px-2 py-0.5 rounded-full font-medium mr-2">
+                  Mastered
+                </span>
+              ) : (
+                <span className="text-xs bg-amber-50 text-amber-700 px-2 py-0.5 rounded-full font-medium mr-2">
+                  Learning
+                </span>
+              )
+            )}
+
+            {word.isLeech && (
+              <span className="text-xs bg-purple-50 text-purple-700 px-2 py-0.5 rounded-full font-medium mr-2">
+                Leech
+              </span>
+            )}
+
+            {!isWordAvailable(word) && (
+              <span className="text-xs bg-neutral-100 text-neutral-600 px-2 py-0.5 rounded-full font-medium mr-2">
+                {word.suspended ? "Suspended" : "Buried"}
+              </span>
+            )}
+
+            {(isCustomWord(word) || hasLocalEdits(word)) && (
+              <span className="text-xs bg-teal-50 text-teal-700 px-2 py-0.5 rounded-full font-medium mr-2">
+                {isCustomWord(word) ? "Mine" : "Edited"}
+              </span>
+            )}
+
+            {/* Favorite Button */}
+            <button 
+              onClick={(e) => toggleFavorite(word.id, e)}
+              className={`p-1 rounded-full ${
+                word.isFavorite
+                  ? 'text-red-500 hover:text-red-700'
+                  : 'text-neutral-400 hover:text-neutral-600'
+              }`}
+            >
+              <Heart 
+                size={18} 
+                fill={word.isFavorite ? 'currentColor' : 'none'} 
+              />
+            </button>
+
+            {/* Expand indicator */}
+            <button className="text-neutral-400">
+              {selectedWordId === word.id ? (
+                <ChevronUp size={18} />
+              ) : (
+                <ChevronDown size={18} />
+              )}
+            </button>
+          </div>
+        </div>
+
+        {/* Meaning */}
+        <div className="mt-1 text-sm text-neutral-700">
+          {word.level === -1 ? (
+              <div>
+                {word.meanings && word.meanings.includes('----') ? (
+                    <p>{word.meanings.split('----')[0]}</p>
+                ) : (
+                  <p>{word.meanings}</p>
+                )}
+              </div>
+            ) : (
+              <div>{word.meanings || word.english}</div>
+            )
+          }
+        </div>
+
+        {/* SRS Level Indicator if available */}
+        {word.srsLevel > 0 && (
+          <div className="mt-2 flex items-center">
+            <div className="bg-neutral-50 text-neutral-700 text-xs px-2 py-0.5 rounded-full border border-neutral-200">
+              SRS Level {word.srsLevel}
+            </div>
+            {word.nextReview && (
+              <div className="text-xs text-neutral-500 ml-2">
+                Next review: {formatDate(word.nextReview)}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Word Details - Expanded view */}
+      {selectedWordId === word.id && (
+        <div className="px-4 pb-2 pt-2 border-t border-neutral-100 bg-neutral-50">
+          {/* Statistics */}
+          <div className="grid grid-cols-3 gap-2 mb-3">
+            <div className="text-center">
+              <div className="text-xs text-neutral-500">Correct</div>
+              <div className="font-medium text-neutral-800">{word.correctCount || 0}</div>
+            </div>
+
+            <div className="text-center">
+              <div className="text-xs text-neutral-500">Incorrect</div>
+              <div className="font-medium text-neutral-800">{word.incorrectCount || 0}</div>
+            </div>
+
+            <div className="text-center">
+              <div className="text-xs text-neutral-500">SRS Level</div>
+              <div className="font-medium text-neutral-800">{word.srsLevel || 0}</div>
+            </div>
+          </div>
+
+          {/* Decks */}
+          <div className="mb-3">
+            <div className="text-sm font-medium text-neutral-700 mb-2">Decks:</div>
+            <DeckPicker wordId={word.id} compact />
+          </div>
+
+          {/* Examples Preview */}
+          {word.examples && word.examples.length > 0 && (
+            <div className="mt-3">
+              <div className="text-sm font-medium text-neutral-700 mb-2">Example:</div>
+              <div className="bg-white p-3 rounded-lg border border-neutral-100">
+                <div className="text-base">
+                  {word.examples[0].simplified}
+                </div>
+                <div className="text-xs text-red-500 mt-1">{word.examples[0].pinyin}</div>
+                {word.examples.length > 1 && (
+                  <div className="text-xs text-neutral-500 mt-2">
+                    +{word.examples.length - 1} more examples
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+          <div className="flex justify-center space-x-4 mt-2">
+            <button
+              onClick={() => openWordDetail(word, 'vocabulary')}
+              className="px-2 py-1 bg-red-500 text-white rounded-lg text-sm font-medium"
+            >
+              MORE
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
   // If detail view is active, show the word detail component
   if (detailViewActive && detailViewWord) {
     return <WordDetailView mode="fullscreen" sourceScreen="vocabulary" />;
@@ -182,16 +402,96 @@ export default function VocabularyPage() {
             <Heart size={16} className="mr-1" />
             Favorites
           </button>
+          
+          <button
+            onClick={() => setFilterType("leech")}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium flex items-center whitespace-nowrap flex-shrink-0 ${
+              filterType === "leech"
+                ? "bg-purple-100 text-purple-800"
+                : "bg-neutral-100 text-neutral-600"
+            }`}
+          >
+            <AlertTriangle size={16} className="mr-1" />
+            Leeches
+          </button>
+          
+          <button
+            onClick={() => setFilterType("suspended")}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium flex items-center whitespace-nowrap flex-shrink-0 ${
+              filterType === "suspended"
+                ? "bg-neutral-300 text-neutral-800"
+                : "bg-neutral-100 text-neutral-600"
+            }`}
+          >
+            <PauseCircle size={16} className="mr-1" />
+            Suspended
+          </button>
+          
+          <button
+            onClick={() => setFilterType("custom")}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium flex items-center whitespace-nowrap flex-shrink-0 ${
+              filterType === "custom"
+                ? "bg-teal-100 text-teal-800"
+                : "bg-neutral-100 text-neutral-600"
+            }`}
+          >
+            <User size={16} className="mr-1" />
+            Mine
+          </button>
         </div>
+        
+        {/* Deck Filter */}
+        {decks.length > 0 && (
+          <div className="flex overflow-x-auto space-x-2 py-1 -mx-4 px-4">
+            <button
+              onClick={() => setSelectedDeckId(null)}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium flex items-center whitespace-nowrap flex-shrink-0 ${
+                selectedDeckId === null
+                  ? "bg-indigo-100 text-indigo-800"
+                  : "bg-neutral-100 text-neutral-600"
+              }`}
+            >
+              <Layers size={16} className="mr-1" />
+              All Decks
+            </button>
+            
+            {decks.map(deck => (
+              <button
+                key={deck.id}
+                onClick={() => setSelectedDeckId(deck.id)}
+                className={`px-3 py-1.5 rounded-full text-sm font-medium whitespace-nowrap flex-shrink-0 ${
+                  selectedDeckId === deck.id
+                    ? "bg-indigo-100 text-indigo-800"
+                    : "bg-neutral-100 text-neutral-600"
+                }`}
+              >
+                {deck.name} ({deck.wordIds.length})
+              </button>
+            ))}
+          </div>
+        )}
       </div>
       
       {/* Results Count */}
       {!loading && !isFiltering && (
-        <div className="mb-4 text-sm text-neutral-500">
-          {filteredVocabulary.length} {filteredVocabulary.length === 1 ? 'word' : 'words'} found
+        <div className="mb-4 flex justify-between items-center">
+          <span className="text-sm text-neutral-500">
+            {filteredVocabulary.length} {filteredVocabulary.length === 1 ? 'word' : 'words'} found
+          </span>
+          <button
+            onClick={() => setShowEditor(true)}
+            className="px-3 py-1.5 rounded-lg text-sm font-medium flex items-center bg-red-100 text-red-800 hover:bg-red-200"
+          >
+            <Plus size={16} className="mr-1" />
+            Add Word
+          </button>
         </div>
       )}
       
+      {showEditor && (
+        <WordEditor onClose={() => setShowEditor(false)} />
+      )}
+      
       {/* Word List */}
       {loading ? (
         <div className="flex justify-center items-center py-10">
@@ -209,154 +509,19 @@ export default function VocabularyPage() {
           <div className="text-sm text-neutral-500">Try adjusting your filters</div>
         </div>
       ) : (
-        <div className="space-y-3">
-          {filteredVocabulary.map(word => (
-            <div 
-              key={word.id}
-              className="bg-white rounded-xl shadow-sm border border-neutral-100 overflow-hidden"
-            >
-              {/* Word Header - Clickable area */}
-              <div className="p-4 cursor-pointer" onClick={() => toggleWordExpanded(word.id)}>
-                <div className="flex justify-between items-start">
-                  <div>
-                    <div className="flex items-center">
-                      <span className="text-xl font-bold text-neutral-900">{word.simplified}</span>
-                    </div>
-                    <div className="text-sm text-red-500">{word.pinyin}</div>
-                  </div>
-                  
-                  <div className="flex items-center">
-                    {word.level === -1 ? (
-                      <span className="text-xs bg-blue-50 text-blue-600 px-2 py-0.5 rounded-full font-medium mr-2">
-                        Chengyu
-                      </span>
-                    ) : (
-                      <span className="text-xs bg-red-50 text-red-600 px-2 py-0.5 rounded-full font-medium mr-2">
-                        HSK {word.level}
-                      </span>
-                    )}
-                    
-                    {/* Mastery Indicator - Only show for regular words, not chengyu */}
-                    {word.level !== -1 && (
-                      word.correctCount > 0 ? (
-                        <span className="text-xs bg-green-50 text-green-700 px-2 py-0.5 rounded-full font-medium mr-2">
-                          Mastered
-                        </span>
-                      ) : (
-                        <span className="text-xs bg-amber-50 text-amber-700 px-2 py-0.5 rounded-full font-medium mr-2">
-                          Learning
-                        </span>
-                      )
-                    )}
-
-                    {/* Favorite Button */}
-                    <button 
-                      onClick={(e) => toggleFavorite(word.id, e)}
-                      className={`p-1 rounded-full ${
-                        word.isFavorite
-                          ? 'text-red-500 hover:text-red-700'
-                          : 'text-neutral-400 hover:text-neutral-600'
-                      }`}
-                    >
-                      <Heart 
-                        size={18} 
-                        fill={word.isFavorite ? 'currentColor' : 'none'} 
-                      />
-                    </button>
-                    
-                    {/* Expand indicator */}
-                    <button className="text-neutral-400">
-                      {selectedWordId === word.id ? (
-                        <ChevronUp size={18} />
-                      ) : (
-                        <ChevronDown size={18} />
-                      )}
-                    </button>
-                  </div>
-                </div>
-                
-                {/* Meaning */}
-                <div className="mt-1 text-sm text-neutral-700">
-                  {word.level === -1 ? (
-                      <div>
-                        {word.meanings && word.meanings.includes('----') ? (
-                            <p>{word.meanings.split('----')[0]}</p>
-                        ) : (
-                          <p>{word.meanings}</p>
-                        )}
-                      </div>
-                    ) : (
-                      <div>{word.meanings || word.english}</div>
-                    )
-                  }
-                </div>
-                
-                {/* SRS Level Indicator if available */}
-                {word.srsLevel > 0 && (
-                  <div className="mt-2 flex items-center">
-                    <div className="bg-neutral-50 text-neutral-700 text-xs px-2 py-0.5 rounded-full border border-neutral-200">
-                      SRS Level {word.srsLevel}
-                    </div>
-                    {word.nextReview && (
-                      <div className="text-xs text-neutral-500 ml-2">
-                        Next review: {formatDate(word.nextReview)}
-                      </div>
-                    )}
-                  </div>
-                )}
-              </div>
-              
-              {/* Word Details - Expanded view */}
-              {selectedWordId === word.id && (
-                <div className="px-4 pb-2 pt-2 border-t border-neutral-100 bg-neutral-50">
-                  {/* Statistics */}
-                  <div className="grid grid-cols-3 gap-2 mb-3">
-                    <div className="text-center">
-                      <div className="text-xs text-neutral-500">Correct</div>
-                      <div className="font-medium text-neutral-800">{word.correctCount || 0}</div>
-                    </div>
-                    
-                    <div className="text-center">
-                      <div className="text-xs text-neutral-500">Incorrect</div>
-                      <div className="font-medium text-neutral-800">{word.incorrectCount || 0}</div>
-                    </div>
-                    
-                    <div className="text-center">
-                      <div className="text-xs text-neutral-500">SRS Level</div>
-                      <div className="font-medium text-neutral-800">{word.srsLevel || 0}</div>
-                    </div>
-                  </div>
-
-                  {/* Examples Preview */}
-                  {word.examples && word.examples.length > 0 && (
-                    <div className="mt-3">
-                      <div className="text-sm font-medium text-neutral-700 mb-2">Example:</div>
-                      <div className="bg-white p-3 rounded-lg border border-neutral-100">
-                        <div className="text-base">
-                          {word.examples[0].simplified}
-                        </div>
-                        <div className="text-xs text-red-500 mt-1">{word.examples[0].pinyin}</div>
-                        {word.examples.length > 1 && (
-                          <div className="text-xs text-neutral-500 mt-2">
-                            +{word.examples.length - 1} more examples
-                          </div>
-                        )}
-                      </div>
-                    </div>
-                  )}
-                  <div className="flex justify-center space-x-4 mt-2">
-                    <button
-                      onClick={() => openWordDetail(word, 'vocabulary')}
-                      className="px-2 py-1 bg-red-500 text-white rounded-lg text-sm font-medium"
-                    >
-                      MORE
-                    </button>
-                  </div>
-                </div>
-              )}
-            </div>
-          ))}
-        </div>
+        <>
+          <VirtualList
+            items={filteredVocabulary}
+            getKey={getWordKey}
+            renderItem={renderWord}
+            estimatedHeight={110}
+            gap={12}
+            initialAnchor={listAnchorRef.current}
+            onAnchorChange={(anchor) => { listAnchorRef.current = anchor; }}
+            ref={listRef}
+          />
+          <JumpIndex targets={jumpTargets} onJump={(index) => listRef.current?.scrollToIndex(index)} />
+        </>
       )}
     </div>
   );
@@ -0,0 +1,910 @@
+// src/services/anki-service.js
+// Anki-compatible export (CSV/TSV notes and .apkg packages built on-device)
+// and import of Anki packages and CSV/TSV files with a column-mapping step
+
+import { vocabularyDB, deckDB, parseExamples } from './db';
+import { SKILLS, levelForInterval, getTrack, createTracks, summarizeTracks } from './srs';
+
+/**
+ * Word fields that can be exported and mapped to columns on import.
+ * The review fields are only read on import, when a file carries review state.
+ */
+export const ANKI_FIELDS = [
+  { key: 'simplified', label: 'Simplified', aliases: ['simplified', 'hanzi', 'chinese', 'word', 'front', 'characters'] },
+  { key: 'traditional', label: 'Traditional', aliases: ['traditional'] },
+  { key: 'pinyin', label: 'Pinyin', aliases: ['pinyin', 'reading', 'pronunciation'] },
+  { key: 'english', label: 'English', aliases: ['english', 'meaning', 'definition', 'back', 'translation'] },
+  { key: 'meanings', label: 'Meanings', aliases: ['meanings', 'definitions', 'notes'] },
+  { key: 'examples', label: 'Examples', aliases: ['examples', 'example', 'sentences', 'sentence'] },
+  { key: 'level', label: 'Level', aliases: ['level', 'hsk', 'hsk level'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags'] },
+  { key: 'interval', label: 'Interval (days)', aliases: ['interval', 'ivl'], review: true },
+  { key: 'due', label: 'Due date', aliases: ['due', 'due date', 'next review'], review: true },
+  { key: 'ease', label: 'Ease', aliases: ['ease', 'factor'], review: true },
+  { key: 'reps', label: 'Reviews', aliases: ['reviews', 'reps'], review: true },
+  { key: 'lapses', label: 'Lapses', aliases: ['lapses'], review: true }
+];
+
+export const TEXT_FORMATS = {
+  CSV: 'csv',
+  TSV: 'tsv'
+};
+
+const SEPARATORS = {
+  [TEXT_FORMATS.CSV]: ',',
+  [TEXT_FORMATS.TSV]: '\t'
+};
+
+// Names Anki uses for separators in the `#separator:` file header
+const SEPARATOR_NAMES = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  space: ' ',
+  pipe: '|',
+  colon: ':'
+};
+
+// Columns written by the exporters, in order. Fields hold HTML, as Anki expects.
+const EXPORT_COLUMNS = ['Simplified', 'Traditional', 'Pinyin', 'English', 'Meanings', 'Examples', 'Level', 'Tags'];
+
+// Note type used in exported packages. A fixed id lets Anki recognise the note
+// type when a later export is imported again.
+const MODEL_ID = 1718000000000;
+const MODEL_NAME = 'HSK Master';
+const NOTE_FIELDS = EXPORT_COLUMNS.filter(column => column !== 'Tags');
+
+// Card templates of the note type; their order matches the skill they train
+const CARD_SKILLS = [SKILLS.RECOGNITION, SKILLS.SPEAKING];
+
+const DEFAULT_EASE_FACTOR = 2500;
+const MIN_EASE_FACTOR = 1300;
+const DEFAULT_DIFFICULTY = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split('T')[0]; // YYYY-MM-DD
+
+const CJK_PATTERN = /[\u3400-\u9fff]/;
+const PINYIN_PATTERN = /^[a-zA-Zāáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜüńňǹ\s'1-5·-]+$/;
+const TONE_PATTERN = /[āáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜ]|[a-z][1-5]/i;
+
+// Anki's ease factor (permille, 2500 = 250%) and our difficulty (1-10, 5 =
+// default) both describe how hard a card is; map one linearly onto the other
+const difficultyForFactor = (factor) => {
+  if (!factor) return DEFAULT_DIFFICULTY;
+  return Math.min(10, Math.max(1, DEFAULT_DIFFICULTY + (DEFAULT_EASE_FACTOR - factor) / 200));
+};
+
+const factorForDifficulty = (difficulty) => {
+  const factor = DEFAULT_EASE_FACTOR - ((difficulty || DEFAULT_DIFFICULTY) - DEFAULT_DIFFICULTY) * 200;
+  return Math.max(MIN_EASE_FACTOR, Math.round(factor));
+};
+
+/**
+ * Turn review state read from Anki (or a CSV file) into a scheduler track
+ * @param {Object} state
+ * @param {number} state.interval - Interval in days (0 while learning)
+ * @param {number} state.factor - Ease factor in permille
+ * @param {number} state.reps - Number of reviews
+ * @param {number} state.lapses - Number of times the card was forgotten
+ * @param {string} state.nextReview - YYYY-MM-DD
+ * @param {string|null} state.lastReview - ISO timestamp of the last review
+ * @returns {Object} Track (see getTrack)
+ */
+const trackFromReviewState = ({ interval = 0, factor = 0, reps = 0, lapses = 0, nextReview, lastReview = null }) => {
+  const days = Math.max(0, Math.round(interval));
+
+  // Without a review log, assume the card was last seen one interval before it's due
+  let lastPracticed = lastReview;
+  if (!lastPracticed && nextReview) {
+    lastPracticed = new Date(new Date(nextReview).getTime() - days * DAY_MS).toISOString();
+  }
+
+  return {
+    // At the retention we schedule for, the interval equals the stability
+    stability: Math.max(days, 1),
+    difficulty: difficultyForFactor(factor),
+    interval: days,
+    reps: Math.max(reps, 1),
+    lapses,
+    srsLevel: days > 0 ? levelForInterval(days) : 0,
+    nextReview: nextReview || toDateString(new Date()),
+    lastPracticed
+  };
+};
+
+// Apply imported tracks to a word. A skill is only taken over when it hasn't
+// been practiced here or the imported review is more recent.
+const applyReviewState = (word, reviewState) => {
+  // Skills without a card keep their track
+  const tracks = createTracks(word);
+  let changed = false;
+
+  CARD_SKILLS.forEach(skill => {
+    const local = getTrack(word, skill);
+    const imported = reviewState[skill];
+    const newer = imported && (!local.reps || (imported.lastPracticed || '') > (local.lastPracticed || ''));
+
+    tracks[skill] = newer ? imported : local;
+    if (newer) changed = true;
+  });
+
+  if (!changed) return null;
+
+  const lastPracticed = Object.values(tracks)
+    .map(track => track.lastPracticed || '')
+    .sort()
+    .pop() || null;
+
+  return {
+    ...word,
+    tracks,
+    ...summarizeTracks(tracks),
+    lastPracticed,
+    suspended: word.suspended || !!reviewState.suspended
+  };
+};
+
+const escapeHTML = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Plain text of an Anki field (HTML, with <br> for line breaks)
+const htmlToText = (html) => {
+  const withBreaks = String(html ?? '').replace(/<br\s*\/?>|<\/div>|<\/p>/gi, '\n');
+  const doc = new DOMParser().parseFromString(withBreaks, 'text/html');
+  return (doc.body.textContent || '').replace(/\u00a0/g, ' ').trim();
+};
+
+// Tags Anki will show for a word: its level, its decks and its status
+const tagsForWord = (word, deckNamesByWord) => {
+  const tags = [word.level === -1 ? 'Chengyu' : `HSK${word.level}`];
+  (deckNamesByWord.get(word.id) || []).forEach(name => tags.push(name.replace(/\s+/g, '_')));
+  if (word.isFavorite) tags.push('favorite');
+  if (word.isLeech) tags.push('leech');
+  return tags;
+};
+
+// "句子 (jùzi) - Sentence" per line; the import parses the same format back
+const formatExamples = (word) => parseExamples(word.examples)
+  .map(example => {
+    let line = escapeHTML(example.simplified);
+    if (example.pinyin) line += ` (${escapeHTML(example.pinyin)})`;
+    if (example.english) line += ` - ${escapeHTML(example.english)}`;
+    return line;
+  })
+  .join('<br>');
+
+const parseExampleText = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const match = line.match(/^(.+?)\s*\(([^)]*)\)\s*(?:-\s*(.*))?$/);
+    if (!match) return { simplified: line, pinyin: '', english: '' };
+    return { simplified: match[1], pinyin: match[2], english: match[3] || '' };
+  });
+
+// Field values of a word, in EXPORT_COLUMNS order
+const exportRow = (word, deckNamesByWord) => [
+  escapeHTML(word.simplified),
+  escapeHTML(word.traditional),
+  escapeHTML(word.pinyin),
+  escapeHTML(word.english),
+  escapeHTML(word.meanings).replace(/\n/g, '<br>'),
+  formatExamples(word),
+  String(word.level ?? ''),
+  tagsForWord(word, deckNamesByWord).join(' ')
+];
+
+const getDeckNamesByWord = async () => {
+  const decks = await deckDB.getAll();
+  const names = new Map();
+  decks.forEach(deck => {
+    deck.wordIds.forEach(id => {
+      if (!names.has(id)) names.set(id, []);
+      names.get(id).push(deck.name);
+    });
+  });
+  return names;
+};
+
+const quoteField = (value, separator) => {
+  if (value.includes(separator) || value.includes('"') || value.includes('\n')) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+};
+
+/**
+ * Export words as an Anki "Notes in Plain Text" file
+ * @param {Array} words
+ * @param {string} format - One of TEXT_FORMATS
+ * @returns {Promise<string>} File content
+ */
+export const exportText = async (words, format = TEXT_FORMATS.TSV) => {
+  const separator = SEPARATORS[format];
+  const deckNamesByWord = await getDeckNamesByWord();
+
+  // File headers understood by Anki 2.1.55+; older versions ignore them
+  const lines = [
+    `#separator:${format === TEXT_FORMATS.TSV ? 'tab' : 'comma'}`,
+    '#html:true',
+    `#columns:${EXPORT_COLUMNS.join(separator)}`,
+    `#tags column:${EXPORT_COLUMNS.length}`
+  ];
+
+  words.forEach(word => {
+    lines.push(exportRow(word, deckNamesByWord).map(value => quoteField(value, separator)).join(separator));
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+// sql.js and fflate are only needed for .apkg files, so they're loaded on demand
+const loadPackageLibraries = async () => {
+  const [{ default: initSqlJs }, fflate, { default: wasmUrl }] = await Promise.all([
+    import('sql.js'),
+    import('fflate'),
+    import('sql.js/dist/sql-wasm-browser.wasm?url')
+  ]);
+
+  const SQL = await initSqlJs({ locateFile: () => wasmUrl });
+  return { SQL, fflate };
+};
+
+// Schema of a legacy (schema version 11) Anki collection, which every Anki
+// version can import
+const COLLECTION_SCHEMA = `
+  CREATE TABLE col (
+    id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+    ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+    conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+  );
+  CREATE TABLE notes (
+    id integer primary key, guid text not null, mid integer not null, mod integer not null,
+    usn integer not null, tags text not null, flds text not null, sfld integer not null,
+    csum integer not null, flags integer not null, data text not null
+  );
+  CREATE TABLE cards (
+    id integer primary key, nid integer not null, did integer not null, ord integer not null,
+    mod integer not null, usn integer not null, type integer not null, queue integer not null,
+    due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+    lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+    flags integer not null, data text not null
+  );
+  CREATE TABLE revlog (
+    id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+    ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+    type integer not null
+  );
+  CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+  CREATE INDEX ix_notes_usn on notes (usn);
+  CREATE INDEX ix_cards_usn on cards (usn);
+  CREATE INDEX ix_revlog_usn on revlog (usn);
+  CREATE INDEX ix_cards_nid on cards (nid);
+  CREATE INDEX ix_cards_sched on cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid on revlog (cid);
+  CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const CARD_CSS = `.card { font-family: Arial, sans-serif; font-size: 20px; text-align: center; color: black; background-color: white; }
+.hanzi { font-size: 48px; }
+.pinyin { color: #666; }
+.examples { font-size: 16px; text-align: left; margin-top: 12px; }`;
+
+const buildNoteType = (deckId, now) => ({
+  id: MODEL_ID,
+  name: MODEL_NAME,
+  type: 0,
+  mod: now,
+  usn: -1,
+  sortf: 0,
+  did: deckId,
+  tmpls: [
+    {
+      name: 'Recognition',
+      ord: 0,
+      qfmt: '<div class="hanzi">{{Simplified}}</div>',
+      afmt: '{{FrontSide}}<hr id=answer><div class="pinyin">{{Pinyin}}</div><div>{{English}}</div><div class="examples">{{Examples}}</div>',
+      did: null,
+      bqfmt: '',
+      bafmt: ''
+    },
+    {
+      name: 'Speaking',
+      ord: 1,
+      qfmt: '<div>{{English}}</div>',
+      afmt: '{{FrontSide}}<hr id=answer><div class="hanzi">{{Simplified}}</div><div class="pinyin">{{Pinyin}}</div>',
+      did: null,
+      bqfmt: '',
+      bafmt: ''
+    }
+  ],
+  flds: NOTE_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+  css: CARD_CSS,
+  latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+  latexPost: '\\end{document}',
+  tags: [],
+  vers: [],
+  // A card is generated when the field on its front isn't empty
+  req: [[0, 'any', [0]], [1, 'any', [NOTE_FIELDS.indexOf('English')]]]
+});
+
+const buildDeck = (id, name, now) => ({
+  id,
+  name,
+  mod: now,
+  usn: -1,
+  lrnToday: [0, 0],
+  revToday: [0, 0],
+  newToday: [0, 0],
+  timeToday: [0, 0],
+  collapsed: false,
+  browserCollapsed: false,
+  desc: '',
+  dyn: 0,
+  conf: 1,
+  extendNew: 0,
+  extendRev: 0
+});
+
+const DECK_OPTIONS = {
+  1: {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 0], initialFactor: DEFAULT_EASE_FACTOR, order: 1, perDay: 20, bury: false },
+    rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, hardFactor: 1.2, bury: false },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 1 }
+  }
+};
+
+// Anki's duplicate check uses the first 8 hex digits of the SHA-1 of the sort field
+const fieldChecksum = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return parseInt(hex.slice(0, 8), 16);
+};
+
+// Anki card columns (type, queue, due, ivl, factor, reps, lapses) for one skill
+const cardState = (word, skill, position, collectionDay, today) => {
+  const track = getTrack(word, skill);
+  let queue;
+  let state;
+
+  if (!track.reps) {
+    state = { type: 0, due: position, ivl: 0, factor: 0, reps: 0, lapses: 0 };
+    queue = 0;
+  } else {
+    const dueDay = Math.round((new Date(track.nextReview).getTime() - collectionDay) / DAY_MS);
+    state = {
+      type: 2,
+      due: dueDay,
+      ivl: Math.max(1, Math.round(track.interval || 1)),
+      factor: factorForDifficulty(track.difficulty),
+      reps: track.reps,
+      lapses: track.lapses || 0
+    };
+    queue = 2;
+  }
+
+  if (word.suspended) queue = -1;
+  else if (word.buriedUntil && word.buriedUntil > today) queue = -3;
+
+  return { ...state, queue };
+};
+
+/**
+ * Build an Anki package (.apkg) with one note per word and a card per skill.
+ * Learning progress is carried over as the cards' review state.
+ * @param {Array} words
+ * @param {string} deckName - Name of the Anki deck the cards go into
+ * @returns {Promise<Uint8Array>} Package file content
+ */
+export const buildApkg = async (words, deckName = MODEL_NAME) => {
+  const { SQL, fflate } = await loadPackageLibraries();
+  const deckNamesByWord = await getDeckNamesByWord();
+
+  const nowMs = Date.now();
+  const now = Math.floor(nowMs / 1000);
+  const today = toDateString(new Date());
+  // Review due dates are stored as days since the collection was created
+  const collectionDay = new Date(today).getTime();
+  const deckId = nowMs;
+
+  const db = new SQL.Database();
+  try {
+    db.run(COLLECTION_SCHEMA);
+
+    const conf = {
+      activeDecks: [1],
+      curDeck: 1,
+      newSpread: 0,
+      collapseTime: 1200,
+      timeLim: 0,
+      estTimes: true,
+      dueCounts: true,
+      curModel: String(MODEL_ID),
+      nextPos: words.length + 1,
+      sortType: 'noteFld',
+      sortBackwards: false,
+      addToCur: true
+    };
+    const decks = {
+      1: buildDeck(1, 'Default', now),
+      [deckId]: buildDeck(deckId, deckName, now)
+    };
+
+    db.run(
+      'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+      [
+        collectionDay / 1000,
+        nowMs,
+        nowMs,
+        JSON.stringify(conf),
+        JSON.stringify({ [MODEL_ID]: buildNoteType(deckId, now) }),
+        JSON.stringify(decks),
+        JSON.stringify(DECK_OPTIONS),
+        '{}'
+      ]
+    );
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, \'\')');
+
+    for (const [index, word] of words.entries()) {
+      const row = exportRow(word, deckNamesByWord);
+      const fields = row.slice(0, NOTE_FIELDS.length);
+      const tags = row[row.length - 1];
+      const noteId = nowMs + index;
+
+      insertNote.run([
+        noteId,
+        // Stable per word, so importing a newer export updates the same notes
+        `hsk-${word.id}`,
+        MODEL_ID,
+        now,
+        ` ${tags} `,
+        fields.join('\x1f'),
+        word.simplified,
+        await fieldChecksum(word.simplified)
+      ]);
+
+      CARD_SKILLS.forEach((skill, ord) => {
+        // Anki doesn't create a card whose front is empty
+        if (ord === 1 && !word.english) return;
+
+        const state = cardState(word, skill, index + 1, collectionDay, today);
+        insertCard.run([
+          (nowMs + index) * 10 + ord,
+          noteId,
+          deckId,
+          ord,
+          now,
+          state.type,
+          state.queue,
+          state.due,
+          state.ivl,
+          state.factor,
+          state.reps,
+          state.lapses
+        ]);
+      });
+    }
+
+    insertNote.free();
+    insertCard.free();
+
+    return fflate.zipSync({
+      'collection.anki2': db.export(),
+      media: fflate.strToU8('{}')
+    });
+  } finally {
+    db.close();
+  }
+};
+
+// Split delimited text into rows, following CSV quoting rules
+const parseDelimited = (text, separator) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const findField = (name) => {
+  const normalized = name.trim().toLowerCase();
+  return ANKI_FIELDS.find(field => field.aliases.includes(normalized)) || null;
+};
+
+/**
+ * Guess which column holds which word field, from column names or else from the content
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Array<string>>} rows
+ * @returns {Object} Map of field key to column index (or null)
+ */
+export const suggestMapping = (columns, rows) => {
+  const mapping = Object.fromEntries(ANKI_FIELDS.map(field => [field.key, null]));
+
+  columns.forEach((name, index) => {
+    const field = findField(name);
+    if (field && mapping[field.key] === null) mapping[field.key] = index;
+  });
+  if (mapping.simplified !== null) return mapping;
+
+  // No usable header: look at what the first rows contain
+  const sample = rows.slice(0, 20);
+  const columnMatches = (index, test) => sample.length > 0 &&
+    sample.filter(row => test(htmlToText(row[index] || ''))).length >= sample.length / 2;
+
+  const used = new Set(Object.values(mapping).filter(index => index !== null));
+  const take = (key, test) => {
+    if (mapping[key] !== null) return;
+    const index = columns.findIndex((_, i) => !used.has(i) && columnMatches(i, test));
+    if (index !== -1) {
+      mapping[key] = index;
+      used.add(index);
+    }
+  };
+
+  take('simplified', value => CJK_PATTERN.test(value) && value.length <= 8);
+  take('traditional', value => CJK_PATTERN.test(value) && value.length <= 8);
+  take('pinyin', value => PINYIN_PATTERN.test(value) && TONE_PATTERN.test(value));
+  take('english', value => /[a-z]/i.test(value) && !CJK_PATTERN.test(value));
+
+  return mapping;
+};
+
+/**
+ * Read a CSV/TSV file, including Anki's "Notes in Plain Text" export and its headers
+ * @param {string} text - File content
+ * @returns {{columns: Array<string>, rows: Array<Array<string>>, mapping: Object, reviewStates: Array, notice: string|null}}
+ */
+export const parseTextFile = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  // Anki file headers: "#key:value" lines at the top of the file
+  const headers = {};
+  while (lines.length > 0 && lines[0].startsWith('#')) {
+    const [key, ...value] = lines.shift().slice(1).split(':');
+    headers[key.trim().toLowerCase()] = value.join(':');
+  }
+  const body = lines.join('\n');
+
+  let separator = headers.separator
+    ? SEPARATOR_NAMES[headers.separator.trim().toLowerCase()] || headers.separator
+    : null;
+  if (!separator) {
+    const firstLine = lines.find(line => line.trim()) || '';
+    const counts = ['\t', ';', ','].map(candidate => [candidate, firstLine.split(candidate).length]);
+    separator = counts.sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  let rows = parseDelimited(body, separator);
+  if (rows.length === 0) {
+    throw new Error('The file contains no rows');
+  }
+
+  let columns;
+  if (headers.columns) {
+    columns = headers.columns.split(separator).map(name => name.trim());
+  } else if (rows[0].some(cell => findField(cell))) {
+    columns = rows.shift().map(name => name.trim());
+  } else {
+    const width = Math.max(...rows.map(row => row.length));
+    columns = Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  }
+
+  // "#tags column:N" names the (1-based) column holding the tags
+  const tagsColumn = parseInt(headers['tags column'], 10);
+  if (tagsColumn > 0 && tagsColumn <= columns.length && !findField(columns[tagsColumn - 1])) {
+    columns[tagsColumn - 1] = 'Tags';
+  }
+
+  return {
+    columns,
+    rows,
+    mapping: suggestMapping(columns, rows),
+    reviewStates: [],
+    notice: null
+  };
+};
+
+// Run a query and return its rows as objects
+const queryAll = (db, sql) => {
+  const result = db.exec(sql)[0];
+  if (!result) return [];
+  return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+};
+
+// Note types with their field names, from a legacy or a newer collection
+const readNoteTypes = (db) => {
+  const models = queryAll(db, 'SELECT models FROM col')[0]?.models;
+  if (models) {
+    return Object.values(JSON.parse(models)).map(model => ({
+      id: Number(model.id),
+      name: model.name,
+      fields: [...model.flds].sort((a, b) => a.ord - b.ord).map(field => field.name)
+    }));
+  }
+
+  const fields = queryAll(db, 'SELECT ntid, ord, name FROM fields ORDER BY ntid, ord');
+  return queryAll(db, 'SELECT id, name FROM notetypes').map(noteType => ({
+    id: noteType.id,
+    name: noteType.name,
+    fields: fields.filter(field => field.ntid === noteType.id).map(field => field.name)
+  }));
+};
+
+// Review state of an Anki card as a track, or null for a new card
+const trackFromCard = (card, collectionStart, lastReview) => {
+  if (card.type === 0 || !card.reps) return null;
+
+  let nextReview;
+  if (card.queue === 1) {
+    // Learning cards are due at a timestamp (seconds)
+    nextReview = toDateString(new Date(card.due * 1000));
+  } else if (card.type === 2 || card.queue === 3) {
+    // Review cards are due on a day counted from the collection's creation
+    nextReview = toDateString(new Date(collectionStart + card.due * DAY_MS));
+  } else {
+    nextReview = toDateString(new Date());
+  }
+
+  return trackFromReviewState({
+    interval: card.ivl > 0 ? card.ivl : 0,
+    factor: card.factor,
+    reps: card.reps,
+    lapses: card.lapses,
+    nextReview,
+    lastReview: lastReview ? new Date(lastReview).toISOString() : null
+  });
+};
+
+/**
+ * Read an Anki package (.apkg or .colpkg exported for older Anki versions)
+ * @param {ArrayBuffer} buffer - File content
+ * @returns {Promise<Object>} Same shape as parseTextFile, with review state per row
+ */
+export const parseApkg = async (buffer) => {
+  const { SQL, fflate } = await loadPackageLibraries();
+
+  let files;
+  try {
+    files = fflate.unzipSync(new Uint8Array(buffer));
+  } catch (error) {
+    console.error("Error unpacking Anki package:", error);
+    throw new Error('The file is not a valid Anki package');
+  }
+
+  const collection = files['collection.anki21'] || files['collection.anki2'];
+  if (!collection) {
+    if (files['collection.anki21b']) {
+      throw new Error('This package uses the newest Anki format. Export it again with "Support older Anki versions" checked.');
+    }
+    throw new Error('The package contains no Anki collection');
+  }
+
+  const db = new SQL.Database(collection);
+  try {
+    const noteTypes = readNoteTypes(db);
+    const notes = queryAll(db, 'SELECT id, mid, flds, tags FROM notes ORDER BY id');
+    if (notes.length === 0) {
+      throw new Error('The package contains no notes');
+    }
+
+    // Import the note type most notes use
+    const counts = new Map();
+    notes.forEach(note => counts.set(note.mid, (counts.get(note.mid) || 0) + 1));
+    const [modelId] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    const noteType = noteTypes.find(type => type.id === modelId);
+    const selected = notes.filter(note => note.mid === modelId);
+
+    const columns = [...(noteType?.fields || selected[0].flds.split('\x1f').map((_, i) => `Field ${i + 1}`)), 'Tags'];
+    const rows = selected.map(note => [...note.flds.split('\x1f'), note.tags.trim()]);
+
+    // Review state: our own packages have a card per skill; for other decks the
+    // most reviewed card of a note stands for every skill
+    const collectionStart = (queryAll(db, 'SELECT crt FROM col')[0]?.crt || 0) * 1000;
+    const lastReviews = new Map(queryAll(db, 'SELECT cid, MAX(id) AS last FROM revlog GROUP BY cid')
+      .map(entry => [entry.cid, entry.last]));
+    const cardsByNote = new Map();
+    queryAll(db, 'SELECT id, nid, ord, type, queue, due, ivl, factor, reps, lapses FROM cards').forEach(card => {
+      if (!cardsByNote.has(card.nid)) cardsByNote.set(card.nid, []);
+      cardsByNote.get(card.nid).push(card);
+    });
+
+    const ownNoteType = noteType?.name === MODEL_NAME;
+    const reviewStates = selected.map(note => {
+      const cards = cardsByNote.get(note.id) || [];
+      const reviewState = { suspended: cards.length > 0 && cards.every(card => card.queue === -1) };
+
+      if (ownNoteType) {
+        cards.forEach(card => {
+          const skill = CARD_SKILLS[card.ord];
+          if (skill) reviewState[skill] = trackFromCard(card, collectionStart, lastReviews.get(card.id));
+        });
+      } else {
+        const card = [...cards].sort((a, b) => b.reps - a.reps)[0];
+        const track = card ? trackFromCard(card, collectionStart, lastReviews.get(card.id)) : null;
+        CARD_SKILLS.forEach(skill => {
+          reviewState[skill] = track;
+        });
+      }
+
+      return CARD_SKILLS.some(skill => reviewState[skill]) || reviewState.suspended ? reviewState : null;
+    });
+
+    const skipped = notes.length - selected.length;
+    return {
+      columns,
+      rows,
+      mapping: suggestMapping(columns, rows),
+      reviewStates,
+      notice: skipped > 0
+        ? `${skipped} notes of other note types than "${noteType?.name || modelId}" will be skipped`
+        : null
+    };
+  } finally {
+    db.close();
+  }
+};
+
+// Word level from a level column ("3", "HSK 3", "7-9") or from HSK tags
+const parseLevel = (levelText, tags) => {
+  const fromColumn = levelText.match(/-?\d+/);
+  if (fromColumn) return parseInt(fromColumn[0], 10);
+  if (/chengyu/i.test(levelText)) return -1;
+
+  for (const tag of tags) {
+    const fromTag = tag.match(/^HSK[-_]?(\d)/i);
+    if (fromTag) return parseInt(fromTag[1], 10);
+    if (/^chengyu$/i.test(tag)) return -1;
+  }
+  return null;
+};
+
+// Review state from the review columns of a text file, or null if there is none
+const reviewStateFromColumns = (value) => {
+  const reps = parseInt(value('reps'), 10) || 0;
+  const interval = parseFloat(value('interval')) || 0;
+  if (!reps && !interval) return null;
+
+  const due = value('due') ? new Date(value('due')) : null;
+  let factor = parseFloat(value('ease')) || 0;
+  // Ease written as a multiplier (2.5) or percentage (250%) instead of permille
+  if (factor > 0 && factor < 10) factor *= 1000;
+  else if (factor >= 10 && factor < 1000) factor *= 10;
+
+  const track = trackFromReviewState({
+    interval,
+    factor,
+    reps,
+    lapses: parseInt(value('lapses'), 10) || 0,
+    nextReview: due && !isNaN(due) ? toDateString(due) : null
+  });
+  return Object.fromEntries(CARD_SKILLS.map(skill => [skill, track]));
+};
+
+/**
+ * Import mapped rows. Rows are matched to existing words by their simplified
+ * form; the rest are added as the user's own words. Review state in the file is
+ * carried over, and all imported words can be collected in a deck.
+ * @param {Object} options
+ * @param {Array<Array<string>>} options.rows
+ * @param {Object} options.mapping - Map of field key to column index (see suggestMapping)
+ * @param {Array} options.reviewStates - Review state per row, from parseApkg
+ * @param {string} options.deckName - Deck to add the words to (none when empty)
+ * @param {number} options.defaultLevel - Level of new words whose level isn't in the file
+ * @param {function} onProgress - Optional callback with the number of rows done
+ * @returns {Promise<{matched: number, created: number, withProgress: number, skipped: number, deck: Object|null}>}
+ */
+export const importRows = async ({ rows, mapping, reviewStates = [], deckName = '', defaultLevel = 1 }, onProgress = null) => {
+  if (mapping.simplified === null || mapping.simplified === undefined) {
+    throw new Error('Choose the column that holds the simplified characters');
+  }
+
+  const summary = { matched: 0, created: 0, withProgress: 0, skipped: 0, deck: null };
+  const wordIds = [];
+  const updates = [];
+  const seen = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const value = (key) => {
+      const column = mapping[key];
+      return column === null || column === undefined ? '' : htmlToText(row[column]);
+    };
+
+    const simplified = value('simplified');
+    if (!simplified || seen.has(simplified)) {
+      summary.skipped++;
+      continue;
+    }
+    seen.add(simplified);
+
+    const reviewState = reviewStates[index] || reviewStateFromColumns(value);
+    let word = await vocabularyDB.getBySimplified(simplified);
+
+    if (word) {
+      summary.matched++;
+    } else {
+      const tags = value('tags').split(/\s+/).filter(Boolean);
+      word = await vocabularyDB.addCustomWord({
+        simplified,
+        traditional: value('traditional'),
+        pinyin: value('pinyin'),
+        english: value('english'),
+        meanings: value('meanings'),
+        level: parseLevel(value('level'), tags) ?? defaultLevel,
+        examples: parseExampleText(value('examples'))
+      });
+      summary.created++;
+    }
+
+    if (reviewState) {
+      const updated = applyReviewState(word, reviewState);
+      if (updated) {
+        updates.push(updated);
+        summary.withProgress++;
+      }
+    }
+
+    wordIds.push(word.id);
+    if (onProgress) onProgress(index + 1);
+  }
+
+  await vocabularyDB.saveWords(updates);
+
+  // Collect the words in a deck, merging into an existing deck of that name
+  if (deckName.trim() && wordIds.length > 0) {
+    summary.deck = await deckDB.createOrMerge(deckName, wordIds);
+  }
+
+  console.log(`Anki import: ${summary.matched} matched, ${summary.created} created, ${summary.withProgress} with progress`);
+  return summary;
+};
@@ -0,0 +1,483 @@
+// src/services/backup-service.js
+// Full backups of everything that only lives on this device: learning progress,
+// favorites, settings, the user's own words and edits, decks and review history
+
+import {
+  vocabularyDB,
+  deckDB,
+  settingsDB,
+  PROGRESS_FIELDS,
+  isCustomWord,
+  hasLocalEdits,
+  parseExamples,
+  emptyProgress
+} from './db';
+import { DB_VERSION } from './db-migrations';
+import { createTracks, summarizeTracks } from './srs';
+import { normalizePinyin } from './pinyin-utils';
+import { settingsService } from './settings-service';
+
+export const APP_VERSION = '1.2.0';
+
+export const BACKUP_FORMAT = 'hsk-master-backup';
+
+// Bump when the layout of the backup file changes
+export const BACKUP_SCHEMA_VERSION = 1;
+
+export const RESTORE_STRATEGIES = {
+  // Keep what's on this device and add what's newer in the backup
+  MERGE: 'merge',
+  // Make this device match the backup
+  OVERWRITE: 'overwrite'
+};
+
+// localStorage keys that hold user settings (the app settings themselves are in settingsDB)
+const SETTINGS_STORAGE_KEYS = ['serverUrl', 'wsUrl'];
+
+// localStorage key of the app settings in backups made before they moved to settingsDB
+const LEGACY_SETTINGS_KEY = 'appSettings';
+
+// Scheduler fields written by older builds; the scheduler state now lives in `tracks`
+const LEGACY_SCHEDULER_FIELDS = ['stability', 'difficulty', 'interval'];
+
+const BACKUP_LISTS = ['progress', 'customWords', 'localEdits', 'decks', 'reviews'];
+
+// The server's value of a field, even if the user overrode it
+const serverValue = (word, field) => {
+  return word.localEdits && field in word.localEdits ? word.localEdits[field] : word[field];
+};
+
+/**
+ * Progress entries of words, as stored in backups. Entries carry the word's
+ * headword and server pinyin so they can be matched on another device.
+ * @param {Array} words
+ * @returns {Array} Progress entries
+ */
+export const collectProgress = (words) => {
+  return words.map(word => {
+    const entry = {
+      id: word.id,
+      simplified: word.simplified,
+      pinyin: serverValue(word, 'pinyin') || ''
+    };
+    PROGRESS_FIELDS
+      .filter(field => !LEGACY_SCHEDULER_FIELDS.includes(field) && word[field] !== undefined)
+      .forEach(field => {
+        entry[field] = word[field];
+      });
+    return entry;
+  });
+};
+
+/**
+ * Collect everything worth backing up
+ * @returns {Promise<Object>} Backup data, ready to be saved as JSON
+ */
+export const createBackup = async () => {
+  const words = await vocabularyDB.getAll();
+  const progress = collectProgress(words);
+
+  const localEdits = words
+    .filter(word => !isCustomWord(word))
+    .map(word => ({
+      id: word.id,
+      simplified: word.simplified,
+      pinyin: serverValue(word, 'pinyin') || '',
+      localEdits: word.localEdits || {},
+      fields: Object.fromEntries(Object.keys(word.localEdits || {}).map(field => [field, word[field]])),
+      customExamples: parseExamples(word.examples).filter(example => example.isCustom)
+    }))
+    .filter(edit => Object.keys(edit.localEdits).length > 0 || edit.customExamples.length > 0);
+
+  const storage = {};
+  SETTINGS_STORAGE_KEYS.forEach(key => {
+    const value = localStorage.getItem(key);
+    if (value !== null) storage[key] = value;
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    appVersion: APP_VERSION,
+    dbVersion: DB_VERSION,
+    createdAt: new Date().toISOString(),
+    progress,
+    customWords: words.filter(isCustomWord),
+    localEdits,
+    decks: await deckDB.getAll(),
+    reviews: await vocabularyDB.getReviews(),
+    settings: {
+      storage,
+      store: await settingsDB.getAllSettings()
+    }
+  };
+};
+
+/**
+ * Check that data read from a file is a backup this version can restore.
+ * Progress files exported by earlier versions are converted.
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} The backup
+ * @throws {Error} Describing what's wrong with the file
+ */
+export const validateBackup = (data) => {
+  if (!data || typeof data !== 'object') {
+    throw new Error('The file does not contain a backup');
+  }
+
+  // Progress export from an earlier version
+  if (!data.format && Array.isArray(data.progressData)) {
+    return {
+      format: BACKUP_FORMAT,
+      schemaVersion: 0,
+      appVersion: null,
+      dbVersion: null,
+      createdAt: data.exportDate || null,
+      progress: data.progressData,
+      customWords: [],
+      localEdits: [],
+      decks: [],
+      reviews: [],
+      settings: null
+    };
+  }
+
+  if (data.format !== BACKUP_FORMAT) {
+    throw new Error('The file is not an HSK Master backup');
+  }
+  if (typeof data.schemaVersion !== 'number' || data.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`This backup (schema version ${data.schemaVersion}) was made by a newer version of the app`);
+  }
+
+  BACKUP_LISTS.forEach(key => {
+    if (!Array.isArray(data[key])) {
+      throw new Error(`The backup is damaged: "${key}" is missing`);
+    }
+  });
+
+  const invalidWord = [...data.progress, ...data.customWords, ...data.localEdits]
+    .find(item => !item || item.id === undefined || typeof item.simplified !== 'string');
+  if (invalidWord) {
+    throw new Error('The backup is damaged: a word entry has no id or simplified form');
+  }
+
+  const invalidDeck = data.decks.find(deck => !deck || typeof deck.name !== 'string' || !Array.isArray(deck.wordIds));
+  if (invalidDeck) {
+    throw new Error('The backup is damaged: a deck entry is invalid');
+  }
+
+  return data;
+};
+
+// Find the local word a backup entry belongs to: by id (if it's still the same
+// word), then by simplified form and pinyin, then by simplified form alone when
+// only one word has it. Each local word is matched at most once.
+const createMatcher = (words) => {
+  const byId = new Map(words.map(word => [word.id, word]));
+  const bySimplified = new Map();
+  words.forEach(word => {
+    if (!bySimplified.has(word.simplified)) bySimplified.set(word.simplified, []);
+    bySimplified.get(word.simplified).push(word);
+  });
+  const used = new Set();
+
+  return (entry) => {
+    const direct = byId.get(entry.id);
+    if (direct && direct.simplified === entry.simplified && !used.has(direct.id)) {
+      used.add(direct.id);
+      return { word: direct, byFallback: false };
+    }
+
+    const candidates = (bySimplified.get(entry.simplified) || []).filter(word => !used.has(word.id));
+    const pinyin = normalizePinyin(entry.pinyin);
+    const samePinyin = pinyin
+      ? candidates.filter(word => normalizePinyin(serverValue(word, 'pinyin')) === pinyin)
+      : [];
+
+    const match = samePinyin.length === 1 ? samePinyin[0] : candidates.length === 1 ? candidates[0] : null;
+    if (!match) return null;
+
+    used.add(match.id);
+    return { word: match, byFallback: true };
+  };
+};
+
+/**
+ * Copy a progress entry onto a word (older entries are converted to tracks)
+ * @param {Object} word - Changed in place
+ * @param {Object} entry - From collectProgress or an older backup
+ */
+export const applyProgress = (word, entry) => {
+  PROGRESS_FIELDS.forEach(field => {
+    if (entry[field] !== undefined) word[field] = entry[field];
+  });
+
+  word.tracks = createTracks(entry);
+  Object.assign(word, summarizeTracks(word.tracks));
+  LEGACY_SCHEDULER_FIELDS.forEach(field => delete word[field]);
+};
+
+const hasProgress = (word) => (word.reps || 0) > 0 || word.isFavorite || word.suspended;
+
+// Put the server's values back on a word and drop the user's examples
+const revertEdits = (word) => {
+  Object.entries(word.localEdits || {}).forEach(([field, value]) => {
+    word[field] = value;
+  });
+  delete word.localEdits;
+  word.examples = parseExamples(word.examples).filter(example => !example.isCustom);
+};
+
+// Apply a backed up set of edits to a server word. When merging, fields the
+// user already changed on this device keep their value.
+const applyEdits = (word, edit, merge) => {
+  const localEdits = { ...(word.localEdits || {}) };
+
+  Object.entries(edit.fields || {}).forEach(([field, value]) => {
+    if (merge && field in localEdits) return;
+    if (!(field in localEdits)) {
+      localEdits[field] = word[field] ?? null;
+    }
+    word[field] = value;
+  });
+
+  if (Object.keys(localEdits).length > 0) {
+    word.localEdits = localEdits;
+  }
+
+  const examples = parseExamples(word.examples);
+  const known = new Set(examples.map(example => example.simplified));
+  const added = (edit.customExamples || [])
+    .filter(example => !known.has(example.simplified))
+    .map(example => ({ ...example, isCustom: true }));
+  word.examples = [...examples, ...added];
+};
+
+/**
+ * Work out what restoring a backup would change, without changing anything
+ * @param {Object} backup - A backup that passed validateBackup
+ * @param {string} strategy - One of RESTORE_STRATEGIES
+ * @returns {Promise<Object>} Plan for applyRestorePlan, with a `summary` to preview
+ */
+export const createRestorePlan = async (backup, strategy = RESTORE_STRATEGIES.MERGE) => {
+  const overwrite = strategy === RESTORE_STRATEGIES.OVERWRITE;
+  const localWords = await vocabularyDB.getAll();
+  const words = new Map(localWords.map(word => [word.id, { ...word }]));
+  const changedIds = new Set();
+  const idMap = new Map(); // backup word id -> local word id
+
+  const summary = {
+    strategy,
+    createdAt: backup.createdAt,
+    appVersion: backup.appVersion,
+    progress: { restored: 0, kept: 0, reset: 0, matchedByFallback: 0, unmatched: [] },
+    customWords: { added: 0, updated: 0 },
+    edits: { applied: 0, reverted: 0 },
+    decks: { added: 0, merged: 0, removed: 0 },
+    reviews: { added: 0, skipped: 0, removed: 0 },
+    settings: { changed: [] }
+  };
+
+  // The user's own words first, so progress and decks can refer to them
+  const matchCustom = createMatcher(localWords.filter(isCustomWord));
+  backup.customWords.forEach(customWord => {
+    const match = matchCustom(customWord);
+    if (match) {
+      idMap.set(customWord.id, match.word.id);
+      if (overwrite) {
+        words.set(match.word.id, { ...match.word, ...customWord, id: match.word.id });
+        changedIds.add(match.word.id);
+        summary.customWords.updated++;
+      }
+    } else {
+      const added = { ...customWord, archived: false };
+      if (!added.tracks) Object.assign(added, emptyProgress());
+      words.set(added.id, added);
+      changedIds.add(added.id);
+      idMap.set(customWord.id, added.id);
+      summary.customWords.added++;
+    }
+  });
+
+  // Learning progress
+  const matchWord = createMatcher([...words.values()]);
+  const restoredIds = new Set();
+  backup.progress.forEach(entry => {
+    const match = idMap.has(entry.id)
+      ? { word: words.get(idMap.get(entry.id)), byFallback: false }
+      : matchWord(entry);
+
+    if (!match) {
+      if (hasProgress(entry)) summary.progress.unmatched.push(entry.simplified);
+      return;
+    }
+
+    const word = match.word;
+    idMap.set(entry.id, word.id);
+    restoredIds.add(word.id);
+    if (match.byFallback) summary.progress.matchedByFallback++;
+
+    const backupIsNewer = (entry.lastPracticed || '') > (word.lastPracticed || '');
+    if (overwrite || backupIsNewer) {
+      applyProgress(word, entry);
+      summary.progress.restored++;
+    } else {
+      if (entry.isFavorite) word.isFavorite = true;
+      summary.progress.kept++;
+    }
+    changedIds.add(word.id);
+  });
+
+  if (overwrite) {
+    words.forEach(word => {
+      if (restoredIds.has(word.id) || !hasProgress(word)) return;
+      Object.assign(word, emptyProgress(), { isFavorite: false, suspended: false });
+      changedIds.add(word.id);
+      summary.progress.reset++;
+    });
+  }
+
+  // Edits to server words
+  const editedIds = new Set();
+  backup.localEdits.forEach(edit => {
+    const localId = idMap.get(edit.id) ?? matchWord(edit)?.word.id;
+    const word = localId !== undefined ? words.get(localId) : null;
+    if (!word || isCustomWord(word)) return;
+
+    if (overwrite) revertEdits(word);
+    applyEdits(word, edit, !overwrite);
+    editedIds.add(word.id);
+    changedIds.add(word.id);
+    summary.edits.applied++;
+  });
+
+  if (overwrite) {
+    words.forEach(word => {
+      if (editedIds.has(word.id) || isCustomWord(word)) return;
+      if (!hasLocalEdits(word) && !parseExamples(word.examples).some(example => example.isCustom)) return;
+      revertEdits(word);
+      changedIds.add(word.id);
+      summary.edits.reverted++;
+    });
+  }
+
+  // Decks point at local word ids
+  const remap = (wordIds) => [...new Set(wordIds
+    .map(id => idMap.get(id) ?? (words.has(id) ? id : null))
+    .filter(id => id !== null))];
+
+  const localDecks = await deckDB.getAll();
+  let decks;
+  if (overwrite) {
+    decks = backup.decks.map(deck => ({ ...deck, wordIds: remap(deck.wordIds) }));
+    summary.decks.removed = localDecks.length;
+    summary.decks.added = decks.length;
+  } else {
+    const byName = new Map(localDecks.map(deck => [deck.name, { ...deck }]));
+    backup.decks.forEach(deck => {
+      const existing = byName.get(deck.name);
+      if (existing) {
+        existing.wordIds = [...new Set([...existing.wordIds, ...remap(deck.wordIds)])];
+        summary.decks.merged++;
+      } else {
+        byName.set(deck.name, { ...deck, wordIds: remap(deck.wordIds) });
+        summary.decks.added++;
+      }
+    });
+    decks = [...byName.values()];
+  }
+
+  // Review history, skipping entries already on this device
+  const localReviews = await vocabularyDB.getReviews();
+  const reviewKey = (review) => `${review.wordId}|${review.timestamp}|${review.mode}`;
+  const knownReviews = new Set(overwrite ? [] : localReviews.map(reviewKey));
+  const reviews = [];
+  backup.reviews.forEach(review => {
+    const wordId = review.wordId === null ? null : idMap.get(review.wordId);
+    if (wordId === undefined) {
+      summary.reviews.skipped++;
+      return;
+    }
+
+    const remapped = { ...review, wordId };
+    if (knownReviews.has(reviewKey(remapped))) return;
+    knownReviews.add(reviewKey(remapped));
+    reviews.push(remapped);
+  });
+  summary.reviews.added = reviews.length;
+  if (overwrite) summary.reviews.removed = localReviews.length;
+
+  // Settings - when merging only the ones this device doesn't have yet
+  const settings = { storage: {}, store: {} };
+  if (backup.settings) {
+    const localStore = await settingsDB.getAllSettings();
+    const { [LEGACY_SETTINGS_KEY]: legacySettings, ...storage } = backup.settings.storage || {};
+
+    Object.entries(storage).forEach(([key, value]) => {
+      const localValue = localStorage.getItem(key);
+      if (!overwrite && localValue !== null) return;
+
+      if (value !== localValue) {
+        settings.storage[key] = value;
+        summary.settings.changed.push(key);
+      }
+    });
+
+    // Older backups have the app settings as one localStorage entry
+    let backupStore = backup.settings.store || {};
+    if (legacySettings) {
+      try {
+        backupStore = { ...JSON.parse(legacySettings), ...backupStore };
+      } catch (error) {
+        console.warn("Ignoring unreadable settings in backup:", error);
+      }
+    }
+
+    Object.entries(backupStore).forEach(([key, value]) => {
+      if (!overwrite && key in localStore) return;
+      if (JSON.stringify(localStore[key]) === JSON.stringify(value)) return;
+      settings.store[key] = value;
+      summary.settings.changed.push(key);
+    });
+  }
+
+  return {
+    strategy,
+    summary,
+    words: [...changedIds].map(id => words.get(id)),
+    decks,
+    reviews,
+    settings
+  };
+};
+
+/**
+ * Apply a plan made by createRestorePlan
+ * @param {Object} plan
+ * @returns {Promise<Object>} The plan's summary
+ */
+export const applyRestorePlan = async (plan) => {
+  const overwrite = plan.strategy === RESTORE_STRATEGIES.OVERWRITE;
+
+  await vocabularyDB.saveWords(plan.words);
+
+  if (overwrite) await deckDB.clear();
+  for (const deck of plan.decks) {
+    await deckDB.save(deck);
+  }
+
+  if (overwrite) await vocabularyDB.clearReviews();
+  await vocabularyDB.addReviews(plan.reviews);
+
+  Object.entries(plan.settings.storage).forEach(([key, value]) => {
+    localStorage.setItem(key, value);
+  });
+  for (const [key, value] of Object.entries(plan.settings.store)) {
+    await settingsDB.saveSetting(key, value);
+  }
+  // Let the app pick up the restored settings (invalid values fall back to defaults)
+  await settingsService.reload();
+
+  console.log(`Backup restored (${plan.strategy}): ${plan.words.length} words updated`);
+  return plan.summary;
+};
@@ -0,0 +1,103 @@
+// src/services/characters.js
+// Character (hanzi) knowledge derived from the words a character appears in
+
+import { PRACTICED_SKILLS, getTrack } from './srs';
+
+// A track whose memory lasts this many days counts as fully learned
+const MASTERED_STABILITY = 21;
+
+// Mastery from which a character counts as known
+export const KNOWN_MASTERY = 0.5;
+
+/**
+ * Distinct Chinese characters of a text, in order of appearance
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const extractCharacters = (text) => {
+  return [...new Set((text || '').match(/\p{Script=Han}/gu) || [])];
+};
+
+/**
+ * How well a word is known, from 0 (never practiced) to 1, averaged over the
+ * skills that can be practiced
+ * @param {Object} word
+ * @returns {number}
+ */
+export const wordMastery = (word) => {
+  const total = PRACTICED_SKILLS.reduce((sum, skill) => {
+    const track = getTrack(word, skill);
+    if (!track.reps || !track.stability) return sum;
+    return sum + Math.min(1, track.stability / MASTERED_STABILITY);
+  }, 0);
+
+  return total / PRACTICED_SKILLS.length;
+};
+
+/**
+ * Check whether a word counts as known, by the same measure as characters
+ * @param {Object} word
+ * @returns {boolean}
+ */
+export const isWordKnown = (word) => wordMastery(word) >= KNOWN_MASTERY;
+
+/**
+ * Build the record of one character from the words it appears in. Every word
+ * is a chance to have learned the character, so mastery is the probability
+ * that at least one of them taught it.
+ * @param {string} character
+ * @param {Array} words - Candidate words; ones without the character are ignored
+ * @returns {Object|null} The record, or null when no (available) word contains it
+ */
+export const buildCharacterRecord = (character, words) => {
+  const seen = new Set();
+  const containing = words.filter(word => {
+    if (!word || word.archived || seen.has(word.id)) return false;
+    if (!(word.simplified || '').includes(character)) return false;
+    seen.add(word.id);
+    return true;
+  });
+
+  if (containing.length === 0) return null;
+
+  const masteries = containing.map(wordMastery);
+  const unknown = masteries.reduce((product, mastery) => product * (1 - mastery), 1);
+  // Chengyu (level -1) and words without a level don't give an HSK level
+  const levels = containing.map(word => word.level).filter(level => level >= 1);
+
+  return {
+    character,
+    wordIds: containing.map(word => word.id),
+    firstLevel: levels.length > 0 ? Math.min(...levels) : null,
+    mastery: Math.round((1 - unknown) * 1000) / 1000,
+    practicedWords: masteries.filter(mastery => mastery > 0).length
+  };
+};
+
+/**
+ * Build the records of every character in a vocabulary
+ * @param {Array} words
+ * @returns {Array} Character records
+ */
+export const buildCharacterRecords = (words) => {
+  const wordsByCharacter = new Map();
+
+  words.forEach(word => {
+    if (word.archived) return;
+    extractCharacters(word.simplified).forEach(character => {
+      if (!wordsByCharacter.has(character)) wordsByCharacter.set(character, []);
+      wordsByCharacter.get(character).push(word);
+    });
+  });
+
+  return [...wordsByCharacter.entries()]
+    .map(([character, characterWords]) => buildCharacterRecord(character, characterWords))
+    .filter(Boolean);
+};
+
+/**
+ * Check whether a character counts as known
+ * @param {Object} record - Character record
+ * @returns {boolean}
+ */
+export const isCharacterKnown = (record) => (record?.mastery || 0) >= KNOWN_MASTERY;
@@ -0,0 +1,235 @@
+// src/services/db-migrations.js
+// Ordered IndexedDB schema migrations. Each migration runs inside the
+// versionchange transaction opened by openDB, so a failure rolls back the
+// whole upgrade and the user's data is left untouched.
+
+import { hasSchedulingState, convertLegacyState, SKILLS, createTracks, summarizeTracks } from './srs';
+
+/**
+ * Visit every record of a store inside the upgrade transaction and pass it
+ * through each update in turn, writing it back once if any of them changed it
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {string} storeName
+ * @param {Array<function>} updates - Each returns the updated record, or null to leave it as is
+ */
+const updateEachRecord = (transaction, storeName, updates) => {
+  const request = transaction.objectStore(storeName).openCursor();
+
+  request.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+
+    let record = cursor.value;
+    let changed = false;
+    updates.forEach(updateRecord => {
+      const updated = updateRecord(record);
+      if (updated) {
+        record = updated;
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      cursor.update(record);
+    }
+    cursor.continue();
+  };
+};
+
+// Skills there were when tracks were introduced; later ones got their own migration
+const VERSION_8_SKILLS = ['recognition', 'speaking'];
+
+/**
+ * Migrations in ascending version order. Never edit or reorder a migration
+ * that has shipped - add a new one instead.
+ *
+ * `migrate` makes schema changes; `updateRecords` maps a store name to a
+ * function that rewrites one record (returning null to leave it as is).
+ * Record rewrites aren't run on their own: runMigrations applies those of all
+ * pending migrations in a single pass, so each sees the previous ones' result.
+ */
+export const MIGRATIONS = [
+  {
+    version: 3,
+    description: 'Vocabulary and settings stores',
+    migrate(db) {
+      // Databases created by older builds already have these stores
+      if (!db.objectStoreNames.contains('vocabulary')) {
+        const vocabStore = db.createObjectStore('vocabulary', { keyPath: 'id' });
+        vocabStore.createIndex('by-level', 'level');
+        vocabStore.createIndex('by-next-review', 'nextReview');
+        vocabStore.createIndex('by-simplified', 'simplified');
+      }
+
+      if (!db.objectStoreNames.contains('settings')) {
+        db.createObjectStore('settings', { keyPath: 'key' });
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Review log store',
+    migrate(db) {
+      if (!db.objectStoreNames.contains('reviews')) {
+        const reviewStore = db.createObjectStore('reviews', { keyPath: 'id', autoIncrement: true });
+        reviewStore.createIndex('by-word', 'wordId');
+        reviewStore.createIndex('by-date', 'timestamp');
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Store word examples as arrays instead of JSON strings',
+    updateRecords: {
+      vocabulary(word) {
+        if (Array.isArray(word.examples)) return null;
+
+        let examples;
+        try {
+          examples = JSON.parse(word.examples || '[]');
+        } catch {
+          examples = [];
+        }
+        return { ...word, examples: Array.isArray(examples) ? examples : [] };
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Convert fixed-interval SRS levels to scheduler state',
+    updateRecords: {
+      vocabulary(word) {
+        if (hasSchedulingState(word)) return null;
+        return { ...word, ...convertLegacyState(word) };
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'User-defined decks',
+    migrate(db) {
+      if (!db.objectStoreNames.contains('decks')) {
+        const deckStore = db.createObjectStore('decks', { keyPath: 'id' });
+        deckStore.createIndex('by-name', 'name');
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Schedule each skill separately',
+    migrate(db, transaction) {
+      const vocabStore = transaction.objectStore('vocabulary');
+      VERSION_8_SKILLS.forEach(skill => {
+        vocabStore.createIndex(`by-next-review-${skill}`, `tracks.${skill}.nextReview`);
+      });
+    },
+    updateRecords: {
+      // Until now every skill shared one schedule, so each skill starts from it
+      vocabulary(word) {
+        if (word.tracks) return null;
+
+        const tracks = createTracks(word, VERSION_8_SKILLS);
+        const updated = { ...word, tracks, ...summarizeTracks(tracks) };
+
+        // The shared scheduler state now lives in the tracks
+        delete updated.stability;
+        delete updated.difficulty;
+        delete updated.interval;
+        return updated;
+      }
+    }
+  },
+  {
+    version: 9,
+    description: 'Character knowledge derived from words',
+    migrate(db) {
+      // Filled from the vocabulary on the next start (see characterDB.ensureBuilt)
+      if (!db.objectStoreNames.contains('characters')) {
+        const characterStore = db.createObjectStore('characters', { keyPath: 'character' });
+        characterStore.createIndex('by-level', 'firstLevel');
+      }
+    }
+  },
+  {
+    version: 10,
+    description: 'Learner profiles',
+    migrate(db) {
+      // The first profile is created on the next start (see profileService.getProfiles)
+      if (!db.objectStoreNames.contains('profiles')) {
+        db.createObjectStore('profiles', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 11,
+    description: 'Listening and writing tracks',
+    migrate(db, transaction) {
+      const vocabStore = transaction.objectStore('vocabulary');
+      [SKILLS.LISTENING, SKILLS.WRITING].forEach(skill => {
+        vocabStore.createIndex(`by-next-review-${skill}`, `tracks.${skill}.nextReview`);
+      });
+    },
+    updateRecords: {
+      // Neither skill has been practiced, so both start from scratch
+      vocabulary(word) {
+        if (!word.tracks || (word.tracks[SKILLS.LISTENING] && word.tracks[SKILLS.WRITING])) return null;
+
+        const tracks = createTracks(word);
+        return { ...word, tracks, ...summarizeTracks(tracks) };
+      }
+    }
+  },
+  {
+    version: 12,
+    description: 'Look up words by their traditional form',
+    migrate(db, transaction) {
+      transaction.objectStore('vocabulary').createIndex('by-traditional', 'traditional');
+    }
+  }
+];
+
+// Current schema version - always the version of the last migration
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Stores and indexes the current schema must have (checked by checkSchema)
+export const EXPECTED_SCHEMA = {
+  vocabulary: [
+    'by-level',
+    'by-next-review',
+    'by-simplified',
+    'by-traditional',
+    ...Object.values(SKILLS).map(skill => `by-next-review-${skill}`)
+  ],
+  settings: [],
+  reviews: ['by-word', 'by-date'],
+  decks: ['by-name'],
+  characters: ['by-level'],
+  profiles: []
+};
+
+/**
+ * Run every migration newer than the version the database was opened at: first
+ * all schema changes, then one pass over each store that applies the pending
+ * record rewrites in version order
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} oldVersion
+ */
+export const runMigrations = (db, transaction, oldVersion) => {
+  const recordUpdates = {};
+
+  MIGRATIONS
+    .filter(migration => migration.version > oldVersion)
+    .forEach(migration => {
+      console.log(`Running database migration ${migration.version}: ${migration.description}`);
+      if (migration.migrate) migration.migrate(db, transaction);
+
+      Object.entries(migration.updateRecords || {}).forEach(([storeName, updateRecord]) => {
+        (recordUpdates[storeName] = recordUpdates[storeName] || []).push(updateRecord);
+      });
+    });
+
+  Object.entries(recordUpdates).forEach(([storeName, updates]) => {
+    updateEachRecord(transaction, storeName, updates);
+  });
+};
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { MIGRATIONS, DB_VERSION, EXPECTED_SCHEMA, runMigrations } from './db-migrations';
+import { SKILLS } from './srs';
+
+const DB_NAME = 'migration-test';
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// Open the database at the latest version, running the migrations like openDB does
+const open = (indexedDB, version = DB_VERSION) => {
+  const req = indexedDB.open(DB_NAME, version);
+  req.onupgradeneeded = (event) => {
+    runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+  };
+  return request(req);
+};
+
+// Create the database as version 3 left it, holding one word
+const createVersion3 = async (indexedDB, word) => {
+  const req = indexedDB.open(DB_NAME, 3);
+  req.onupgradeneeded = (event) => {
+    MIGRATIONS
+      .filter(migration => migration.version <= 3)
+      .forEach(migration => migration.migrate(event.target.result, event.target.transaction));
+  };
+  const db = await request(req);
+  await request(db.transaction('vocabulary', 'readwrite').objectStore('vocabulary').put(word));
+  db.close();
+};
+
+const getWord = async (db, id) => {
+  return request(db.transaction('vocabulary', 'readonly').objectStore('vocabulary').get(id));
+};
+
+// A word as version 3 stored it: examples as JSON and a fixed-interval level
+const legacyWord = {
+  id: 1,
+  simplified: '你好',
+  pinyin: 'nǐ hǎo',
+  level: 1,
+  examples: JSON.stringify([{ simplified: '你好吗？', english: 'How are you?' }]),
+  srsLevel: 2,
+  correctCount: 3,
+  incorrectCount: 1,
+  nextReview: '2024-01-01'
+};
+
+describe('runMigrations', () => {
+  it('upgrades a version 3 database straight to the latest version', async () => {
+    const indexedDB = new IDBFactory();
+
+    await createVersion3(indexedDB, legacyWord);
+
+    const db = await open(indexedDB);
+    const word = await getWord(db, 1);
+
+    // Every record rewrite has to survive the later ones
+    expect(word.examples).toEqual([{ simplified: '你好吗？', english: 'How are you?' }]);
+    expect(Object.keys(word.tracks).sort()).toEqual(Object.values(SKILLS).sort());
+    // The skills scheduled before version 8 start from the shared schedule,
+    // the ones added later from scratch
+    [SKILLS.RECOGNITION, SKILLS.SPEAKING].forEach(skill => {
+      expect(word.tracks[skill].srsLevel).toBe(2);
+      expect(word.tracks[skill].stability).toBeGreaterThan(0);
+    });
+    [SKILLS.LISTENING, SKILLS.WRITING].forEach(skill => {
+      expect(word.tracks[skill].reps).toBe(0);
+      expect(word.tracks[skill].stability).toBeNull();
+    });
+    expect(word.srsLevel).toBe(2);
+    expect(word.stability).toBeUndefined();
+
+    Object.entries(EXPECTED_SCHEMA).forEach(([storeName, indexes]) => {
+      expect(db.objectStoreNames.contains(storeName)).toBe(true);
+      const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+      indexes.forEach(index => expect(store.indexNames.contains(index)).toBe(true));
+    });
+    db.close();
+  });
+});
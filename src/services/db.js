@@ -1,60 +1,284 @@
 // src/services/db.js
 // Enhanced version with better sentence handling and SRS functionality
 
-// Calculate next review date based on SRS level
-const calculateNextReview = (srsLevel, wasCorrect) => {
-  // SRS intervals in days (exponentially increasing)
-  const intervals = [1, 3, 7, 14, 30, 60, 120, 240];
-  
-  let nextLevel;
-  if (wasCorrect) {
-    // Move to next level (max at highest interval)
-    nextLevel = Math.min(srsLevel + 1, intervals.length - 1);
-  } else {
-    // Reset or step back
-    nextLevel = Math.max(0, srsLevel - 2);
-  }
-  
-  const daysUntilNextReview = intervals[nextLevel];
-  const nextReviewDate = new Date();
-  nextReviewDate.setDate(nextReviewDate.getDate() + daysUntilNextReview);
-  
-  return {
-    srsLevel: nextLevel,
-    nextReview: nextReviewDate.toISOString().split('T')[0] // YYYY-MM-DD format
-  };
+import {
+  GRADES,
+  SKILLS,
+  getTrack,
+  createTracks,
+  summarizeTracks,
+  convertLegacyState,
+  scheduleReview,
+  gradeFromBoolean
+} from './srs';
+import { v4 as uuidv4 } from 'uuid';
+import { DB_VERSION, EXPECTED_SCHEMA, runMigrations } from './db-migrations';
+import { extractCharacters, buildCharacterRecord, buildCharacterRecords } from './characters';
+import { settingsService } from './settings-service';
+import { CUSTOM_SOURCE, isWordAvailable, isCustomWord } from './word-status';
+
+// Re-exported so the rest of the app keeps importing them from here
+export { CUSTOM_SOURCE, isWordAvailable, isCustomWord, hasLocalEdits } from './word-status';
+
+// Practice modes recorded in the review log
+export const PRACTICE_MODES = {
+  SPEECH: 'speech',
+  SENTENCE_READING: 'sentence-reading',
+  SELF_GRADED: 'self-graded',
+  COMPONENT_BUILDER: 'component-builder'
+};
+
+// Skill trained by each practice mode. Component builder rounds are about
+// single characters rather than vocabulary words, so they have no skill.
+// A skill that gets its first mode belongs in PRACTICED_SKILLS (srs.js) too.
+export const MODE_SKILLS = {
+  [PRACTICE_MODES.SPEECH]: SKILLS.SPEAKING,
+  [PRACTICE_MODES.SENTENCE_READING]: SKILLS.SPEAKING,
+  [PRACTICE_MODES.SELF_GRADED]: SKILLS.RECOGNITION,
+  [PRACTICE_MODES.COMPONENT_BUILDER]: null
+};
+
+// Shared connection, opened on first use
+let dbPromise = null;
+
+// Let the UI know about connection problems it needs to tell the user about
+const notifyDatabaseEvent = (type, detail = {}) => {
+  window.dispatchEvent(new CustomEvent(type, { detail }));
 };
 
-// Open the database
+// Open the database, running any pending schema migrations
 const openDB = () => {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('hsk-master-db', 3); // Increased version for schema changes
+  if (dbPromise) return dbPromise;
+  
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open('hsk-master-db', DB_VERSION);
     
     request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      
-      // Vocabulary store - main store for all words
-      if (!db.objectStoreNames.contains('vocabulary')) {
-        const vocabStore = db.createObjectStore('vocabulary', { keyPath: 'id' });
-        vocabStore.createIndex('by-level', 'level');
-        vocabStore.createIndex('by-next-review', 'nextReview');
-        vocabStore.createIndex('by-simplified', 'simplified');
-      }
-      
-      // Settings store
-      if (!db.objectStoreNames.contains('settings')) {
-        db.createObjectStore('settings', { keyPath: 'key' });
-      }
+      runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+    };
+    
+    // Another tab still has the old version open - the upgrade waits until it closes
+    request.onblocked = () => {
+      console.warn("Database upgrade blocked by another open tab");
+      notifyDatabaseEvent('hsk-db-blocked');
     };
     
     request.onsuccess = (event) => {
-      resolve(event.target.result);
+      const db = event.target.result;
+      
+      // A newer version was opened in another tab - step aside so it can upgrade
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+        notifyDatabaseEvent('hsk-db-versionchange');
+      };
+      
+      db.onclose = () => {
+        dbPromise = null;
+      };
+      
+      resolve(db);
     };
     
     request.onerror = (event) => {
+      dbPromise = null;
       reject(event.target.error);
     };
   });
+  
+  return dbPromise;
+};
+
+/**
+ * Compare the open database against the schema this build expects
+ * @returns {Promise<{version: number, expectedVersion: number, missingStores: string[], missingIndexes: string[], ok: boolean}>}
+ */
+export const checkSchema = async () => {
+  const db = await openDB();
+  const missingStores = [];
+  const missingIndexes = [];
+  
+  Object.entries(EXPECTED_SCHEMA).forEach(([storeName, indexNames]) => {
+    if (!db.objectStoreNames.contains(storeName)) {
+      missingStores.push(storeName);
+      return;
+    }
+    
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    indexNames.forEach(indexName => {
+      if (!store.indexNames.contains(indexName)) {
+        missingIndexes.push(`${storeName}.${indexName}`);
+      }
+    });
+  });
+  
+  return {
+    version: db.version,
+    expectedVersion: DB_VERSION,
+    missingStores,
+    missingIndexes,
+    ok: db.version === DB_VERSION && missingStores.length === 0 && missingIndexes.length === 0
+  };
+};
+
+// Words store their examples as an array; older records and server data use a JSON string
+export const parseExamples = (examples) => {
+  if (Array.isArray(examples)) return examples;
+  
+  try {
+    const parsed = JSON.parse(examples || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.error("Error parsing examples:", e);
+    return [];
+  }
+};
+
+// Learning progress stored on each word. Server imports never overwrite these.
+export const PROGRESS_FIELDS = [
+  'srsLevel',
+  'nextReview',
+  'stability',
+  'difficulty',
+  'interval',
+  'reps',
+  'lapses',
+  'tracks',
+  'correctCount',
+  'incorrectCount',
+  'lastPracticed',
+  'isFavorite',
+  'isLeech',
+  'suspended',
+  'buriedUntil'
+];
+
+// Fields a review changes, saved with the review entry so it can be undone
+const REVIEW_SNAPSHOT_FIELDS = [
+  'tracks',
+  'srsLevel',
+  'nextReview',
+  'reps',
+  'lapses',
+  'correctCount',
+  'incorrectCount',
+  'lastPracticed',
+  'isLeech'
+];
+
+// Number of lapses after which a word is flagged as a leech
+const getLeechThreshold = () => settingsService.get('leechThreshold');
+
+// Local bookkeeping fields that aren't part of the word's content either
+const LOCAL_FIELDS = ['id', 'archived', 'source', 'localEdits'];
+
+// Content fields the user can override on a server word
+export const EDITABLE_FIELDS = ['traditional', 'pinyin', 'meanings', 'english'];
+
+// Mark user-written example sentences so server imports keep them
+const markCustomExamples = (examples) => {
+  return parseExamples(examples).map(example => ({ ...example, isCustom: true }));
+};
+
+// Apply server content to an existing word without losing local changes:
+// overridden fields keep the user's value (the server value is remembered
+// in `localEdits` for reverting) and user examples are kept after the server's.
+const mergeServerContent = (existing, content) => {
+  const merged = { ...existing, ...content };
+  const localEdits = { ...(existing.localEdits || {}) };
+  
+  Object.keys(localEdits).forEach(field => {
+    localEdits[field] = content[field] ?? null;
+    merged[field] = existing[field];
+  });
+  
+  if (Object.keys(localEdits).length > 0) {
+    merged.localEdits = localEdits;
+  }
+  
+  const customExamples = parseExamples(existing.examples).filter(example => example.isCustom);
+  merged.examples = [...content.examples, ...customExamples];
+  
+  return merged;
+};
+
+// Extract the content fields (pinyin, meanings, examples, level, ...) of a server word
+const getContentFields = (word) => {
+  const content = {};
+  
+  Object.keys(word).forEach(key => {
+    if (!PROGRESS_FIELDS.includes(key) && !LOCAL_FIELDS.includes(key)) {
+      content[key] = word[key];
+    }
+  });
+  
+  content.examples = parseExamples(word.examples);
+  return content;
+};
+
+/**
+ * Learning progress of a word that has never been practiced (due today)
+ * @returns {Object} Progress fields, not including favorite and suspended status
+ */
+export const emptyProgress = () => {
+  const tracks = createTracks(convertLegacyState({}));
+  return {
+    tracks,
+    ...summarizeTracks(tracks),
+    correctCount: 0,
+    incorrectCount: 0,
+    lastPracticed: null,
+    isLeech: false,
+    buriedUntil: null
+  };
+};
+
+// A review log entry that doesn't go through the scheduler, with defaults for
+// everything `entry` leaves out
+const createLogEntry = (entry) => ({
+  wordId: null,
+  simplified: null,
+  timestamp: new Date().toISOString(),
+  mode: PRACTICE_MODES.SELF_GRADED,
+  grade: null,
+  correct: null,
+  responseTime: null,
+  previousInterval: null,
+  newInterval: null,
+  transcription: null,
+  pronunciation: null,
+  ...entry
+});
+
+// Fill in progress defaults for a word that is new to this device
+const prepareNewWord = (word) => {
+  const prepared = { ...word, examples: parseExamples(word.examples), archived: false };
+  
+  if (!prepared.tracks) {
+    prepared.tracks = createTracks(prepared);
+    Object.assign(prepared, summarizeTracks(prepared.tracks));
+  }
+  if (!prepared.correctCount) prepared.correctCount = 0;
+  if (!prepared.incorrectCount) prepared.incorrectCount = 0;
+  if (prepared.isFavorite === undefined) prepared.isFavorite = false;
+  
+  return prepared;
+};
+
+// Check a word against a level filter (single level, array of levels or null)
+const matchesLevel = (word, level) => {
+  if (level === null) return true;
+  return Array.isArray(level) ? level.includes(word.level) : word.level === level;
+};
+
+// Keep the derived character records in step with a changed word. A failure
+// here must not undo the change itself, so it's only logged.
+const refreshCharacters = async (word, previousSimplified = null) => {
+  try {
+    await characterDB.updateForWord(word, previousSimplified);
+  } catch (error) {
+    console.error("Error updating characters:", error);
+  }
 };
 
 // Vocabulary database operations
@@ -86,15 +310,18 @@ export const vocabularyDB = {
     });
   },
   
-  // Get words due for review
-  async getDueForReview(count = 20, level = null) {
+  // Get words due for review, most overdue first.
+  // `level` can be a single HSK level, an array of levels or null for all levels.
+  // With a `skill` only that skill's schedule counts, otherwise words are due when any skill is.
+  // Unless `supplement` is false, random words fill up the result when too few are due.
+  async getDueForReview(count = 20, level = null, { supplement = true, skill = null } = {}) {
     const db = await openDB();
     const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
     
     return new Promise((resolve, reject) => {
       const transaction = db.transaction('vocabulary', 'readonly');
       const store = transaction.objectStore('vocabulary');
-      const index = store.index('by-next-review');
+      const index = store.index(skill ? `by-next-review-${skill}` : 'by-next-review');
       const request = index.openCursor(IDBKeyRange.upperBound(today));
       
       const results = [];
@@ -102,12 +329,10 @@ export const vocabularyDB = {
       request.onsuccess = (event) => {
         const cursor = event.target.result;
         if (cursor) {
-          // Add words at the specified level, or all levels if level is null
-          if (level === null || cursor.value.level === level) {
-            // Only include words that have examples
-            if (cursor.value.examples && 
-                Array.isArray(JSON.parse(cursor.value.examples || '[]')) && 
-                JSON.parse(cursor.value.examples || '[]').length > 0) {
+          // Add words at the specified level(s), or all levels if level is null
+          if (matchesLevel(cursor.value, level)) {
+            // Only include available words that have examples
+            if (isWordAvailable(cursor.value, today) && parseExamples(cursor.value.examples).length > 0) {
               results.push(cursor.value);
             }
           }
@@ -119,7 +344,7 @@ export const vocabularyDB = {
           }
         } else {
           // If we don't have enough words due for review, we'll need to supplement
-          if (results.length < count) {
+          if (supplement && results.length < count) {
             // First try to get more words at the right level that aren't due yet
             this.getRandomWords(count - results.length, level, results.map(w => w.id))
               .then(additionalWords => {
@@ -148,20 +373,11 @@ export const vocabularyDB = {
       const request = store.getAll();
       
       request.onsuccess = () => {
-        let words = request.result.filter(word => {
-          // Only include words with examples
-          try {
-            const examples = JSON.parse(word.examples || '[]');
-            return Array.isArray(examples) && examples.length > 0;
-          } catch (e) {
-            return false;
-          }
-        });
+        // Only include available words with examples
+        let words = request.result.filter(word => isWordAvailable(word) && parseExamples(word.examples).length > 0);
         
         // Filter by level if specified
-        if (level !== null) {
-          words = words.filter(word => word.level === level);
-        }
+        words = words.filter(word => matchesLevel(word, level));
         
         // Exclude words we already have
         if (excludeIds.length > 0) {
@@ -191,13 +407,181 @@ export const vocabularyDB = {
     });
   },
   
-  // Update a word's SRS information after practice
-  async updateWordAfterPractice(id, wasCorrect) {
+  // Get a word by its traditional form
+  async getByTraditional(traditional) {
     const db = await openDB();
     return new Promise((resolve, reject) => {
+      const transaction = db.transaction('vocabulary', 'readonly');
+      const store = transaction.objectStore('vocabulary');
+      const index = store.index('by-traditional');
+      const request = index.get(traditional);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Get the longest word that a text starts with, e.g. "中国人很多" -> 中国人.
+  // The text can be simplified or traditional. Only the first `maxLength`
+  // characters are tried.
+  async lookupLongest(text, maxLength = 8) {
+    const characters = [...(text || '')].slice(0, maxLength);
+    for (let length = characters.length; length > 0; length--) {
+      const candidate = characters.slice(0, length).join('');
+      const word = await this.getBySimplified(candidate) || await this.getByTraditional(candidate);
+      if (word) return word;
+    }
+    return null;
+  },
+  
+  // Add a word created by the user
+  async addCustomWord(fields) {
+    const simplified = (fields.simplified || '').trim();
+    if (!simplified) {
+      throw new Error('A word needs its simplified form');
+    }
+    
+    const word = prepareNewWord({
+      ...fields,
+      simplified,
+      id: `custom-${uuidv4()}`,
+      source: CUSTOM_SOURCE,
+      examples: markCustomExamples(fields.examples),
+      createdAt: new Date().toISOString()
+    });
+    
+    const db = await openDB();
+    await new Promise((resolve, reject) => {
       const transaction = db.transaction('vocabulary', 'readwrite');
+      const request = transaction.objectStore('vocabulary').add(word);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+    
+    await refreshCharacters(word);
+    return word;
+  },
+  
+  // Edit a word's content. The user's own words are changed as given; on server
+  // words the changed fields are recorded in `localEdits` so imports keep them.
+  // `customExamples` replaces the user's examples, server examples stay as they are.
+  async editWord(id, { fields = {}, customExamples = null } = {}) {
+    let previousSimplified = null;
+    
+    const updated = await this._updateWord(id, word => {
+      const custom = isCustomWord(word);
+      previousSimplified = word.simplified;
+      
+      Object.entries(fields).forEach(([field, value]) => {
+        if (JSON.stringify(word[field]) === JSON.stringify(value)) return;
+        
+        if (!custom) {
+          if (!EDITABLE_FIELDS.includes(field)) {
+            throw new Error(`The field "${field}" of a server word can't be edited`);
+          }
+          
+          const localEdits = { ...(word.localEdits || {}) };
+          if (!(field in localEdits)) {
+            localEdits[field] = word[field] ?? null;
+          } else if (localEdits[field] === value) {
+            // Changed back to the server's value
+            delete localEdits[field];
+          }
+          word.localEdits = localEdits;
+        }
+        
+        word[field] = value;
+      });
+      
+      if (customExamples) {
+        const serverExamples = custom ? [] : parseExamples(word.examples).filter(example => !example.isCustom);
+        word.examples = [...serverExamples, ...markCustomExamples(customExamples)];
+      }
+    });
+    
+    if (updated.simplified !== previousSimplified) {
+      await refreshCharacters(updated, previousSimplified);
+    }
+    return updated;
+  },
+  
+  // Restore the server's value of a locally edited field
+  async revertLocalEdit(id, field) {
+    return this._updateWord(id, word => {
+      if (!word.localEdits || !(field in word.localEdits)) return;
+      
+      const { [field]: serverValue, ...remaining } = word.localEdits;
+      word[field] = serverValue;
+      word.localEdits = remaining;
+    });
+  },
+  
+  // Delete a word the user created, together with its review history and deck entries
+  async deleteCustomWord(id) {
+    const db = await openDB();
+    let deletedWord = null;
+    
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['vocabulary', 'reviews'], 'readwrite');
+      const store = transaction.objectStore('vocabulary');
+      const reviewIndex = transaction.objectStore('reviews').index('by-word');
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (!isCustomWord(request.result)) {
+          transaction.abort();
+          reject(new Error(`Word with id ${id} is not a custom word`));
+          return;
+        }
+        
+        deletedWord = request.result;
+        store.delete(id);
+        
+        const cursorRequest = reviewIndex.openCursor(IDBKeyRange.only(id));
+        cursorRequest.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            cursor.delete();
+            cursor.continue();
+          }
+        };
+      };
+    });
+    
+    const decks = await deckDB.getDecksForWord(id);
+    for (const deck of decks) {
+      await deckDB.removeWord(deck.id, id);
+    }
+    
+    await refreshCharacters(deletedWord);
+  },
+  
+  // Update a word's SRS information after practice and record it in the review log.
+  // `grade` is one of GRADES; a boolean is still accepted and mapped to Good/Again.
+  // `details` can hold the practice mode, response time (ms), transcription and
+  // the per-syllable pronunciation breakdown of speech practice.
+  // Only the track of the skill the mode trains (or `details.skill`) is rescheduled.
+  // `details.relatedReviews` are log entries (as for logReview) of other words
+  // answered along with this one, e.g. the rest of a sentence read aloud. They're
+  // written in the same transaction and undone together with this review.
+  async updateWordAfterPractice(id, grade, details = {}) {
+    if (typeof grade === 'boolean') {
+      grade = gradeFromBoolean(grade);
+    }
+    
+    const db = await openDB();
+    const updatedWord = await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['vocabulary', 'reviews'], 'readwrite');
       const store = transaction.objectStore('vocabulary');
       const request = store.get(id);
+      let practicedWord = null;
+      
+      transaction.oncomplete = () => resolve(practicedWord);
+      transaction.onerror = () => reject(transaction.error);
       
       request.onsuccess = () => {
         const word = request.result;
@@ -206,94 +590,337 @@ export const vocabularyDB = {
           return;
         }
         
-        // Update SRS level and next review date
-        const { srsLevel, nextReview } = calculateNextReview(
-          word.srsLevel || 0, 
-          wasCorrect
+        const mode = details.mode || PRACTICE_MODES.SELF_GRADED;
+        const skill = details.skill || MODE_SKILLS[mode] || SKILLS.RECOGNITION;
+        
+        const snapshot = {};
+        REVIEW_SNAPSHOT_FIELDS.forEach(field => {
+          snapshot[field] = word[field] ?? null;
+        });
+        
+        // Run the scheduler on this skill's track (converts legacy data on first use)
+        const now = new Date();
+        const tracks = createTracks(word);
+        const previousState = getTrack(word, skill);
+        const nextState = scheduleReview(
+          previousState,
+          grade,
+          previousState.lastPracticed,
+          now
         );
         
-        word.srsLevel = srsLevel;
-        word.nextReview = nextReview;
+        word.tracks = { ...tracks, [skill]: { ...nextState, lastPracticed: now.toISOString() } };
+        Object.assign(word, summarizeTracks(word.tracks));
         
         // Update correct/incorrect counts
-        if (wasCorrect) {
+        if (grade !== GRADES.AGAIN) {
           word.correctCount = (word.correctCount || 0) + 1;
         } else {
           word.incorrectCount = (word.incorrectCount || 0) + 1;
         }
         
+        // Flag words that keep being forgotten in a skill
+        if (nextState.lapses >= getLeechThreshold()) {
+          word.isLeech = true;
+        }
+        
         // Update last practiced date
-        word.lastPracticed = new Date().toISOString();
+        word.lastPracticed = now.toISOString();
         
-        // Save updated word
-        const updateRequest = store.put(word);
+        // Save updated word and its review entry in the same transaction
+        store.put(word);
+        const reviewStore = transaction.objectStore('reviews');
+        const reviewRequest = reviewStore.add({
+          wordId: word.id,
+          simplified: word.simplified,
+          timestamp: word.lastPracticed,
+          mode,
+          skill,
+          grade,
+          correct: grade !== GRADES.AGAIN,
+          responseTime: details.responseTime ?? null,
+          previousInterval: previousState.interval || 0,
+          newInterval: nextState.interval,
+          transcription: details.transcription ?? null,
+          pronunciation: details.pronunciation ?? null,
+          previousState: snapshot
+        });
+        reviewRequest.onsuccess = () => {
+          (details.relatedReviews || []).forEach(related => {
+            reviewStore.add(createLogEntry({
+              timestamp: word.lastPracticed,
+              mode,
+              ...related,
+              parentReviewId: reviewRequest.result
+            }));
+          });
+        };
         
-        updateRequest.onsuccess = () => resolve(word);
-        updateRequest.onerror = () => reject(updateRequest.error);
+        practicedWord = word;
+      };
+    });
+    
+    await refreshCharacters(updatedWord);
+    return updatedWord;
+  },
+  
+  // Undo the most recent review of a word: restore the scheduling state and
+  // counters saved with the review entry and remove the entry from the log,
+  // together with the entries of other words logged along with it
+  async undoLastReview(wordId) {
+    const db = await openDB();
+    const restoredWord = await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['vocabulary', 'reviews'], 'readwrite');
+      const store = transaction.objectStore('vocabulary');
+      const reviewStore = transaction.objectStore('reviews');
+      let restored = null;
+      
+      transaction.oncomplete = () => resolve(restored);
+      transaction.onerror = () => reject(transaction.error);
+      
+      // Newest entry last - entry ids increase with time
+      const request = reviewStore.index('by-word').getAll(IDBKeyRange.only(wordId));
+      
+      request.onsuccess = () => {
+        const entry = request.result
+          .filter(review => review.previousState)
+          .sort((a, b) => a.id - b.id)
+          .pop();
+        
+        if (!entry) {
+          transaction.abort();
+          reject(new Error(`No review of word ${wordId} to undo`));
+          return;
+        }
+        
+        const wordRequest = store.get(wordId);
+        wordRequest.onsuccess = () => {
+          const word = wordRequest.result;
+          if (!word) {
+            transaction.abort();
+            reject(new Error(`Word with id ${wordId} not found`));
+            return;
+          }
+          
+          Object.assign(word, entry.previousState);
+          store.put(word);
+          reviewStore.delete(entry.id);
+          restored = word;
+        };
+        
+        // Related entries are written right after their review
+        const relatedRequest = reviewStore.index('by-date').getAll(IDBKeyRange.lowerBound(entry.timestamp));
+        relatedRequest.onsuccess = () => {
+          relatedRequest.result
+            .filter(review => review.parentReviewId === entry.id)
+            .forEach(review => reviewStore.delete(review.id));
+        };
+      };
+    });
+    
+    await refreshCharacters(restoredWord);
+    return restoredWord;
+  },
+  
+  // Record a practice event that doesn't go through the scheduler
+  // (e.g. component builder rounds for characters that aren't vocabulary words)
+  async logReview(entry) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('reviews', 'readwrite');
+      const store = transaction.objectStore('reviews');
+      const request = store.add(createLogEntry(entry));
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Query the review log, newest first.
+  // Filters: wordId, from/to (Date or ISO string), mode, limit
+  async getReviews({ wordId = null, from = null, to = null, mode = null, limit = null } = {}) {
+    const db = await openDB();
+    const toISO = (date) => date instanceof Date ? date.toISOString() : date;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('reviews', 'readonly');
+      const store = transaction.objectStore('reviews');
+      
+      let request;
+      if (wordId !== null) {
+        request = store.index('by-word').openCursor(IDBKeyRange.only(wordId), 'prev');
+      } else {
+        let range = null;
+        if (from && to) {
+          range = IDBKeyRange.bound(toISO(from), toISO(to));
+        } else if (from) {
+          range = IDBKeyRange.lowerBound(toISO(from));
+        } else if (to) {
+          range = IDBKeyRange.upperBound(toISO(to));
+        }
+        request = store.index('by-date').openCursor(range, 'prev');
+      }
+      
+      const results = [];
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || (limit !== null && results.length >= limit)) {
+          resolve(results);
+          return;
+        }
+        
+        const review = cursor.value;
+        const inRange = (!from || review.timestamp >= toISO(from)) &&
+                        (!to || review.timestamp <= toISO(to));
+        
+        if (inRange && (mode === null || review.mode === mode)) {
+          results.push(review);
+        }
+        
+        cursor.continue();
       };
       
       request.onerror = () => reject(request.error);
     });
   },
   
-  // Import full database from server
+  // Get the full review history of a word, newest first
+  async getReviewsForWord(wordId) {
+    return this.getReviews({ wordId });
+  },
+  
+  // Delete every review log entry
+  async clearReviews() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('reviews', 'readwrite');
+      const request = transaction.objectStore('reviews').clear();
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Merge the vocabulary from the server into the local store.
+  // Content fields of matching words are updated (matched by id, falling back to
+  // `simplified`), new words are added and words the server no longer has are
+  // archived. Learning progress is never touched.
   async importFromServer(words) {
-    console.log(`Starting to import ${words.length} words to IndexedDB`);
+    console.log(`Starting to merge ${words.length} words into IndexedDB`);
   
     try {
-      // Process words in batches to avoid transaction timeouts
-      const BATCH_SIZE = 100;
-      const batches = [];
-      
-      // Create batches
-      for (let i = 0; i < words.length; i += BATCH_SIZE) {
-        batches.push(words.slice(i, i + BATCH_SIZE));
-      }
+      const existingWords = await this.getAll();
+      const existingById = new Map(existingWords.map(word => [word.id, word]));
+      const existingBySimplified = new Map();
+      existingWords.forEach(word => {
+        if (!existingBySimplified.has(word.simplified)) {
+          existingBySimplified.set(word.simplified, word);
+        }
+      });
       
-      console.log(`Processing ${batches.length} batches of up to ${BATCH_SIZE} words each`);
+      const serverIds = new Set(words.map(word => word.id));
+      const matchedIds = new Set();
+      const operations = [];
+      const summary = {
+        total: words.length,
+        added: [],
+        updated: [],
+        archived: [],
+        unchanged: 0
+      };
       
-      // Process each batch with a new transaction
-      let totalProcessed = 0;
+      words.forEach(serverWord => {
+        const content = getContentFields(serverWord);
+        
+        // Match by id first, then by simplified form if the server re-keyed the word.
+        // Words the user created are never matched with server words.
+        let existing = existingById.get(serverWord.id);
+        if (!existing) {
+          const candidate = existingBySimplified.get(serverWord.simplified);
+          if (candidate && !isCustomWord(candidate) && !serverIds.has(candidate.id) && !matchedIds.has(candidate.id)) {
+            existing = candidate;
+          }
+        }
+        
+        if (!existing) {
+          operations.push({ word: prepareNewWord(serverWord) });
+          summary.added.push(serverWord.simplified);
+          return;
+        }
+        
+        matchedIds.add(existing.id);
+        
+        const merged = mergeServerContent(existing, content);
+        const changed = existing.id !== serverWord.id ||
+          existing.archived ||
+          [...Object.keys(content), 'localEdits'].some(key => JSON.stringify(existing[key]) !== JSON.stringify(merged[key]));
+        
+        if (changed) {
+          operations.push({
+            word: { ...merged, id: serverWord.id, archived: false },
+            previousId: existing.id
+          });
+          summary.updated.push(serverWord.simplified);
+        } else {
+          summary.unchanged++;
+        }
+      });
       
-      // Clear the store first
-      const db = await openDB();
-      const clearTransaction = db.transaction('vocabulary', 'readwrite');
-      const store = clearTransaction.objectStore('vocabulary');
-      await new Promise((resolve, reject) => {
-        const clearRequest = store.clear();
-        clearRequest.onsuccess = () => resolve();
-        clearRequest.onerror = () => reject(clearRequest.error);
+      // Words the server removed are archived, not deleted, so their progress survives.
+      // The user's own words aren't on the server, so they're left alone.
+      existingWords.forEach(word => {
+        if (!matchedIds.has(word.id) && !word.archived && !isCustomWord(word)) {
+          operations.push({ word: { ...word, archived: true } });
+          summary.archived.push(word.simplified);
+        }
       });
       
-      // Import new words
-      for (const batch of batches) {
+      // Process words in batches to avoid transaction timeouts
+      const BATCH_SIZE = 100;
+      let totalProcessed = 0;
+      
+      for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+        const batch = operations.slice(i, i + BATCH_SIZE);
         await this._processBatch(batch);
         totalProcessed += batch.length;
-        console.log(`Processed ${totalProcessed}/${words.length} words`);
+        console.log(`Processed ${totalProcessed}/${operations.length} changes`);
+      }
+      
+      // Keep deck membership pointing at re-keyed words
+      for (const { word, previousId } of operations) {
+        if (previousId !== undefined && previousId !== word.id) {
+          await deckDB.replaceWordId(previousId, word.id);
+        }
       }
       
-      console.log(`Vocabulary import complete: ${totalProcessed} words processed`);
+      console.log(
+        `Vocabulary merge complete: ${summary.added.length} added, ${summary.updated.length} updated, ` +
+        `${summary.archived.length} archived, ${summary.unchanged} unchanged`
+      );
+      
+      await characterDB.rebuild();
       
       // Update import timestamp
       localStorage.setItem('lastDatabaseImport', new Date().toISOString());
       
-      return totalProcessed;
+      return summary;
     } catch (error) {
       console.error("Error importing vocabulary:", error);
       throw error;
     }
   },
   
-  // Helper method to process a batch of words
-  async _processBatch(wordBatch) {
+  // Helper method to write a batch of merge operations ({ word, previousId })
+  async _processBatch(operations) {
     const db = await openDB();
     
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction('vocabulary', 'readwrite');
+      const transaction = db.transaction(['vocabulary', 'reviews'], 'readwrite');
       const store = transaction.objectStore('vocabulary');
+      const reviewIndex = transaction.objectStore('reviews').index('by-word');
       
       let completed = 0;
-      let total = wordBatch.length;
       
       // Handle transaction errors
       transaction.onerror = (event) => {
@@ -305,58 +932,40 @@ export const vocabularyDB = {
         resolve(completed);
       };
       
-      // Process each word in the batch
-      wordBatch.forEach(word => {
-        try {
-          // Make sure word has all required fields
-          if (!word.srsLevel) word.srsLevel = 0;
-          if (!word.nextReview) {
-            const today = new Date();
-            word.nextReview = today.toISOString().split('T')[0];
-          }
-          if (!word.correctCount) word.correctCount = 0;
-          if (!word.incorrectCount) word.incorrectCount = 0;
-          if (word.isFavorite === undefined) word.isFavorite = false;
-          
-          // Store the word
-          const request = store.put(word);
-          
-          request.onsuccess = () => {
-            completed++;
-          };
+      operations.forEach(({ word, previousId }) => {
+        // The server changed this word's id: move the record and its review history
+        if (previousId !== undefined && previousId !== word.id) {
+          store.delete(previousId);
           
-          request.onerror = (e) => {
-            console.error(`Error storing word ${word.id}:`, e.target.error);
-            // Continue with other words even if one fails
+          const cursorRequest = reviewIndex.openCursor(IDBKeyRange.only(previousId));
+          cursorRequest.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+              cursor.update({ ...cursor.value, wordId: word.id });
+              cursor.continue();
+            }
           };
-        } catch (e) {
-          console.error(`Error processing word ${word.id}:`, e);
-          // Continue with other words even if one fails
         }
-      });
-      
-      // Handle empty batch case
-      if (total === 0) {
-        resolve(0);
-      }
+        
+        const request = store.put(word);
+        
+        request.onsuccess = () => {
+          completed++;
+        };
+        
+        request.onerror = (e) => {
+          console.error(`Error storing word ${word.id}:`, e.target.error);
+          // Continue with other words even if one fails
+          e.preventDefault();
+        };
+      });
     });
   },
   
   // Get a random example sentence from a word
   async getRandomSentenceForWord(word) {
     try {
-      // Parse examples
-      let examples = [];
-      if (word.examples) {
-        try {
-          examples = JSON.parse(word.examples);
-          if (!Array.isArray(examples)) {
-            examples = [];
-          }
-        } catch (e) {
-          console.error("Error parsing examples:", e);
-        }
-      }
+      const examples = parseExamples(word.examples);
       
       if (examples.length === 0) {
         return null;
@@ -371,87 +980,55 @@ export const vocabularyDB = {
     }
   },
   
-  // Export SRS progress data for backup
-  async exportProgress() {
-    try {
-      const words = await this.getAll();
-      
-      // Extract only the progress-related data
-      const progressData = words.map(word => ({
-        id: word.id,
-        simplified: word.simplified,
-        srsLevel: word.srsLevel || 0,
-        nextReview: word.nextReview,
-        correctCount: word.correctCount || 0,
-        incorrectCount: word.incorrectCount || 0,
-        lastPracticed: word.lastPracticed,
-        isFavorite: word.isFavorite || false
-      }));
-      
-      return {
-        exportDate: new Date().toISOString(),
-        progressData
-      };
-    } catch (error) {
-      console.error("Error exporting progress:", error);
-      throw error;
+  // Write complete word records (e.g. from a backup restore) in batches
+  async saveWords(words) {
+    const BATCH_SIZE = 100;
+    
+    for (let i = 0; i < words.length; i += BATCH_SIZE) {
+      const batch = words.slice(i, i + BATCH_SIZE);
+      await this._processBatch(batch.map(word => ({ word })));
     }
+    
+    await characterDB.rebuild();
+    return words.length;
   },
   
-  // Import SRS progress data from backup
-  async importProgress(progressData) {
-    try {
-      if (!progressData || !progressData.progressData || !Array.isArray(progressData.progressData)) {
-        throw new Error("Invalid progress data format");
-      }
+  // Add review log entries (e.g. from a backup restore). Entries get new ids.
+  async addReviews(entries) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('reviews', 'readwrite');
+      const store = transaction.objectStore('reviews');
       
-      const db = await openDB();
+      transaction.oncomplete = () => resolve(entries.length);
+      transaction.onerror = () => reject(transaction.error);
       
-      // Process in batches
-      const BATCH_SIZE = 100;
-      let processed = 0;
+      // Entries get new ids, so entries logged along with another review are
+      // added once their review's new id is known
+      const newIds = new Map();
+      const related = entries.filter(entry => entry.parentReviewId != null);
+      const others = entries.filter(entry => entry.parentReviewId == null);
+      let pending = others.length;
       
-      for (let i = 0; i < progressData.progressData.length; i += BATCH_SIZE) {
-        const batch = progressData.progressData.slice(i, i + BATCH_SIZE);
-        
-        await new Promise((resolve, reject) => {
-          const transaction = db.transaction('vocabulary', 'readwrite');
-          const store = transaction.objectStore('vocabulary');
-          
-          transaction.oncomplete = () => resolve();
-          transaction.onerror = () => reject(transaction.error);
-          
-          batch.forEach(progressItem => {
-            // Get the existing word
-            const getRequest = store.get(progressItem.id);
-            
-            getRequest.onsuccess = () => {
-              const word = getRequest.result;
-              if (word) {
-                // Update progress data
-                word.srsLevel = progressItem.srsLevel;
-                word.nextReview = progressItem.nextReview;
-                word.correctCount = progressItem.correctCount;
-                word.incorrectCount = progressItem.incorrectCount;
-                word.lastPracticed = progressItem.lastPracticed;
-                word.isFavorite = progressItem.isFavorite;
-                
-                // Save updated word
-                store.put(word);
-              }
-            };
-          });
+      const addRelated = () => {
+        related.forEach(entry => {
+          const review = { ...entry, parentReviewId: newIds.get(entry.parentReviewId) ?? null };
+          delete review.id;
+          store.add(review);
         });
-        
-        processed += batch.length;
-        console.log(`Imported progress for ${processed}/${progressData.progressData.length} words`);
-      }
+      };
       
-      return processed;
-    } catch (error) {
-      console.error("Error importing progress:", error);
-      throw error;
-    }
+      others.forEach(entry => {
+        const review = { ...entry };
+        delete review.id;
+        const request = store.add(review);
+        request.onsuccess = () => {
+          newIds.set(entry.id, request.result);
+          if (--pending === 0) addRelated();
+        };
+      });
+      if (pending === 0) addRelated();
+    });
   },
   
   // Toggle favorite status of a word
@@ -483,6 +1060,62 @@ export const vocabularyDB = {
     });
   },
   
+  // Suspend a word (or lift the suspension) so it's skipped in practice
+  async setSuspended(id, suspended) {
+    return this._updateWord(id, word => {
+      word.suspended = suspended;
+    });
+  },
+  
+  // Bury a word until tomorrow
+  async buryWord(id) {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    
+    return this._updateWord(id, word => {
+      word.buriedUntil = tomorrow.toISOString().split('T')[0];
+    });
+  },
+  
+  // Make a buried word available again
+  async unburyWord(id) {
+    return this._updateWord(id, word => {
+      word.buriedUntil = null;
+    });
+  },
+  
+  // Helper method to read, change and save a single word in one transaction
+  async _updateWord(id, applyChanges) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('vocabulary', 'readwrite');
+      const store = transaction.objectStore('vocabulary');
+      const request = store.get(id);
+      
+      request.onsuccess = () => {
+        const word = request.result;
+        if (!word) {
+          reject(new Error(`Word with id ${id} not found`));
+          return;
+        }
+        
+        try {
+          applyChanges(word);
+        } catch (error) {
+          reject(error);
+          return;
+        }
+        
+        const updateRequest = store.put(word);
+        
+        updateRequest.onsuccess = () => resolve(word);
+        updateRequest.onerror = () => reject(updateRequest.error);
+      };
+      
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
   // Get all favorite words
   async getFavorites() {
     const words = await this.getAll();
@@ -511,14 +1144,8 @@ export const vocabularyDB = {
           transaction.onerror = () => reject(transaction.error);
           
           batch.forEach(word => {
-            // Reset learning data
-            word.srsLevel = 0;
-            word.nextReview = new Date().toISOString().split('T')[0]; // Due today
-            word.correctCount = 0;
-            word.incorrectCount = 0;
-            word.lastPracticed = null;
-            
-            // Keep favorite status as is
+            // Reset learning data, keeping favorite status as is
+            Object.assign(word, emptyProgress());
             
             // Save updated word
             store.put(word);
@@ -529,6 +1156,12 @@ export const vocabularyDB = {
         console.log(`Reset progress for ${processed}/${words.length} words`);
       }
       
+      // The review history belongs to the progress being reset
+      await this.clearReviews();
+      // Decks are user content, not progress, so they're kept
+      
+      await characterDB.rebuild();
+      
       return processed;
     } catch (error) {
       console.error("Error resetting progress:", error);
@@ -548,6 +1181,370 @@ export const vocabularyDB = {
   }
 };
 
+// Format tag for deck export files
+export const DECK_EXPORT_FORMAT = 'hsk-master-decks';
+
+// Deck database operations
+export const deckDB = {
+  // Get all decks, sorted by name
+  async getAll() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('decks', 'readonly');
+      const store = transaction.objectStore('decks');
+      const request = store.getAll();
+      
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Get a single deck
+  async get(id) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('decks', 'readonly');
+      const store = transaction.objectStore('decks');
+      const request = store.get(id);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Create a new, empty deck
+  async create(name, wordIds = []) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Deck name cannot be empty');
+    }
+    
+    const now = new Date().toISOString();
+    const deck = {
+      id: `deck-${uuidv4()}`,
+      name: trimmed,
+      wordIds: [...new Set(wordIds)],
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    await this.save(deck);
+    return deck;
+  },
+  
+  // Add words to the deck with this name, creating it if there is none
+  async createOrMerge(name, wordIds) {
+    const trimmed = (name || '').trim();
+    const existing = (await this.getAll()).find(deck => deck.name === trimmed);
+    if (!existing) {
+      return this.create(trimmed, wordIds);
+    }
+    
+    existing.wordIds = [...new Set([...existing.wordIds, ...wordIds])];
+    existing.updatedAt = new Date().toISOString();
+    return this.save(existing);
+  },
+  
+  // Rename a deck
+  async rename(id, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Deck name cannot be empty');
+    }
+    
+    return this._updateDeck(id, deck => {
+      deck.name = trimmed;
+    });
+  },
+  
+  // Delete a deck (the words themselves are kept)
+  async delete(id) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('decks', 'readwrite');
+      const store = transaction.objectStore('decks');
+      const request = store.delete(id);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Add a word to a deck
+  async addWord(deckId, wordId) {
+    return this._updateDeck(deckId, deck => {
+      if (!deck.wordIds.includes(wordId)) {
+        deck.wordIds.push(wordId);
+      }
+    });
+  },
+  
+  // Remove a word from a deck
+  async removeWord(deckId, wordId) {
+    return this._updateDeck(deckId, deck => {
+      deck.wordIds = deck.wordIds.filter(id => id !== wordId);
+    });
+  },
+  
+  // Get the decks a word belongs to
+  async getDecksForWord(wordId) {
+    const decks = await this.getAll();
+    return decks.filter(deck => deck.wordIds.includes(wordId));
+  },
+  
+  // Point deck entries at a word's new id (after the server re-keys a word)
+  async replaceWordId(oldId, newId) {
+    const decks = await this.getAll();
+    const affected = decks.filter(deck => deck.wordIds.includes(oldId));
+    
+    for (const deck of affected) {
+      deck.wordIds = [...new Set(deck.wordIds.map(id => id === oldId ? newId : id))];
+      deck.updatedAt = new Date().toISOString();
+      await this.save(deck);
+    }
+    
+    return affected.length;
+  },
+  
+  // Export decks as JSON-serializable data. Words are stored by id and by
+  // simplified form so the file can be imported into a different vocabulary.
+  async exportDecks(deckIds = null) {
+    const decks = await this.getAll();
+    const words = await vocabularyDB.getAll();
+    const wordsById = new Map(words.map(word => [word.id, word]));
+    
+    const selected = deckIds ? decks.filter(deck => deckIds.includes(deck.id)) : decks;
+    
+    return {
+      format: DECK_EXPORT_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      decks: selected.map(deck => ({
+        name: deck.name,
+        createdAt: deck.createdAt,
+        words: deck.wordIds.map(id => ({
+          id,
+          simplified: wordsById.get(id)?.simplified || null
+        }))
+      }))
+    };
+  },
+  
+  // Import decks from exported data. Decks with the same name as an existing
+  // deck are merged into it. Words are matched by id, then by simplified form.
+  async importDecks(data) {
+    if (!data || data.format !== DECK_EXPORT_FORMAT || !Array.isArray(data.decks)) {
+      throw new Error('Invalid deck file format');
+    }
+    
+    const words = await vocabularyDB.getAll();
+    const idSet = new Set(words.map(word => word.id));
+    const idsBySimplified = new Map(words.map(word => [word.simplified, word.id]));
+    const existing = await this.getAll();
+    const existingByName = new Map(existing.map(deck => [deck.name, deck]));
+    
+    const summary = { created: 0, merged: 0, words: 0, unmatched: [] };
+    
+    for (const importedDeck of data.decks) {
+      const name = (importedDeck.name || '').trim();
+      if (!name) continue;
+      
+      const wordIds = [];
+      (importedDeck.words || []).forEach(entry => {
+        if (idSet.has(entry.id)) {
+          wordIds.push(entry.id);
+        } else if (entry.simplified && idsBySimplified.has(entry.simplified)) {
+          wordIds.push(idsBySimplified.get(entry.simplified));
+        } else {
+          summary.unmatched.push(entry.simplified || String(entry.id));
+        }
+      });
+      
+      const deck = existingByName.get(name);
+      if (deck) {
+        const merged = [...new Set([...deck.wordIds, ...wordIds])];
+        summary.words += merged.length - deck.wordIds.length;
+        deck.wordIds = merged;
+        deck.updatedAt = new Date().toISOString();
+        await this.save(deck);
+        summary.merged++;
+      } else {
+        const created = await this.create(name, wordIds);
+        existingByName.set(name, created);
+        summary.words += created.wordIds.length;
+        summary.created++;
+      }
+    }
+    
+    return summary;
+  },
+  
+  // Delete every deck
+  async clear() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('decks', 'readwrite');
+      const request = transaction.objectStore('decks').clear();
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Write a deck as is
+  async save(deck) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('decks', 'readwrite');
+      const store = transaction.objectStore('decks');
+      const request = store.put(deck);
+      
+      request.onsuccess = () => resolve(deck);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Helper method to read, change and save a single deck in one transaction
+  async _updateDeck(id, applyChanges) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('decks', 'readwrite');
+      const store = transaction.objectStore('decks');
+      const request = store.get(id);
+      
+      request.onsuccess = () => {
+        const deck = request.result;
+        if (!deck) {
+          reject(new Error(`Deck with id ${id} not found`));
+          return;
+        }
+        
+        applyChanges(deck);
+        deck.updatedAt = new Date().toISOString();
+        
+        const updateRequest = store.put(deck);
+        
+        updateRequest.onsuccess = () => resolve(deck);
+        updateRequest.onerror = () => reject(updateRequest.error);
+      };
+      
+      request.onerror = () => reject(request.error);
+    });
+  }
+};
+
+// Character database operations. Records are derived from the vocabulary
+// (see characters.js) and rebuilt or updated whenever words change.
+export const characterDB = {
+  // Get all characters
+  async getAll() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('characters', 'readonly');
+      const request = transaction.objectStore('characters').getAll();
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Get a single character
+  async get(character) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('characters', 'readonly');
+      const request = transaction.objectStore('characters').get(character);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Replace every record with ones built from the current vocabulary
+  async rebuild(words = null) {
+    const sourceWords = words || await vocabularyDB.getAll();
+    const records = buildCharacterRecords(sourceWords);
+    
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('characters', 'readwrite');
+      const store = transaction.objectStore('characters');
+      
+      transaction.oncomplete = () => resolve(records.length);
+      transaction.onerror = () => reject(transaction.error);
+      
+      store.clear();
+      records.forEach(record => store.put(record));
+    });
+  },
+  
+  // Build the records if the store is still empty (e.g. right after the upgrade that added it)
+  async ensureBuilt(words = null) {
+    const db = await openDB();
+    const count = await new Promise((resolve, reject) => {
+      const transaction = db.transaction('characters', 'readonly');
+      const request = transaction.objectStore('characters').count();
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    
+    return count > 0 ? count : this.rebuild(words);
+  },
+  
+  // Recompute the characters of a word that was added, changed or deleted.
+  // `previousSimplified` covers characters the word no longer contains.
+  async updateForWord(word, previousSimplified = null) {
+    if (!word) return;
+    
+    const characters = [...new Set([
+      ...extractCharacters(word.simplified),
+      ...extractCharacters(previousSimplified)
+    ])];
+    if (characters.length === 0) return;
+    
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['characters', 'vocabulary'], 'readwrite');
+      const characterStore = transaction.objectStore('characters');
+      const vocabStore = transaction.objectStore('vocabulary');
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      
+      characters.forEach(character => {
+        const request = characterStore.get(character);
+        
+        request.onsuccess = () => {
+          // The words that had the character, plus this word (deleted words aren't found)
+          const wordIds = new Set([...(request.result?.wordIds || []), word.id]);
+          const words = [];
+          let pending = wordIds.size;
+          
+          wordIds.forEach(id => {
+            const wordRequest = vocabStore.get(id);
+            wordRequest.onsuccess = () => {
+              if (wordRequest.result) words.push(wordRequest.result);
+              pending--;
+              
+              if (pending === 0) {
+                const record = buildCharacterRecord(character, words);
+                if (record) {
+                  characterStore.put(record);
+                } else {
+                  characterStore.delete(character);
+                }
+              }
+            };
+          });
+        };
+      });
+    });
+  }
+};
+
 // Settings database operations
 export const settingsDB = {
   // Get a setting value
@@ -601,5 +1598,102 @@ export const settingsDB = {
       
       request.onerror = () => reject(request.error);
     });
+  },
+  
+  // Remove every setting
+  async clear() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('settings', 'readwrite');
+      const request = transaction.objectStore('settings').clear();
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+};
+
+// Id of the record in the profiles store that marks a switch in progress
+const PROFILE_SWITCH_ID = 'switch-in-progress';
+
+// Learner profiles. The active profile's progress lives in the other stores;
+// every other profile keeps it in its `snapshot` (see profile-service.js)
+export const profileDB = {
+  // Get all profiles, oldest first
+  async getAll() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('profiles', 'readonly');
+      const request = transaction.objectStore('profiles').getAll();
+      
+      request.onsuccess = () => {
+        const profiles = request.result.filter(profile => profile.id !== PROFILE_SWITCH_ID);
+        resolve(profiles.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Get a single profile
+  async get(id) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('profiles', 'readonly');
+      const request = transaction.objectStore('profiles').get(id);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Write a profile as is
+  async save(profile) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('profiles', 'readwrite');
+      const request = transaction.objectStore('profiles').put(profile);
+      
+      request.onsuccess = () => resolve(profile);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Delete a profile
+  async delete(id) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('profiles', 'readwrite');
+      const request = transaction.objectStore('profiles').delete(id);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Id of the profile a switch is under way to, or null when none is
+  async getSwitchTarget() {
+    const marker = await this.get(PROFILE_SWITCH_ID);
+    return marker ? marker.targetId : null;
+  },
+  
+  // Mark a switch to another profile as started. The outgoing profile (with its
+  // snapshot) is written in the same transaction, so either both are stored or neither.
+  async startSwitch(targetId, outgoing = null) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('profiles', 'readwrite');
+      const store = transaction.objectStore('profiles');
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      
+      if (outgoing) store.put(outgoing);
+      store.put({ id: PROFILE_SWITCH_ID, targetId });
+    });
+  },
+  
+  // Remove the marker once a switch is complete
+  async finishSwitch() {
+    return this.delete(PROFILE_SWITCH_ID);
   }
-};
\ No newline at end of file
+};
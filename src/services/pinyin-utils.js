@@ -0,0 +1,204 @@
+// src/services/pinyin-utils.js
+// Conversion between tone-mark pinyin (zhōngguó) and tone-number pinyin (zhong1guo2)
+
+const TONE_MARKS = {
+  a: ['ā', 'á', 'ǎ', 'à'],
+  e: ['ē', 'é', 'ě', 'è'],
+  i: ['ī', 'í', 'ǐ', 'ì'],
+  o: ['ō', 'ó', 'ǒ', 'ò'],
+  u: ['ū', 'ú', 'ǔ', 'ù'],
+  ü: ['ǖ', 'ǘ', 'ǚ', 'ǜ']
+};
+
+// Marked vowel -> [plain vowel, tone]
+const MARKED_VOWELS = {};
+Object.entries(TONE_MARKS).forEach(([vowel, marks]) => {
+  marks.forEach((mark, index) => {
+    MARKED_VOWELS[mark] = [vowel, index + 1];
+    MARKED_VOWELS[mark.toUpperCase()] = [vowel.toUpperCase(), index + 1];
+  });
+});
+
+const isVowel = (char) => !!char && (/[aeiouüv]/i.test(char) || char in MARKED_VOWELS);
+
+// Put the tone mark on the right vowel of one syllable: on a or e, on the o of
+// "ou", otherwise on the last vowel
+const markSyllable = (syllable, tone) => {
+  const plain = syllable.replace(/u:|v/g, 'ü').replace(/U:|V/g, 'Ü');
+  if (tone < 1 || tone > 4) return plain;
+
+  const lower = plain.toLowerCase();
+  let index = lower.search(/[ae]/);
+  if (index === -1) index = lower.indexOf('ou');
+  if (index === -1) {
+    const vowels = [...lower.matchAll(/[iouü]/g)];
+    if (vowels.length === 0) return plain;
+    index = vowels[vowels.length - 1].index;
+  }
+
+  const vowel = plain[index];
+  const mark = TONE_MARKS[vowel.toLowerCase()][tone - 1];
+  return plain.slice(0, index) + (vowel === vowel.toUpperCase() ? mark.toUpperCase() : mark) + plain.slice(index + 1);
+};
+
+/**
+ * Convert tone-number pinyin to tone marks ("zhong1guo2" -> "zhōngguó").
+ * Tone 5 (neutral) and syllables without a number are left unmarked.
+ * @param {string} pinyin
+ * @returns {string}
+ */
+export const numberedToMarked = (pinyin) => {
+  return (pinyin || '').replace(/([a-zü:]+)([1-5])/gi, (_, syllable, tone) => markSyllable(syllable, Number(tone)));
+};
+
+/**
+ * Convert tone-mark pinyin to tone numbers ("zhōngguó" -> "zhong1guo2").
+ * The number goes at the end of each marked syllable, but before an erhua "r"
+ * ("huār" -> "hua1r"); neutral-tone syllables get no number.
+ * @param {string} pinyin
+ * @returns {string}
+ */
+export const markedToNumbered = (pinyin) => {
+  const text = (pinyin || '').normalize('NFC');
+  let result = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (!(char in MARKED_VOWELS)) {
+      result += char;
+      continue;
+    }
+
+    const [vowel, tone] = MARKED_VOWELS[char];
+    let vowels = vowel;
+
+    // The syllable continues through its remaining vowels (another marked one
+    // starts the next syllable, as in nǚér) and a final n, ng or r that doesn't
+    // start the next syllable
+    let j = i + 1;
+    while (isVowel(text[j]) && !(text[j] in MARKED_VOWELS)) {
+      vowels += text[j];
+      j++;
+    }
+    result += vowels;
+
+    // An "r" is the final of "er" itself only without an initial (ér, but zhè-r)
+    const previous = text[i - 1];
+    const hasInitial = !!previous && /[a-z]/i.test(previous) && !isVowel(previous);
+    const isEr = vowels.toLowerCase() === 'e' && !hasInitial;
+
+    const rest = text.slice(j).toLowerCase();
+    const finalLength = rest.startsWith('ng') && !isVowel(rest[2]) ? 2
+      : rest[0] === 'n' && !isVowel(rest[1]) ? 1
+      : rest[0] === 'r' && !isVowel(rest[1]) && isEr ? 1
+      : 0;
+    result += text.slice(j, j + finalLength) + tone;
+    i = j + finalLength - 1;
+  }
+
+  return result;
+};
+
+/**
+ * Reduce pinyin to a comparable form: lower case tone numbers without spaces or
+ * neutral tones, with an erhua "r" before its tone number ("huar1" and "hua1r" agree)
+ * @param {string} pinyin - Tone marks or tone numbers
+ * @returns {string}
+ */
+export const normalizePinyin = (pinyin) => {
+  return markedToNumbered(pinyin)
+    .toLowerCase()
+    .replace(/[\s'·5-]/g, '')
+    .replace(/u:|v/g, 'ü')
+    .replace(/([1-4])r(?![aeiouü])/g, 'r$1');
+};
+
+const INITIALS = ['zh', 'ch', 'sh', 'b', 'p', 'm', 'f', 'd', 't', 'n', 'l', 'g', 'k', 'h', 'j', 'q', 'x', 'r', 'z', 'c', 's', 'y', 'w'];
+
+// Finals as spelled, longest first so "iang" is tried before "ian" and "i"
+const FINALS = [
+  'iang', 'iong', 'uang', 'ueng',
+  'ang', 'eng', 'ong', 'iao', 'ian', 'ing', 'uai', 'uan', 'üan', 'iou', 'uei', 'uen',
+  'ai', 'ei', 'ao', 'ou', 'an', 'en', 'er', 'ia', 'ie', 'iu', 'in', 'ua', 'uo', 'ui', 'un', 'üe', 'ue', 'ün', 'io',
+  'a', 'o', 'e', 'ê', 'i', 'u', 'ü'
+];
+
+// Every way one syllable can start at `index` of a lower case tone-number chunk:
+// [syllable, length], longest first. A final can take an erhua "r", before or
+// after the tone number ("huar1", "hua1r").
+const syllablesAt = (chunk, index) => {
+  const found = [];
+  const initials = INITIALS.filter(initial => chunk.startsWith(initial, index));
+
+  [...initials, ''].forEach(initial => {
+    const start = index + initial.length;
+    FINALS.forEach(final => {
+      if (!chunk.startsWith(final, start)) return;
+      let end = start + final.length;
+      let erhua = final !== 'er' && chunk[end] === 'r';
+      if (erhua) end++;
+      const numbered = /[1-5]/.test(chunk[end] || '');
+      const tone = numbered ? Number(chunk[end]) : 5;
+      if (numbered) end++;
+      // After the number, an "r" that doesn't start the next syllable
+      if (numbered && !erhua && final !== 'er' && chunk[end] === 'r' && !/[aeiouüê]/.test(chunk[end + 1] || '')) {
+        erhua = true;
+        end++;
+      }
+      found.push([{ initial, final: erhua ? `${final}r` : final, tone }, end - index]);
+    });
+  });
+
+  return found.sort((a, b) => b[1] - a[1]);
+};
+
+// Split a chunk without separators into syllables, trying longer syllables
+// first ("xian" stays one syllable) and backing off when the rest doesn't parse
+const splitChunk = (chunk) => {
+  const memo = new Map();
+  const parse = (index) => {
+    if (index === chunk.length) return [];
+    if (memo.has(index)) return memo.get(index);
+    memo.set(index, null);
+    for (const [syllable, length] of syllablesAt(chunk, index)) {
+      const rest = parse(index + length);
+      if (rest) {
+        memo.set(index, [syllable, ...rest]);
+        break;
+      }
+    }
+    return memo.get(index);
+  };
+  return parse(0);
+};
+
+/**
+ * Split pinyin into syllables ("Zhōngguó rén" -> zhong 1, guo 2, ren 2).
+ * Syllables without a tone get tone 5 (neutral); initials and finals are kept
+ * as spelled, so "yu" has the initial "y".
+ * @param {string} pinyin - Tone marks or tone numbers
+ * @returns {Array<{initial: string, final: string, tone: number}>} Empty when
+ *   the text isn't pinyin
+ */
+export const splitSyllables = (pinyin) => {
+  const chunks = markedToNumbered(pinyin)
+    .toLowerCase()
+    .replace(/u:|v/g, 'ü')
+    .split(/[^a-zü1-5ê]+/)
+    .filter(Boolean);
+
+  const syllables = [];
+  for (const chunk of chunks) {
+    const parsed = splitChunk(chunk);
+    if (!parsed) return [];
+    syllables.push(...parsed);
+  }
+  return syllables;
+};
+
+/**
+ * Write a syllable from splitSyllables() with its tone number ("hao3", "ma5")
+ * @param {{initial: string, final: string, tone: number}} syllable
+ * @returns {string}
+ */
+export const formatSyllable = (syllable) => `${syllable.initial}${syllable.final}${syllable.tone}`;
@@ -0,0 +1,174 @@
+// src/services/pleco-service.js
+// Import and export of Pleco flashcard text files:
+//   // Category/Subcategory
+//   中国[中國]	zhong1guo2	China
+
+import { vocabularyDB, deckDB } from './db';
+import { numberedToMarked, markedToNumbered } from './pinyin-utils';
+
+// Words that can be sent to Pleco
+export const PLECO_EXPORT_SOURCES = {
+  FAVORITES: 'favorites',
+  LEECHES: 'leeches',
+  DECKS: 'decks'
+};
+
+// Top-level category exported words are filed under in Pleco
+const EXPORT_CATEGORY = 'HSK Master';
+
+// Pleco marks formatting (bold, colors, ...) with private use characters
+const PRIVATE_USE_PATTERN = /[\uE000-\uF8FF]/g;
+
+const CATEGORY_PREFIX = '//';
+
+/**
+ * Read a Pleco flashcard export
+ * @param {string} text - File content
+ * @returns {{entries: Array, categories: Array<string>}} Entries with simplified,
+ *   traditional, pinyin (tone marks), definition and category (null outside a category)
+ */
+export const parsePlecoFile = (text) => {
+  const entries = [];
+  const categories = [];
+  let category = null;
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(PRIVATE_USE_PATTERN, '').trim();
+    if (!line) return;
+
+    if (line.startsWith(CATEGORY_PREFIX)) {
+      category = line.slice(CATEGORY_PREFIX.length).trim() || null;
+      if (category && !categories.includes(category)) categories.push(category);
+      return;
+    }
+
+    const [headword = '', pinyin = '', ...definition] = line.split('\t');
+    // Headwords hold both character sets as 简[簡]
+    const match = headword.trim().match(/^([^[]+)(?:\[([^\]]*)\])?$/);
+    if (!match) return;
+
+    entries.push({
+      simplified: match[1].trim(),
+      traditional: (match[2] || match[1]).trim(),
+      pinyin: numberedToMarked(pinyin.trim()).replace(/\s+/g, ' '),
+      definition: definition.join(' ').trim(),
+      category
+    });
+  });
+
+  if (entries.length === 0) {
+    throw new Error('The file contains no Pleco flashcards');
+  }
+
+  return { entries, categories };
+};
+
+// HSK level in a category name like "HSK 3" or "HSK/Level 3"
+const levelFromCategory = (category) => {
+  const match = (category || '').match(/HSK\D{0,8}(\d)/i);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Import Pleco flashcards. Headwords are matched against the local vocabulary;
+ * the rest are added as the user's own words. Each category becomes a deck
+ * (merged into an existing deck of the same name).
+ * @param {Array} entries - From parsePlecoFile
+ * @param {Object} options
+ * @param {number} options.defaultLevel - Level of new words whose category names none
+ * @returns {Promise<{matched: number, created: number, skipped: number, decks: number}>}
+ */
+export const importPlecoEntries = async (entries, { defaultLevel = 1 } = {}) => {
+  const summary = { matched: 0, created: 0, skipped: 0, decks: 0 };
+  const wordIdsByCategory = new Map();
+  const wordIds = new Map(); // simplified -> word id
+
+  for (const entry of entries) {
+    let wordId = wordIds.get(entry.simplified);
+
+    if (wordId === undefined) {
+      let word = await vocabularyDB.getBySimplified(entry.simplified);
+      if (word) {
+        summary.matched++;
+      } else {
+        // Pleco definitions list senses separated by semicolons; the first is the gloss
+        word = await vocabularyDB.addCustomWord({
+          simplified: entry.simplified,
+          traditional: entry.traditional,
+          pinyin: entry.pinyin,
+          english: entry.definition.split(/;\s*/)[0],
+          meanings: entry.definition,
+          level: levelFromCategory(entry.category) ?? defaultLevel,
+          examples: []
+        });
+        summary.created++;
+      }
+      wordId = word.id;
+      wordIds.set(entry.simplified, wordId);
+    } else if (!entry.category) {
+      summary.skipped++;
+    }
+
+    if (entry.category) {
+      if (!wordIdsByCategory.has(entry.category)) wordIdsByCategory.set(entry.category, []);
+      wordIdsByCategory.get(entry.category).push(wordId);
+    }
+  }
+
+  for (const [category, ids] of wordIdsByCategory) {
+    await deckDB.createOrMerge(category, ids);
+    summary.decks++;
+  }
+
+  console.log(`Pleco import: ${summary.matched} matched, ${summary.created} created, ${summary.decks} decks`);
+  return summary;
+};
+
+// One flashcard line: headword, tone-number pinyin and a single-line definition
+const flashcardLine = (word) => {
+  const headword = word.traditional && word.traditional !== word.simplified
+    ? `${word.simplified}[${word.traditional}]`
+    : word.simplified;
+  const definition = (word.english || word.meanings || '').replace(/\s*\n\s*/g, '; ');
+
+  return [headword, markedToNumbered(word.pinyin || '').replace(/\s+/g, ''), definition].join('\t');
+};
+
+/**
+ * Export words as a Pleco flashcard file, filed under "HSK Master/..." categories
+ * @param {string} source - One of PLECO_EXPORT_SOURCES
+ * @param {string|null} deckId - With DECKS: the deck to export (all decks when null)
+ * @returns {Promise<{text: string, count: number}>}
+ */
+export const exportPleco = async (source, deckId = null) => {
+  const words = (await vocabularyDB.getAll()).filter(word => !word.archived);
+  const groups = [];
+
+  if (source === PLECO_EXPORT_SOURCES.FAVORITES) {
+    groups.push({ name: 'Favorites', words: words.filter(word => word.isFavorite) });
+  } else if (source === PLECO_EXPORT_SOURCES.LEECHES) {
+    groups.push({ name: 'Leeches', words: words.filter(word => word.isLeech) });
+  } else {
+    const wordsById = new Map(words.map(word => [word.id, word]));
+    const decks = (await deckDB.getAll()).filter(deck => !deckId || deck.id === deckId);
+    decks.forEach(deck => {
+      groups.push({
+        // Pleco nests categories on slashes
+        name: deck.name.replace(/\//g, '-'),
+        words: deck.wordIds.map(id => wordsById.get(id)).filter(Boolean)
+      });
+    });
+  }
+
+  const lines = [];
+  let count = 0;
+  groups
+    .filter(group => group.words.length > 0)
+    .forEach(group => {
+      lines.push(`${CATEGORY_PREFIX} ${EXPORT_CATEGORY}/${group.name}`);
+      group.words.forEach(word => lines.push(flashcardLine(word)));
+      count += group.words.length;
+    });
+
+  return { text: lines.join('\n') + '\n', count };
+};
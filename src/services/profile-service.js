@@ -0,0 +1,291 @@
+// src/services/profile-service.js
+// Learner profiles sharing one vocabulary. The words (including the user's own
+// words and edits) are stored once; what belongs to a learner - progress,
+// favorites, decks, the review log and settings - is swapped in and out of the
+// live stores when switching, with inactive profiles keeping theirs in a snapshot.
+
+import { v4 as uuidv4 } from 'uuid';
+import {
+  vocabularyDB,
+  deckDB,
+  settingsDB,
+  profileDB,
+  emptyProgress
+} from './db';
+import { collectProgress, applyProgress, createBackup } from './backup-service';
+import { settingsService } from './settings-service';
+
+// localStorage key of the active profile's id
+const ACTIVE_PROFILE_KEY = 'activeProfileId';
+
+// localStorage keys that belong to a learner
+const PROFILE_STORAGE_KEYS = ['dailyStudyProgress'];
+
+const DEFAULT_PROFILE_NAME = 'Me';
+
+// Window event sent when profiles are added, renamed or deleted
+export const PROFILES_CHANGED_EVENT = 'hsk-profiles-changed';
+
+const notifyChanged = () => window.dispatchEvent(new Event(PROFILES_CHANGED_EVENT));
+
+const emptySnapshot = () => ({ progress: [], decks: [], reviews: [], settings: {}, storage: {} });
+
+// Progress of a word that was never touched by the profile
+const freshProgress = () => ({ ...emptyProgress(), isFavorite: false, suspended: false });
+
+const hasAnyProgress = (word) => {
+  return !!(word.lastPracticed || word.isFavorite || word.suspended || word.buriedUntil);
+};
+
+const validateName = (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Profile name cannot be empty');
+  }
+  return trimmed;
+};
+
+// Copy everything of the active profile out of the live stores
+const takeSnapshot = async (words) => {
+  const storage = {};
+  PROFILE_STORAGE_KEYS.forEach(key => {
+    const value = localStorage.getItem(key);
+    if (value !== null) storage[key] = value;
+  });
+
+  return {
+    // Untouched words don't need an entry: they come back as new
+    progress: collectProgress(words.filter(hasAnyProgress)),
+    decks: await deckDB.getAll(),
+    reviews: await vocabularyDB.getReviews(),
+    settings: await settingsDB.getAllSettings(),
+    storage
+  };
+};
+
+// Replace the live stores' learner data with a snapshot
+const restoreSnapshot = async (words, snapshot) => {
+  const progress = new Map(snapshot.progress.map(entry => [entry.id, entry]));
+
+  const updated = words.map(word => {
+    const next = { ...word, ...freshProgress() };
+    if (progress.has(word.id)) applyProgress(next, progress.get(word.id));
+    return next;
+  });
+  await vocabularyDB.saveWords(updated);
+
+  await deckDB.clear();
+  for (const deck of snapshot.decks) {
+    await deckDB.save(deck);
+  }
+
+  await vocabularyDB.clearReviews();
+  await vocabularyDB.addReviews(snapshot.reviews);
+
+  await settingsDB.clear();
+  for (const [key, value] of Object.entries(snapshot.settings)) {
+    await settingsDB.saveSetting(key, value);
+  }
+  await settingsService.reload();
+
+  PROFILE_STORAGE_KEYS.forEach(key => {
+    if (key in snapshot.storage) localStorage.setItem(key, snapshot.storage[key]);
+    else localStorage.removeItem(key);
+  });
+};
+
+const createProfileRecord = (name, snapshot) => ({
+  id: `profile-${uuidv4()}`,
+  name,
+  createdAt: new Date().toISOString(),
+  snapshot
+});
+
+// Shared by concurrent first calls of getProfiles, so only one is created
+let firstProfilePromise = null;
+
+const createFirstProfile = async () => {
+  const profile = createProfileRecord(DEFAULT_PROFILE_NAME, null);
+  await profileDB.save(profile);
+  localStorage.setItem(ACTIVE_PROFILE_KEY, profile.id);
+  return profile;
+};
+
+// Move the target profile's snapshot into the live stores and make it the active
+// profile. Safe to run again when it was interrupted: the snapshot is only
+// cleared once it has been fully restored.
+const completeSwitch = async (target) => {
+  if (target.snapshot) {
+    await restoreSnapshot(await vocabularyDB.getAll(), target.snapshot);
+    await profileDB.save({ ...target, snapshot: null });
+  }
+  localStorage.setItem(ACTIVE_PROFILE_KEY, target.id);
+  await profileDB.finishSwitch();
+};
+
+// Shared by all callers, so an interrupted switch is resumed once per page load
+let resumePromise = null;
+
+const resumeInterruptedSwitch = async () => {
+  const targetId = await profileDB.getSwitchTarget();
+  if (!targetId) return;
+
+  const target = await profileDB.get(targetId);
+  if (!target) {
+    await profileDB.finishSwitch();
+    return;
+  }
+
+  await completeSwitch(target);
+  console.log(`Resumed the interrupted switch to profile "${target.name}"`);
+};
+
+export const profileService = {
+  /**
+   * All profiles, oldest first. The first call creates a profile for the data
+   * that's already on the device.
+   * @returns {Promise<Array>} Profiles as {id, name, createdAt, snapshot}
+   */
+  async getProfiles() {
+    await this.resumeSwitch();
+    let profiles = await profileDB.getAll();
+
+    if (profiles.length === 0) {
+      if (!firstProfilePromise) firstProfilePromise = createFirstProfile();
+      profiles = [await firstProfilePromise];
+    }
+
+    // The active id can be missing, e.g. after localStorage was cleared
+    if (!profiles.some(profile => profile.id === localStorage.getItem(ACTIVE_PROFILE_KEY))) {
+      const active = profiles.find(profile => !profile.snapshot) || profiles[0];
+      localStorage.setItem(ACTIVE_PROFILE_KEY, active.id);
+    }
+
+    return profiles;
+  },
+
+  /**
+   * Finish a profile switch that was interrupted (e.g. the tab was closed
+   * halfway), so the live stores hold one profile's data again. Run before
+   * anything is read from them; later calls return the same result.
+   * @returns {Promise<void>}
+   */
+  resumeSwitch() {
+    if (!resumePromise) resumePromise = resumeInterruptedSwitch();
+    return resumePromise;
+  },
+
+  /**
+   * Id of the profile whose data is in the live stores
+   * @returns {string|null} null until getProfiles() has run once
+   */
+  getActiveProfileId() {
+    return localStorage.getItem(ACTIVE_PROFILE_KEY);
+  },
+
+  /**
+   * Add a profile that starts without any progress
+   * @param {string} name
+   * @returns {Promise<Object>} The new profile
+   */
+  async createProfile(name) {
+    const trimmed = validateName(name);
+    const profiles = await this.getProfiles();
+    if (profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`A profile named "${trimmed}" already exists`);
+    }
+
+    const profile = await profileDB.save(createProfileRecord(trimmed, emptySnapshot()));
+    notifyChanged();
+    return profile;
+  },
+
+  /**
+   * Rename a profile
+   * @param {string} id
+   * @param {string} name
+   * @returns {Promise<Object>} The updated profile
+   */
+  async renameProfile(id, name) {
+    const profile = await profileDB.get(id);
+    if (!profile) {
+      throw new Error(`Profile with id ${id} not found`);
+    }
+    const renamed = await profileDB.save({ ...profile, name: validateName(name) });
+    notifyChanged();
+    return renamed;
+  },
+
+  /**
+   * Delete a profile and its progress. The active profile can't be deleted.
+   * @param {string} id
+   */
+  async deleteProfile(id) {
+    if (id === this.getActiveProfileId()) {
+      throw new Error('Switch to another profile before deleting this one');
+    }
+    await profileDB.delete(id);
+    notifyChanged();
+  },
+
+  /**
+   * Make another profile the active one. The current profile's data is saved
+   * to its snapshot before anything is replaced, and the switch is marked as
+   * under way until it's done, so resumeSwitch() can finish it after an
+   * interruption. Reload the app afterwards.
+   * @param {string} id
+   */
+  async switchProfile(id) {
+    const profiles = await this.getProfiles();
+    const activeId = this.getActiveProfileId();
+    if (id === activeId) return;
+
+    const target = profiles.find(profile => profile.id === id);
+    const current = profiles.find(profile => profile.id === activeId);
+    if (!target) {
+      throw new Error(`Profile with id ${id} not found`);
+    }
+
+    // A profile that still has a snapshot isn't in the live stores, so taking
+    // another one would overwrite its progress with someone else's
+    const outgoing = current && !current.snapshot
+      ? { ...current, snapshot: await takeSnapshot(await vocabularyDB.getAll()) }
+      : null;
+    await profileDB.startSwitch(id, outgoing);
+
+    await completeSwitch({ ...target, snapshot: target.snapshot || emptySnapshot() });
+
+    console.log(`Switched to profile "${target.name}"`);
+  },
+
+  /**
+   * Export one profile as a backup file that can be restored on any device
+   * (into whichever profile is active there)
+   * @param {string} id
+   * @returns {Promise<Object>} Backup data, ready to be saved as JSON
+   */
+  async exportProfile(id) {
+    const profile = await profileDB.get(id);
+    if (!profile) {
+      throw new Error(`Profile with id ${id} not found`);
+    }
+
+    // The active profile's data is in the live stores: a normal backup
+    const backup = await createBackup();
+    if (!profile.snapshot) {
+      return { ...backup, profile: { name: profile.name } };
+    }
+
+    // The shared content comes from the live stores, the rest from the snapshot
+    const snapshot = profile.snapshot;
+    return {
+      ...backup,
+      profile: { name: profile.name },
+      progress: snapshot.progress,
+      customWords: backup.customWords.map(word => ({ ...word, ...freshProgress() })),
+      decks: snapshot.decks,
+      reviews: snapshot.reviews,
+      settings: { storage: backup.settings.storage, store: snapshot.settings }
+    };
+  }
+};
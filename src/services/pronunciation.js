@@ -0,0 +1,245 @@
+// src/services/pronunciation.js
+// Syllable-level pronunciation feedback: the transcription is read back as
+// pinyin using the local vocabulary and lined up with the target word's pinyin
+
+import { splitSyllables, formatSyllable } from './pinyin-utils';
+import { createSegmenter, isHan } from './segmenter';
+import { GRADES } from './srs';
+
+// Alignment costs. Getting both the initial and the final wrong costs as much as
+// leaving the syllable out and saying another one, so it counts as missing.
+const COSTS = {
+  TONE: 1,
+  INITIAL: 2,
+  FINAL: 2,
+  MISSING: 3,
+  EXTRA: 1
+};
+
+/**
+ * How a syllable of the target word came out
+ */
+export const SYLLABLE_STATUS = {
+  CORRECT: 'correct',
+  TONE: 'tone',         // right syllable, wrong tone
+  INITIAL: 'initial',   // wrong initial (e.g. zh for j)
+  FINAL: 'final',       // wrong final (e.g. ing for in)
+  MISSING: 'missing'    // not heard at all
+};
+
+// Syllables of a word, or null when its pinyin doesn't have one per character
+const wordSyllables = (text, pinyin) => {
+  const characters = [...(text || '')];
+  if (characters.length === 0 || !characters.every(isHan)) return null;
+
+  const syllables = splitSyllables(pinyin);
+  return syllables.length === characters.length ? syllables : null;
+};
+
+/**
+ * Build a lookup from Chinese text to pinyin out of the vocabulary. Text is
+ * segmented into words first (so polyphonic characters get the word's reading);
+ * characters outside known words take their reading from the first word they
+ * appear in.
+ * @param {Array} words - Vocabulary words
+ * @param {Object} [segmenter] - From createSegmenter() for the same words, if
+ *   there already is one
+ * @returns {{toSyllables: function(string): Array<{character: string, syllable: Object|null}>}}
+ */
+export const createPinyinLexicon = (words, segmenter = createSegmenter(words)) => {
+  const characterReadings = new Map();
+
+  words.forEach(word => {
+    [word.simplified, word.traditional].forEach(text => {
+      const syllables = wordSyllables(text, word.pinyin);
+      if (!syllables) return;
+      [...text].forEach((char, index) => {
+        if (!characterReadings.has(char)) characterReadings.set(char, syllables[index]);
+      });
+    });
+  });
+
+  return {
+    /**
+     * Pinyin of every Chinese character of a text. Other characters
+     * (punctuation, Latin letters) are skipped.
+     * @param {string} text
+     * @returns {Array<{character: string, syllable: Object|null}>} syllable is
+     *   null for characters the vocabulary doesn't know
+     */
+    toSyllables(text) {
+      const result = [];
+
+      segmenter.segment(text).forEach(token => {
+        const characters = [...token.text];
+        if (!isHan(characters[0])) return;
+
+        const syllables = token.word && wordSyllables(token.text, token.word.pinyin);
+        characters.forEach((character, index) => {
+          result.push({
+            character,
+            syllable: syllables ? syllables[index] : characterReadings.get(character) || null
+          });
+        });
+      });
+
+      return result;
+    }
+  };
+};
+
+// Cost and status of hearing `heard` in place of `expected`
+const compareSyllables = (expected, heard) => {
+  if (!heard) return { cost: COSTS.MISSING + COSTS.EXTRA, status: SYLLABLE_STATUS.MISSING };
+
+  const initialWrong = expected.initial !== heard.initial;
+  const finalWrong = expected.final !== heard.final;
+  const toneWrong = expected.tone !== heard.tone;
+
+  if (initialWrong && finalWrong) {
+    return { cost: COSTS.MISSING + COSTS.EXTRA, status: SYLLABLE_STATUS.MISSING };
+  }
+
+  const cost = (initialWrong ? COSTS.INITIAL : 0) + (finalWrong ? COSTS.FINAL : 0) + (toneWrong ? COSTS.TONE : 0);
+  const status = initialWrong ? SYLLABLE_STATUS.INITIAL
+    : finalWrong ? SYLLABLE_STATUS.FINAL
+    : toneWrong ? SYLLABLE_STATUS.TONE
+    : SYLLABLE_STATUS.CORRECT;
+  return { cost, status };
+};
+
+/**
+ * Line the target word's syllables up with what was heard and say how each one
+ * came out. The word may be anywhere in the transcription: syllables heard
+ * before or after it don't count against it.
+ * @param {Array<Object>} target - The word's syllables, from splitSyllables()
+ * @param {Array<{character: string, syllable: Object|null}>} heard - From toSyllables()
+ * @returns {Object|null} {correct, syllables: [{expected, heard, character, status}]}
+ *   with syllables as tone-number strings ("hao3"); null without target syllables
+ */
+export const compareWithTarget = (target, heard) => {
+  if (target.length === 0) return null;
+
+  const rows = target.length + 1;
+  const columns = heard.length + 1;
+
+  // cost[i][j]: best alignment of the first i target syllables ending at heard
+  // position j. Starting anywhere in the transcription is free.
+  const cost = Array.from({ length: rows }, () => new Array(columns).fill(0));
+  const step = Array.from({ length: rows }, () => new Array(columns).fill(null));
+
+  for (let i = 1; i < rows; i++) {
+    cost[i][0] = cost[i - 1][0] + COSTS.MISSING;
+    step[i][0] = 'missing';
+
+    for (let j = 1; j < columns; j++) {
+      const options = [
+        ['match', cost[i - 1][j - 1] + compareSyllables(target[i - 1], heard[j - 1].syllable).cost],
+        ['missing', cost[i - 1][j] + COSTS.MISSING],
+        ['extra', cost[i][j - 1] + COSTS.EXTRA]
+      ];
+      const [best, value] = options.reduce((min, option) => (option[1] < min[1] ? option : min));
+      cost[i][j] = value;
+      step[i][j] = best;
+    }
+  }
+
+  // Ending anywhere is free too
+  let j = 0;
+  for (let k = 1; k < columns; k++) {
+    if (cost[rows - 1][k] < cost[rows - 1][j]) j = k;
+  }
+
+  const syllables = [];
+  let i = rows - 1;
+  while (i > 0) {
+    const expected = target[i - 1];
+    const move = step[i][j];
+
+    if (move === 'match') {
+      const { status } = compareSyllables(expected, heard[j - 1].syllable);
+      const matched = status !== SYLLABLE_STATUS.MISSING;
+      syllables.unshift({
+        expected: formatSyllable(expected),
+        heard: matched ? formatSyllable(heard[j - 1].syllable) : null,
+        character: matched ? heard[j - 1].character : null,
+        status
+      });
+      i--;
+      j--;
+    } else if (move === 'missing') {
+      syllables.unshift({ expected: formatSyllable(expected), heard: null, character: null, status: SYLLABLE_STATUS.MISSING });
+      i--;
+    } else {
+      j--;
+    }
+  }
+
+  return {
+    correct: syllables.every(syllable => syllable.status === SYLLABLE_STATUS.CORRECT),
+    syllables
+  };
+};
+
+/**
+ * How a spoken word was recognized, from best to worst
+ */
+export const SPEECH_OUTCOMES = {
+  EXACT: 'exact',           // the word's own characters were transcribed
+  HOMOPHONE: 'homophone',   // other characters with exactly the same pinyin and tones
+  TONE: 'tone',             // the right syllables, but at least one tone was off
+  WRONG: 'wrong'
+};
+
+// Grade given for each outcome. The speech recognizer often picks a homophone
+// (再 for 在), so that still counts as correct, but less so than hearing the word
+// itself; a wrong tone says another word, so it has to be relearned.
+const OUTCOME_GRADES = {
+  [SPEECH_OUTCOMES.EXACT]: GRADES.GOOD,
+  [SPEECH_OUTCOMES.HOMOPHONE]: GRADES.HARD,
+  [SPEECH_OUTCOMES.TONE]: GRADES.AGAIN,
+  [SPEECH_OUTCOMES.WRONG]: GRADES.AGAIN
+};
+
+/**
+ * Grade a spoken word from its transcription. Both the word and the
+ * transcription are read as pinyin with the lexicon, so a homophone or a
+ * tone-only slip can be told apart from a wrong word.
+ * @param {Object} word - The practiced word
+ * @param {string} transcription
+ * @param {Object} lexicon - From createPinyinLexicon()
+ * @returns {{outcome: string, grade: number, pronunciation: Object|null}}
+ *   pronunciation is the breakdown from compareWithTarget()
+ */
+export const gradeSpeech = (word, transcription, lexicon) => {
+  // The word's own pinyin, or else what the vocabulary says its characters are
+  let target = splitSyllables(word.pinyin);
+  if (target.length === 0) {
+    const read = lexicon.toSyllables(word.simplified);
+    target = read.every(entry => entry.syllable) ? read.map(entry => entry.syllable) : [];
+  }
+
+  // When the word itself was heard, its characters are read with its own pinyin
+  // rather than whatever a longer word around them would give
+  if ((transcription || '').includes(word.simplified)) {
+    const heard = [...word.simplified].map((character, index) => ({ character, syllable: target[index] || null }));
+    return {
+      outcome: SPEECH_OUTCOMES.EXACT,
+      grade: OUTCOME_GRADES[SPEECH_OUTCOMES.EXACT],
+      pronunciation: compareWithTarget(target, heard)
+    };
+  }
+
+  const pronunciation = compareWithTarget(target, lexicon.toSyllables(transcription));
+
+  let outcome = SPEECH_OUTCOMES.WRONG;
+  if (pronunciation?.correct) {
+    outcome = SPEECH_OUTCOMES.HOMOPHONE;
+  } else if (pronunciation?.syllables.every(syllable =>
+    syllable.status === SYLLABLE_STATUS.CORRECT || syllable.status === SYLLABLE_STATUS.TONE
+  )) {
+    outcome = SPEECH_OUTCOMES.TONE;
+  }
+
+  return { outcome, grade: OUTCOME_GRADES[outcome], pronunciation };
+};
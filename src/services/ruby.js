@@ -0,0 +1,63 @@
+// src/services/ruby.js
+// Pinyin readings for the characters of a segmented sentence, shown above them
+// as ruby text
+
+import { splitSyllables, formatSyllable, numberedToMarked } from './pinyin-utils';
+import { isHan } from './segmenter';
+import { isWordKnown } from './characters';
+
+/**
+ * When sentences get pinyin above their characters
+ */
+export const RUBY_MODES = {
+  ALWAYS: 'always',
+  UNKNOWN: 'unknown',   // only above words that aren't known yet
+  NEVER: 'never'
+};
+
+const toMarked = (syllable) => numberedToMarked(formatSyllable(syllable));
+
+// Readings of the sentence's Chinese characters from its own pinyin, or null
+// when that doesn't have exactly one syllable per character
+const readingsFromPinyin = (tokens, pinyin) => {
+  const count = tokens.reduce((sum, token) => sum + [...token.text].filter(isHan).length, 0);
+  const syllables = splitSyllables(pinyin);
+  return count > 0 && syllables.length === count ? syllables.map(toMarked) : null;
+};
+
+/**
+ * Pinyin for every character of a segmented sentence. The sentence's own pinyin
+ * is used when it lines up with the characters; otherwise the pinyin of the
+ * words, so a polyphonic character gets the reading of the word it's in.
+ * @param {Array<{text: string, word: Object|null}>} tokens - From segment()
+ * @param {string} [pinyin] - The sentence's pinyin, if it has any
+ * @returns {Array<Array<string|null>>} For each token a reading (with tone marks)
+ *   per character; null for punctuation and characters without a known reading
+ */
+export const readTokens = (tokens, pinyin = null) => {
+  const sentenceReadings = pinyin ? readingsFromPinyin(tokens, pinyin) : null;
+  let next = 0;
+
+  return tokens.map(token => {
+    const characters = [...token.text];
+    if (sentenceReadings) {
+      return characters.map(char => (isHan(char) ? sentenceReadings[next++] : null));
+    }
+
+    const syllables = token.word ? splitSyllables(token.word.pinyin) : [];
+    if (syllables.length !== characters.length) return characters.map(() => null);
+    return syllables.map(toMarked);
+  });
+};
+
+/**
+ * Whether a word (or a character that isn't a vocabulary word) gets pinyin
+ * @param {string} mode - One of RUBY_MODES
+ * @param {Object|null} word
+ * @returns {boolean}
+ */
+export const showsRuby = (mode, word) => {
+  if (mode === RUBY_MODES.ALWAYS) return true;
+  if (mode === RUBY_MODES.UNKNOWN) return !word || !isWordKnown(word);
+  return false;
+};
@@ -0,0 +1,159 @@
+// src/services/search-index.js
+// Vocabulary search that understands pinyin typed with tone marks, tone numbers
+// or no tones at all, and ranks results by how well they match
+
+import { normalizePinyin } from './pinyin-utils';
+
+// Score tiers: a headword match always beats a pinyin match, which always beats
+// a meaning match. Within a tier closer matches score a little higher.
+const SCORES = {
+  HEADWORD_EXACT: 1000,
+  HEADWORD_PREFIX: 900,
+  HEADWORD_CONTAINS: 800,
+  PINYIN_EXACT: 700,
+  PINYIN_PREFIX: 600,
+  PINYIN_SYLLABLE: 500,
+  GLOSS_EXACT: 400,
+  GLOSS_WORD: 300,
+  GLOSS_PREFIX: 200
+};
+
+// Largest bonus within a tier, so tiers never overlap
+const MAX_CLOSENESS = 99;
+
+const HAN_PATTERN = /\p{Script=Han}/u;
+const PINYIN_QUERY_PATTERN = /^[a-zA-Zü:'\s1-5āáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜ]+$/;
+
+const isDigit = (char) => char >= '0' && char <= '9';
+
+// Meanings are separated by semicolons, commas, slashes or line breaks
+const splitSenses = (text) => (text || '')
+  .toLowerCase()
+  .split(/[;,/\n]|----/)
+  .map(sense => sense.replace(/\([^)]*\)/g, '').trim())
+  .filter(Boolean);
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+
+/**
+ * Match a normalized pinyin query against a word's normalized pinyin, both as
+ * produced by normalizePinyin. Tones the query leaves out match any tone.
+ * @param {string} query - e.g. "nihao" or "ni3hao"
+ * @param {string} key - e.g. "ni3hao3"
+ * @param {number} start - Position in the key to start matching at
+ * @returns {number|null} Number of letters of the key left over, or null for no match
+ */
+const matchPinyin = (query, key, start = 0) => {
+  let j = start;
+
+  for (let i = 0; i < query.length; i++) {
+    // A tone in the word that the query didn't type
+    while (j < key.length && isDigit(key[j]) && !isDigit(query[i])) j++;
+    if (key[j] !== query[i]) return null;
+    j++;
+  }
+
+  return key.slice(j).replace(/\d/g, '').length;
+};
+
+const closeness = (leftover) => MAX_CLOSENESS - Math.min(leftover, MAX_CLOSENESS);
+
+const scoreHeadword = (entry, query) => {
+  let best = 0;
+  [entry.simplified, entry.traditional].forEach(headword => {
+    if (!headword) return;
+    const leftover = headword.length - query.length;
+    if (headword === query) best = Math.max(best, SCORES.HEADWORD_EXACT);
+    else if (headword.startsWith(query)) best = Math.max(best, SCORES.HEADWORD_PREFIX + closeness(leftover));
+    else if (headword.includes(query)) best = Math.max(best, SCORES.HEADWORD_CONTAINS + closeness(leftover));
+  });
+  return best;
+};
+
+const scorePinyin = (entry, query) => {
+  if (!entry.pinyinKey || !query) return 0;
+
+  const leftover = matchPinyin(query, entry.pinyinKey);
+  if (leftover === 0) return SCORES.PINYIN_EXACT;
+  if (leftover !== null) return SCORES.PINYIN_PREFIX + closeness(leftover);
+
+  // A later syllable of the word (syllables with a tone end in a digit)
+  for (let start = 1; start < entry.pinyinKey.length; start++) {
+    if (!isDigit(entry.pinyinKey[start - 1])) continue;
+    const rest = matchPinyin(query, entry.pinyinKey, start);
+    if (rest !== null) return SCORES.PINYIN_SYLLABLE + closeness(rest);
+  }
+  return 0;
+};
+
+const scoreGloss = (entry, query, queryTokens) => {
+  if (queryTokens.length === 0) return 0;
+
+  if (entry.senses.includes(query) || entry.senses.includes(`to ${query}`)) {
+    return SCORES.GLOSS_EXACT;
+  }
+
+  // Every word of the query is a whole word of the meaning
+  if (queryTokens.every(token => entry.tokens.has(token))) {
+    return SCORES.GLOSS_WORD + closeness(entry.tokens.size - queryTokens.length);
+  }
+
+  // ...or the start of one
+  const tokens = [...entry.tokens];
+  if (queryTokens.every(token => tokens.some(word => word.startsWith(token)))) {
+    return SCORES.GLOSS_PREFIX + closeness(entry.tokens.size - queryTokens.length);
+  }
+  return 0;
+};
+
+/**
+ * Build a search index over a list of words
+ * @param {Array} words
+ * @returns {{search: function(string): Array<{word: Object, score: number}>}}
+ */
+export const createSearchIndex = (words) => {
+  const entries = words.map(word => {
+    const glossText = [word.english, word.meanings].filter(Boolean).join('\n');
+    return {
+      word,
+      simplified: word.simplified || '',
+      traditional: word.traditional || '',
+      pinyinKey: normalizePinyin(word.pinyin || ''),
+      senses: splitSenses(glossText),
+      tokens: new Set(tokenize(glossText))
+    };
+  });
+
+  /**
+   * Find the words matching a query, best match first. Words with the same
+   * score keep the order they were given in.
+   * @param {string} rawQuery - Characters, pinyin (any tone style) or English
+   * @returns {Array<{word: Object, score: number}>}
+   */
+  const search = (rawQuery) => {
+    const query = (rawQuery || '').trim();
+    if (!query) return [];
+
+    const hasHan = HAN_PATTERN.test(query);
+    const pinyinQuery = !hasHan && PINYIN_QUERY_PATTERN.test(query) ? normalizePinyin(query) : null;
+    const glossQuery = query.toLowerCase().replace(/\s+/g, ' ');
+    const queryTokens = hasHan ? [] : tokenize(query);
+
+    const results = [];
+    entries.forEach(entry => {
+      const score = hasHan
+        ? scoreHeadword(entry, query)
+        : Math.max(
+          pinyinQuery ? scorePinyin(entry, pinyinQuery) : 0,
+          scoreGloss(entry, glossQuery, queryTokens)
+        );
+
+      if (score > 0) results.push({ word: entry.word, score });
+    });
+
+    // Array.prototype.sort is stable, so ties keep the given order
+    return results.sort((a, b) => b.score - a.score);
+  };
+
+  return { search };
+};
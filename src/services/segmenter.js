@@ -0,0 +1,106 @@
+// src/services/segmenter.js
+// Split Chinese text into vocabulary words by forward maximum matching: at every
+// position the longest vocabulary word that fits is taken
+
+const HAN_PATTERN = /\p{Script=Han}/u;
+
+/**
+ * Whether a character is a Chinese character (hanzi)
+ * @param {string} char
+ * @returns {boolean}
+ */
+export const isHan = (char) => HAN_PATTERN.test(char);
+
+/**
+ * Build a segmenter from the vocabulary. Words are found by their simplified
+ * and traditional form; when several words share a form, the first one wins.
+ * @param {Array} words - Vocabulary words
+ * @returns {{segment: function(string): Array<{text: string, word: Object|null}>, replaceWord: function(Object)}}
+ */
+export const createSegmenter = (words) => {
+  const entries = new Map();
+  let maxLength = 1;
+
+  words.forEach(word => {
+    [word.simplified, word.traditional].forEach(text => {
+      if (!text || entries.has(text)) return;
+      entries.set(text, word);
+      maxLength = Math.max(maxLength, [...text].length);
+    });
+  });
+
+  // Forward maximum matching over one piece of text
+  const maxMatch = (characters) => {
+    const tokens = [];
+
+    let i = 0;
+    while (i < characters.length) {
+      if (!isHan(characters[i])) {
+        let end = i + 1;
+        while (end < characters.length && !isHan(characters[end])) end++;
+        tokens.push({ text: characters.slice(i, end).join(''), word: null });
+        i = end;
+        continue;
+      }
+
+      let length = Math.min(maxLength, characters.length - i);
+      while (length > 1 && !entries.has(characters.slice(i, i + length).join(''))) length--;
+
+      const candidate = characters.slice(i, i + length).join('');
+      tokens.push({ text: candidate, word: entries.get(candidate) || null });
+      i += length;
+    }
+
+    return tokens;
+  };
+
+  return {
+    /**
+     * Split a text into tokens. Runs of other characters (punctuation, Latin
+     * letters, spaces) become one token each; Chinese characters that don't
+     * start a vocabulary word become single-character tokens.
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {Object} [options.keepWord] - Word that is always kept whole where it
+     *   appears, even where a longer word would overlap it (e.g. the practiced word)
+     * @returns {Array<{text: string, word: Object|null}>} word is null for
+     *   anything that isn't a vocabulary word
+     */
+    segment(text, { keepWord = null } = {}) {
+      const characters = [...(text || '')];
+      const forms = keepWord
+        ? [keepWord.simplified, keepWord.traditional].filter(Boolean).map(form => [...form])
+        : [];
+      const keptAt = (index) => forms.find(form => form.every((char, offset) => characters[index + offset] === char));
+
+      const tokens = [];
+      let start = 0;
+      let i = 0;
+      while (i < characters.length) {
+        const form = keptAt(i);
+        if (!form) {
+          i++;
+          continue;
+        }
+        tokens.push(...maxMatch(characters.slice(start, i)), { text: form.join(''), word: keepWord });
+        i += form.length;
+        start = i;
+      }
+      tokens.push(...maxMatch(characters.slice(start)));
+
+      return tokens;
+    },
+
+    /**
+     * Put a newer version of a word in place of the one with the same id (e.g.
+     * after it was answered), so tokens carry its current progress. Only for
+     * changes that keep its text: otherwise build a new segmenter.
+     * @param {Object} word
+     */
+    replaceWord(word) {
+      [word.simplified, word.traditional].forEach(text => {
+        if (text && entries.get(text)?.id === word.id) entries.set(text, word);
+      });
+    }
+  };
+};
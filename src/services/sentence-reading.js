@@ -0,0 +1,152 @@
+// src/services/sentence-reading.js
+// Grading of an example sentence read aloud: the transcription is lined up with
+// the sentence character by character (edit distance) and every vocabulary word
+// in the sentence is marked as read right or wrong
+
+/**
+ * How a character of the sentence (or of the transcription) came out
+ */
+export const CHARACTER_STATUS = {
+  CORRECT: 'correct',
+  SUBSTITUTED: 'substituted',   // another character was heard in its place
+  MISSING: 'missing',           // left out
+  INSERTED: 'inserted',         // heard, but not in the sentence
+  PUNCTUATION: 'punctuation'    // not read, so not graded
+};
+
+// Characters that are read aloud; punctuation and spaces aren't
+const SPOKEN_PATTERN = /[\p{L}\p{N}]/u;
+
+const isSpoken = (char) => SPOKEN_PATTERN.test(char);
+
+// Edit operations turning `expected` into `heard`, in order
+const diff = (expected, heard) => {
+  const rows = expected.length + 1;
+  const columns = heard.length + 1;
+  const distance = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(columns).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < columns; j++) distance[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < columns; j++) {
+      const substitution = expected[i - 1] === heard[j - 1] ? 0 : 1;
+      distance[i][j] = Math.min(
+        distance[i - 1][j - 1] + substitution,
+        distance[i - 1][j] + 1,
+        distance[i][j - 1] + 1
+      );
+    }
+  }
+
+  // Walk back. Between equally short diffs, prefer a left-out or extra character
+  // over a substitution, so "中菜" for "中国菜" reads as 国 missing.
+  const operations = [];
+  let i = expected.length;
+  let j = heard.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && expected[i - 1] === heard[j - 1] && distance[i][j] === distance[i - 1][j - 1]) {
+      operations.unshift({ status: CHARACTER_STATUS.CORRECT, heard: heard[j - 1] });
+      i--;
+      j--;
+    } else if (j > 0 && distance[i][j] === distance[i][j - 1] + 1) {
+      operations.unshift({ status: CHARACTER_STATUS.INSERTED, heard: heard[j - 1] });
+      j--;
+    } else if (i > 0 && distance[i][j] === distance[i - 1][j] + 1) {
+      operations.unshift({ status: CHARACTER_STATUS.MISSING, heard: null });
+      i--;
+    } else {
+      operations.unshift({ status: CHARACTER_STATUS.SUBSTITUTED, heard: heard[j - 1] });
+      i--;
+      j--;
+    }
+  }
+
+  return operations;
+};
+
+/**
+ * Line a transcription up with the sentence that was read
+ * @param {string} sentence
+ * @param {string} transcription
+ * @returns {{characters: Array, score: number}} characters in reading order as
+ *   {char, heard, status, index}: sentence characters have their index in the
+ *   sentence, inserted ones have index null and char null. score is the percentage
+ *   of the sentence's spoken characters that were read correctly.
+ */
+export const alignSentence = (sentence, transcription) => {
+  const sentenceCharacters = [...(sentence || '')];
+  const expected = sentenceCharacters.filter(isSpoken).map(char => char.toLowerCase());
+  const heard = [...(transcription || '')].filter(isSpoken).map(char => char.toLowerCase());
+
+  const operations = diff(expected, heard);
+  const characters = [];
+  let next = 0;
+
+  // Inserted characters go before the sentence character that follows them
+  const takeInserted = () => {
+    while (next < operations.length && operations[next].status === CHARACTER_STATUS.INSERTED) {
+      characters.push({ char: null, heard: operations[next].heard, status: CHARACTER_STATUS.INSERTED, index: null });
+      next++;
+    }
+  };
+
+  sentenceCharacters.forEach((char, index) => {
+    if (!isSpoken(char)) {
+      characters.push({ char, heard: null, status: CHARACTER_STATUS.PUNCTUATION, index });
+      return;
+    }
+    takeInserted();
+    const { status, heard: heardChar } = operations[next];
+    characters.push({ char, heard: heardChar, status, index });
+    next++;
+  });
+  takeInserted();
+
+  const correct = characters.filter(character => character.status === CHARACTER_STATUS.CORRECT).length;
+  return {
+    characters,
+    score: expected.length > 0 ? Math.round((correct / expected.length) * 100) : 0
+  };
+};
+
+/**
+ * Which vocabulary words of the sentence were read correctly: all of their
+ * characters must be. The target word is always kept whole.
+ * @param {string} sentence
+ * @param {Array} characters - From alignSentence()
+ * @param {{segment: function}} segmenter - From createSegmenter()
+ * @param {Object} [targetWord]
+ * @returns {Array<{word: Object, correct: boolean}>} One entry per word
+ */
+export const gradeSentenceWords = (sentence, characters, segmenter, targetWord = null) => {
+  const statusAt = new Map();
+  characters.forEach(character => {
+    if (character.index !== null) statusAt.set(character.index, character.status);
+  });
+
+  const isReadCorrectly = (start, length) => {
+    for (let index = start; index < start + length; index++) {
+      if (statusAt.get(index) !== CHARACTER_STATUS.CORRECT) return false;
+    }
+    return true;
+  };
+
+  const results = new Map();
+  const record = (word, correct) => {
+    // A word that appears twice has to be right both times
+    const previous = results.get(word.id);
+    results.set(word.id, { word, correct: correct && (previous ? previous.correct : true) });
+  };
+
+  let offset = 0;
+  segmenter.segment(sentence, { keepWord: targetWord }).forEach(token => {
+    const length = [...token.text].length;
+    if (token.word) record(token.word, isReadCorrectly(offset, length));
+    offset += length;
+  });
+
+  return [...results.values()];
+};
@@ -0,0 +1,259 @@
+// src/services/settings-service.js
+// App settings: typed defaults and validation, kept in settingsDB (one record per
+// setting) with an in-memory copy for synchronous reads and change subscriptions
+
+import { settingsDB } from './db';
+
+// Where settings lived before they moved to IndexedDB
+const LEGACY_STORAGE_KEY = 'appSettings';
+
+/**
+ * Every setting with its type and default. Numbers are clamped to min/max
+ * (and rounded when `integer`); `levels` is a non-empty list of HSK levels;
+ * a `choice` is one of its `options`.
+ */
+export const SETTINGS_SCHEMA = {
+  // Audio
+  useHoldToSpeak: { type: 'boolean', default: true },
+  showWaveform: { type: 'boolean', default: true },
+  preInitializeAudio: { type: 'boolean', default: true },
+  sensitivity: { type: 'number', default: 1.5, min: 0.5, max: 3 },
+  preferOfflinePractice: { type: 'boolean', default: false },
+  readSentenceAloud: { type: 'boolean', default: false },
+
+  // Learning
+  hskFocus: { type: 'levels', default: [1, 2, 3] },
+  practiceDeckId: { type: 'string', default: null, nullable: true },
+  showOnlySrsLevel0: { type: 'boolean', default: false },
+  newWordsPerDay: { type: 'number', default: 20, min: 0, max: 500, integer: true },
+  reviewsPerDay: { type: 'number', default: 100, min: 0, max: 9999, integer: true },
+  leechThreshold: { type: 'number', default: 8, min: 2, max: 50, integer: true },
+  popupDictionary: { type: 'boolean', default: true },
+  rubyMode: { type: 'choice', default: 'unknown', options: ['always', 'unknown', 'never'] }
+};
+
+const defaultSettings = () => {
+  const defaults = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, schema]) => {
+    defaults[key] = Array.isArray(schema.default) ? [...schema.default] : schema.default;
+  });
+  return defaults;
+};
+
+/**
+ * Check a value against a setting's schema
+ * @param {string} key
+ * @param {*} value
+ * @returns {*} The value to store (numbers clamped, levels sorted)
+ * @throws {Error} When the setting is unknown or the value has the wrong type
+ */
+export const validateSetting = (key, value) => {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  if (value === null && schema.nullable) return null;
+
+  switch (schema.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') break;
+      return value;
+
+    case 'number': {
+      if (typeof value !== 'number' || Number.isNaN(value)) break;
+      const number = schema.integer ? Math.round(value) : value;
+      return Math.min(schema.max ?? Infinity, Math.max(schema.min ?? -Infinity, number));
+    }
+
+    case 'string':
+      if (typeof value !== 'string') break;
+      return value;
+
+    case 'choice':
+      if (!schema.options.includes(value)) break;
+      return value;
+
+    case 'levels': {
+      if (!Array.isArray(value)) break;
+      const levels = [...new Set(value)]
+        .filter(level => Number.isInteger(level) && level >= 1 && level <= 7)
+        .sort((a, b) => a - b);
+      if (levels.length === 0) break;
+      return levels;
+    }
+
+    default:
+      break;
+  }
+
+  throw new Error(`Invalid value for setting ${key}: ${JSON.stringify(value)}`);
+};
+
+// Validated copy of stored values; unknown keys are dropped and invalid values
+// fall back to the default
+const sanitize = (values) => {
+  const settings = defaultSettings();
+  Object.entries(values || {}).forEach(([key, value]) => {
+    if (!SETTINGS_SCHEMA[key]) return;
+    try {
+      settings[key] = validateSetting(key, value);
+    } catch (error) {
+      console.warn(error.message);
+    }
+  });
+  return settings;
+};
+
+let current = defaultSettings();
+let loadPromise = null;
+const listeners = new Set();
+
+const notify = (changedKeys) => {
+  listeners.forEach(listener => {
+    try {
+      listener(current, changedKeys);
+    } catch (error) {
+      console.error("Error in settings listener:", error);
+    }
+  });
+};
+
+// Move settings saved by older versions from localStorage into settingsDB (once:
+// the localStorage entry is removed afterwards)
+const migrateFromLocalStorage = async (stored) => {
+  const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (legacy === null) return stored;
+
+  let values = {};
+  try {
+    values = JSON.parse(legacy) || {};
+  } catch (error) {
+    console.error("Could not read old settings, using defaults:", error);
+  }
+
+  const migrated = { ...stored };
+  for (const [key, value] of Object.entries(values)) {
+    if (!SETTINGS_SCHEMA[key]) continue;
+    try {
+      migrated[key] = validateSetting(key, value);
+      await settingsDB.saveSetting(key, migrated[key]);
+    } catch (error) {
+      console.warn(`Setting not migrated: ${error.message}`);
+    }
+  }
+
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  console.log("Moved settings from localStorage to IndexedDB");
+  return migrated;
+};
+
+const load = async () => {
+  const stored = await migrateFromLocalStorage(await settingsDB.getAllSettings());
+  const previous = current;
+  current = sanitize(stored);
+
+  const changedKeys = Object.keys(current)
+    .filter(key => JSON.stringify(current[key]) !== JSON.stringify(previous[key]));
+  if (changedKeys.length > 0) notify(changedKeys);
+  return current;
+};
+
+export const settingsService = {
+  /**
+   * Load the settings (migrating them from localStorage the first time).
+   * Later calls return the same promise.
+   * @returns {Promise<Object>} All settings
+   */
+  init() {
+    if (!loadPromise) {
+      loadPromise = load().catch(error => {
+        console.error("Error loading settings, using defaults:", error);
+        loadPromise = null;
+        return current;
+      });
+    }
+    return loadPromise;
+  },
+
+  /**
+   * Read the stored settings again, e.g. after a backup was restored
+   * @returns {Promise<Object>} All settings
+   */
+  reload() {
+    loadPromise = null;
+    return this.init();
+  },
+
+  /**
+   * Current value of a setting (the default until init() has finished)
+   * @param {string} key
+   * @returns {*}
+   */
+  get(key) {
+    return current[key];
+  },
+
+  /**
+   * All current settings. The object is replaced, not changed, on every update.
+   * @returns {Object}
+   */
+  getAll() {
+    return current;
+  },
+
+  /**
+   * Change several settings at once
+   * @param {Object} changes - Setting keys and their new values
+   * @returns {Promise<Object>} All settings
+   * @throws {Error} When a key is unknown, a value invalid or saving fails (nothing is changed then)
+   */
+  async update(changes) {
+    const validated = {};
+    Object.entries(changes).forEach(([key, value]) => {
+      validated[key] = validateSetting(key, value);
+    });
+
+    const changedKeys = Object.keys(validated)
+      .filter(key => JSON.stringify(validated[key]) !== JSON.stringify(current[key]));
+    if (changedKeys.length === 0) return current;
+
+    // Saved before anyone is told, so the UI never shows a value that wasn't stored
+    const saved = [];
+    try {
+      for (const key of changedKeys) {
+        await settingsDB.saveSetting(key, validated[key]);
+        saved.push(key);
+      }
+    } catch (error) {
+      for (const key of saved) {
+        await settingsDB.saveSetting(key, current[key]).catch(() => {});
+      }
+      throw error;
+    }
+
+    current = { ...current, ...validated };
+    notify(changedKeys);
+    return current;
+  },
+
+  /**
+   * Change one setting
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<Object>} All settings
+   */
+  set(key, value) {
+    return this.update({ [key]: value });
+  },
+
+  /**
+   * Listen for changes
+   * @param {function} listener - Called with (settings, changedKeys)
+   * @returns {function} Call to stop listening
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
@@ -0,0 +1,318 @@
+// src/services/srs.js
+// Spaced repetition scheduler based on the FSRS memory model (stability / difficulty)
+
+/**
+ * Answer grades, ordered from worst to best recall
+ */
+export const GRADES = {
+  AGAIN: 1,
+  HARD: 2,
+  GOOD: 3,
+  EASY: 4
+};
+
+export const GRADE_LABELS = {
+  [GRADES.AGAIN]: 'Again',
+  [GRADES.HARD]: 'Hard',
+  [GRADES.GOOD]: 'Good',
+  [GRADES.EASY]: 'Easy'
+};
+
+// Interval ladder used by the old fixed-table scheduler. Still used to express
+// an interval as an "SRS level" so existing UI and filters keep working.
+const LEGACY_INTERVALS = [1, 3, 7, 14, 30, 60, 120, 240];
+
+// FSRS default model weights
+const W = [0.4, 0.6, 2.4, 5.8, 4.93, 0.94, 0.86, 0.01, 1.49, 0.14, 0.94, 2.18, 0.05, 0.34, 1.26, 0.29, 2.61];
+
+// Probability of recall we schedule for
+const REQUEST_RETENTION = 0.9;
+const MAXIMUM_INTERVAL = 3650;
+const DEFAULT_DIFFICULTY = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const toDateString = (date) => date.toISOString().split('T')[0]; // YYYY-MM-DD
+
+const initialStability = (grade) => W[grade - 1];
+
+const initialDifficulty = (grade) => clamp(W[4] - (grade - 3) * W[5], 1, 10);
+
+const nextDifficulty = (difficulty, grade) => {
+  const updated = difficulty - W[6] * (grade - 3);
+  // Mean reversion towards the difficulty of a "Good" first answer
+  return clamp(W[7] * initialDifficulty(GRADES.GOOD) + (1 - W[7]) * updated, 1, 10);
+};
+
+// Probability of recalling a card `elapsedDays` after the last review
+const retrievability = (elapsedDays, stability) => Math.pow(1 + elapsedDays / (9 * stability), -1);
+
+const nextRecallStability = (difficulty, stability, recall, grade) => {
+  const hardPenalty = grade === GRADES.HARD ? W[15] : 1;
+  const easyBonus = grade === GRADES.EASY ? W[16] : 1;
+
+  return stability * (
+    1 +
+    Math.exp(W[8]) *
+    (11 - difficulty) *
+    Math.pow(stability, -W[9]) *
+    (Math.exp((1 - recall) * W[10]) - 1) *
+    hardPenalty *
+    easyBonus
+  );
+};
+
+const nextForgetStability = (difficulty, stability, recall) => {
+  return W[11] *
+    Math.pow(difficulty, -W[12]) *
+    (Math.pow(stability + 1, W[13]) - 1) *
+    Math.exp((1 - recall) * W[14]);
+};
+
+const intervalForStability = (stability) => {
+  const interval = 9 * stability * (1 / REQUEST_RETENTION - 1);
+  return clamp(Math.round(interval), 1, MAXIMUM_INTERVAL);
+};
+
+/**
+ * Express an interval in days as a level on the old 0-7 ladder
+ * @param {number} interval - Interval in days
+ * @returns {number}
+ */
+export const levelForInterval = (interval) => {
+  let level = 0;
+  LEGACY_INTERVALS.forEach((days, index) => {
+    if (interval >= days) level = index;
+  });
+  return Math.max(1, level);
+};
+
+/**
+ * Convert data written by the old fixed-table scheduler into scheduler state
+ * @param {Object} word - Word with legacy srsLevel / nextReview fields
+ * @returns {Object} Scheduler state
+ */
+export const convertLegacyState = (word) => {
+  const srsLevel = word.srsLevel || 0;
+  const practiced = srsLevel > 0 || (word.correctCount || 0) > 0 || (word.incorrectCount || 0) > 0;
+
+  if (!practiced) {
+    return {
+      stability: null,
+      difficulty: null,
+      interval: 0,
+      reps: 0,
+      lapses: 0,
+      srsLevel: 0,
+      nextReview: word.nextReview || toDateString(new Date())
+    };
+  }
+
+  const interval = LEGACY_INTERVALS[Math.min(srsLevel, LEGACY_INTERVALS.length - 1)];
+
+  return {
+    stability: interval,
+    difficulty: DEFAULT_DIFFICULTY,
+    interval,
+    reps: Math.max(srsLevel, 1),
+    lapses: 0,
+    srsLevel,
+    nextReview: word.nextReview || toDateString(new Date())
+  };
+};
+
+/**
+ * Check whether a word has already been converted to the new scheduler
+ * @param {Object} word
+ * @returns {boolean}
+ */
+export const hasSchedulingState = (word) => word.stability !== undefined;
+
+/**
+ * Read the scheduler state of a word, converting legacy data if needed
+ * @param {Object} word
+ * @returns {Object} Scheduler state
+ */
+export const getSchedulingState = (word) => {
+  if (!hasSchedulingState(word)) {
+    return convertLegacyState(word);
+  }
+
+  return {
+    stability: word.stability,
+    difficulty: word.difficulty,
+    interval: word.interval || 0,
+    reps: word.reps || 0,
+    lapses: word.lapses || 0,
+    srsLevel: word.srsLevel || 0,
+    nextReview: word.nextReview
+  };
+};
+
+/**
+ * Skills that are scheduled independently of each other
+ */
+export const SKILLS = {
+  RECOGNITION: 'recognition',
+  SPEAKING: 'speaking',
+  LISTENING: 'listening',
+  WRITING: 'writing'
+};
+
+export const SKILL_LABELS = {
+  [SKILLS.RECOGNITION]: 'Recognition',
+  [SKILLS.SPEAKING]: 'Speaking',
+  [SKILLS.LISTENING]: 'Listening',
+  [SKILLS.WRITING]: 'Writing'
+};
+
+/**
+ * Skills that can be practiced in the app (see MODE_SKILLS in db.js). Only
+ * these make up a word's overall level and mastery: a skill nobody can
+ * practice yet would otherwise keep every word at level 0.
+ */
+export const PRACTICED_SKILLS = [SKILLS.RECOGNITION, SKILLS.SPEAKING];
+
+/**
+ * Read the scheduler state of one skill of a word. Words without tracks
+ * (legacy data) use their shared state for every skill; a skill that was added
+ * after the word got its tracks hasn't been practiced yet.
+ * @param {Object} word
+ * @param {string} skill - One of SKILLS
+ * @returns {Object} Scheduler state plus lastPracticed
+ */
+export const getTrack = (word, skill) => {
+  const track = word.tracks?.[skill];
+  if (track) return track;
+
+  if (word.tracks) {
+    return { ...convertLegacyState({}), lastPracticed: null };
+  }
+
+  return {
+    ...getSchedulingState(word),
+    lastPracticed: word.lastPracticed || null
+  };
+};
+
+/**
+ * Build a track for every skill. Tracks the word already has are kept; the
+ * others come from its shared (pre-skill) state, or start from scratch when
+ * the word already has tracks (see getTrack).
+ * @param {Object} word
+ * @param {Array<string>} skills - Defaults to all of SKILLS
+ * @returns {Object} Map of skill to track
+ */
+export const createTracks = (word, skills = Object.values(SKILLS)) => {
+  const tracks = {};
+  skills.forEach(skill => {
+    tracks[skill] = getTrack(word, skill);
+  });
+  return tracks;
+};
+
+/**
+ * Summarize the tracks into the word-level fields used by lists and filters.
+ * A word is as far along as its weakest practiced skill (see PRACTICED_SKILLS)
+ * and due when any of them is due.
+ * @param {Object} tracks - Map of skill to track
+ * @returns {{srsLevel: number, nextReview: string, reps: number, lapses: number}}
+ */
+export const summarizeTracks = (tracks) => {
+  const practiced = PRACTICED_SKILLS.map(skill => tracks[skill]).filter(Boolean);
+  const states = practiced.length > 0 ? practiced : Object.values(tracks);
+
+  return {
+    srsLevel: Math.min(...states.map(track => track.srsLevel || 0)),
+    nextReview: states.map(track => track.nextReview).sort()[0],
+    reps: states.reduce((sum, track) => sum + (track.reps || 0), 0),
+    lapses: states.reduce((sum, track) => sum + (track.lapses || 0), 0)
+  };
+};
+
+/**
+ * Compute the next scheduler state after answering a card
+ * @param {Object} state - Current scheduler state (see getSchedulingState)
+ * @param {number} grade - One of GRADES
+ * @param {string|null} lastReview - ISO timestamp of the previous review
+ * @param {Date} now - Time of this review
+ * @returns {Object} New scheduler state
+ */
+export const scheduleReview = (state, grade, lastReview = null, now = new Date()) => {
+  let stability;
+  let difficulty;
+  let lapses = state.lapses || 0;
+
+  if (!state.reps || !state.stability) {
+    // First review of a new card
+    stability = initialStability(grade);
+    difficulty = initialDifficulty(grade);
+  } else {
+    // Fall back to the scheduled interval when we don't know when it was last seen
+    const elapsedDays = lastReview
+      ? Math.max(0, (now.getTime() - new Date(lastReview).getTime()) / DAY_MS)
+      : state.interval || 0;
+    const recall = retrievability(elapsedDays, state.stability);
+
+    difficulty = nextDifficulty(state.difficulty || DEFAULT_DIFFICULTY, grade);
+
+    if (grade === GRADES.AGAIN) {
+      stability = Math.min(nextForgetStability(difficulty, state.stability, recall), state.stability);
+      lapses += 1;
+    } else {
+      stability = nextRecallStability(difficulty, state.stability, recall, grade);
+    }
+  }
+
+  // Forgotten cards come back the next day regardless of their remaining stability
+  const interval = grade === GRADES.AGAIN ? 1 : intervalForStability(stability);
+  const nextReviewDate = new Date(now);
+  nextReviewDate.setDate(nextReviewDate.getDate() + interval);
+
+  return {
+    stability,
+    difficulty,
+    interval,
+    reps: (state.reps || 0) + 1,
+    lapses,
+    srsLevel: grade === GRADES.AGAIN ? 0 : levelForInterval(interval),
+    nextReview: toDateString(nextReviewDate)
+  };
+};
+
+/**
+ * Preview the interval each grade would produce, for answer button labels
+ * @param {Object} word
+ * @param {string} skill - One of SKILLS
+ * @returns {Object} Map of grade to interval in days
+ */
+export const previewIntervals = (word, skill) => {
+  const track = getTrack(word, skill);
+  const previews = {};
+
+  Object.values(GRADES).forEach(grade => {
+    previews[grade] = scheduleReview(track, grade, track.lastPracticed).interval;
+  });
+
+  return previews;
+};
+
+/**
+ * Format an interval in days for display (e.g. "3d", "2mo")
+ * @param {number} days
+ * @returns {string}
+ */
+export const formatInterval = (days) => {
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${Math.round(days / 365 * 10) / 10}y`;
+};
+
+/**
+ * Map the old binary answer onto a grade
+ * @param {boolean} wasCorrect
+ * @returns {number}
+ */
+export const gradeFromBoolean = (wasCorrect) => wasCorrect ? GRADES.GOOD : GRADES.AGAIN;
@@ -0,0 +1,219 @@
+// src/services/study-session.js
+// Daily study queue built on top of vocabularyDB.getDueForReview
+
+import { vocabularyDB } from './db';
+import { GRADES, SKILLS, getTrack } from './srs';
+import { settingsService } from './settings-service';
+
+// A failed word comes back after this many other words
+const REQUEUE_GAP = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const todayString = () => new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+
+/**
+ * Read the daily limits from the app settings
+ * @returns {{newWordsPerDay: number, reviewsPerDay: number}}
+ */
+export const getSessionLimits = () => ({
+  newWordsPerDay: settingsService.get('newWordsPerDay'),
+  reviewsPerDay: settingsService.get('reviewsPerDay')
+});
+
+// Today's counts for every skill, stored as { date, skills: { [skill]: counts } }
+const readDailyProgress = () => {
+  try {
+    const progress = JSON.parse(localStorage.getItem('dailyStudyProgress') || 'null');
+    if (progress && progress.date === todayString() && progress.skills) {
+      return progress;
+    }
+  } catch (error) {
+    console.error("Error reading daily progress:", error);
+  }
+  return { date: todayString(), skills: {} };
+};
+
+/**
+ * Read how many new words and reviews of a skill were already studied today.
+ * Each skill has its own daily limits.
+ * @param {string} skill - One of SKILLS
+ * @returns {{date: string, newStudied: number, reviewsDone: number}}
+ */
+export const getDailyProgress = (skill = SKILLS.RECOGNITION) => {
+  const progress = readDailyProgress();
+  return { date: progress.date, newStudied: 0, reviewsDone: 0, ...progress.skills[skill] };
+};
+
+const saveDailyProgress = (skill, { newStudied, reviewsDone }) => {
+  const progress = readDailyProgress();
+  progress.skills[skill] = { newStudied, reviewsDone };
+  localStorage.setItem('dailyStudyProgress', JSON.stringify(progress));
+};
+
+// Days past the scheduled review date of a track
+const daysOverdue = (track, today) => {
+  return Math.max(0, (new Date(today).getTime() - new Date(track.nextReview).getTime()) / DAY_MS);
+};
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Spread new words evenly between the reviews
+const interleave = (reviews, newWords) => {
+  if (newWords.length === 0) return reviews;
+  if (reviews.length === 0) return newWords;
+
+  const spacing = Math.max(1, Math.floor(reviews.length / newWords.length));
+  const queue = [];
+  let newIndex = 0;
+
+  reviews.forEach((item, index) => {
+    queue.push(item);
+    if ((index + 1) % spacing === 0 && newIndex < newWords.length) {
+      queue.push(newWords[newIndex++]);
+    }
+  });
+
+  return [...queue, ...newWords.slice(newIndex)];
+};
+
+/**
+ * Build today's study session
+ * @param {Object} options
+ * @param {number[]} options.levels - HSK levels to study
+ * @param {Array<string|number>|null} options.wordIds - Study these words (e.g. a deck) instead of the levels
+ * @param {string} options.skill - Skill whose schedule is studied (one of SKILLS)
+ * @param {boolean} options.newOnly - Only study words at SRS level 0, without daily limits
+ * @returns {Promise<Object>} Session with next(), recordAnswer() and getStats()
+ */
+export const createStudySession = async ({ levels, wordIds = null, skill = SKILLS.RECOGNITION, newOnly = false }) => {
+  const today = todayString();
+  const limits = getSessionLimits();
+  const daily = getDailyProgress(skill);
+  const sourceIds = wordIds ? new Set(wordIds) : null;
+  const levelFilter = sourceIds ? null : levels;
+  const inSource = (word) => !sourceIds || sourceIds.has(word.id);
+  let queue;
+
+  if (newOnly) {
+    const words = await vocabularyDB.getRandomWords(Infinity, levelFilter);
+    queue = words
+      .filter(word => inSource(word) && (getTrack(word, skill).srsLevel || 0) === 0)
+      .map(word => ({ wordId: word.id, kind: 'new' }));
+  } else {
+    const dueWords = (await vocabularyDB.getDueForReview(Infinity, levelFilter, { supplement: false, skill }))
+      .filter(inSource);
+    const isPracticed = (word) => (getTrack(word, skill).reps || 0) > 0;
+
+    // Words practiced before in this skill are reviews; the rest are new to it
+    const reviews = dueWords
+      .filter(isPracticed)
+      .sort((a, b) => daysOverdue(getTrack(b, skill), today) - daysOverdue(getTrack(a, skill), today))
+      .slice(0, Math.max(0, limits.reviewsPerDay - daily.reviewsDone))
+      .map(word => ({ wordId: word.id, kind: 'review' }));
+
+    const newWords = shuffle(dueWords.filter(word => !isPracticed(word)))
+      .slice(0, Math.max(0, limits.newWordsPerDay - daily.newStudied))
+      .map(word => ({ wordId: word.id, kind: 'new' }));
+
+    queue = interleave(reviews, newWords);
+  }
+
+  // Words answered at least once in this session - only the first answer counts towards the limits
+  const answeredIds = new Set();
+  // What each answer changed, most recent last, so answers can be undone
+  const history = [];
+  let current = null;
+
+  return {
+    levels,
+    wordIds,
+    skill,
+    newOnly,
+    date: today,
+
+    /**
+     * Take the next word from the queue
+     * @returns {string|number|null} Word id, or null when the session is finished
+     */
+    next() {
+      current = queue.shift() || null;
+      return current ? current.wordId : null;
+    },
+
+    /**
+     * Record the answer to the current word. Failed words are queued again
+     * a few words later so they're seen once more in this session.
+     * @param {string|number} wordId
+     * @param {number} grade - One of GRADES
+     */
+    recordAnswer(wordId, grade) {
+      const item = current && current.wordId === wordId ? current : { wordId, kind: 'review' };
+      const entry = { item, queue: [...queue], firstAnswer: !answeredIds.has(wordId), counter: null };
+
+      if (!newOnly && entry.firstAnswer) {
+        const progress = getDailyProgress(skill);
+        if (item.kind === 'new') {
+          entry.counter = 'newStudied';
+        } else if (item.kind === 'review') {
+          entry.counter = 'reviewsDone';
+        }
+        if (entry.counter) {
+          progress[entry.counter]++;
+          saveDailyProgress(skill, progress);
+        }
+      }
+      answeredIds.add(wordId);
+      history.push(entry);
+
+      if (grade === GRADES.AGAIN) {
+        queue.splice(Math.min(REQUEUE_GAP, queue.length), 0, { wordId, kind: 'relearn' });
+      }
+    },
+
+    /**
+     * Take back the most recent answer: the queue and today's counts go back
+     * to how they were and the answered word becomes the current word again
+     * @returns {string|number|null} Id of the word to show again, or null if there's nothing to undo
+     */
+    undo() {
+      const entry = history.pop();
+      if (!entry) return null;
+
+      queue = entry.queue;
+      current = entry.item;
+
+      if (entry.firstAnswer) {
+        answeredIds.delete(entry.item.wordId);
+      }
+      if (entry.counter) {
+        const progress = getDailyProgress(skill);
+        progress[entry.counter] = Math.max(0, progress[entry.counter] - 1);
+        saveDailyProgress(skill, progress);
+      }
+
+      return entry.item.wordId;
+    },
+
+    /**
+     * Count what's left in the queue
+     * @returns {{newCount: number, reviewCount: number, relearnCount: number, total: number}}
+     */
+    getStats() {
+      const count = (kind) => queue.filter(item => item.kind === kind).length;
+      return {
+        newCount: count('new'),
+        reviewCount: count('review'),
+        relearnCount: count('relearn'),
+        total: queue.length
+      };
+    }
+  };
+};
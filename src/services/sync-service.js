@@ -29,8 +29,8 @@ export const SyncService = {
   },
   
   /**
-   * Download the full database from server
-   * @returns {Promise<{success: boolean, message: string, count: number}>}
+   * Download the full database from server and merge it into the local one
+   * @returns {Promise<{success: boolean, message: string, count: number, summary: Object}>}
    */
   downloadFullDatabase: async function() {
     console.log("Starting full database download...");
@@ -60,15 +60,16 @@ export const SyncService = {
       
       console.log(`Received ${vocabulary.length} words from server`);
       
-      // Import data to local database
-      const wordCount = await vocabularyDB.importFromServer(vocabulary);
+      // Merge data into local database (keeps learning progress)
+      const summary = await vocabularyDB.importFromServer(vocabulary);
       
       // Update last download timestamp
       localStorage.setItem('lastDatabaseDownload', new Date().toISOString());
       
       return {
         success: true,
-        count: wordCount
+        count: summary.total,
+        summary
       };
     } catch (error) {
       console.error("Database download failed:", error);
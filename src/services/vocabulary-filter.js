@@ -0,0 +1,65 @@
+// src/services/vocabulary-filter.js
+// Vocabulary list filtering shared by the filter worker and the page that talks to it
+
+import { isWordAvailable, isCustomWord, hasLocalEdits } from './word-status';
+
+// Messages between the page and the filter worker
+export const FILTER_MESSAGES = {
+  // page -> worker
+  SET_WORDS: 'setWords',
+  UPDATE_WORDS: 'updateWords',
+  QUERY: 'query',
+  // worker -> page
+  RESULTS: 'results',
+  ERROR: 'error'
+};
+
+// How many matching ids the worker sends back per message
+export const RESULT_BATCH_SIZE = 200;
+
+/**
+ * Reduce a word to what filtering and searching need, so that only a small
+ * copy of the vocabulary is sent to the worker
+ * @param {Object} word
+ * @returns {Object} Filter record
+ */
+export const toFilterRecord = (word) => ({
+  id: word.id,
+  simplified: word.simplified,
+  traditional: word.traditional,
+  pinyin: word.pinyin,
+  english: word.english,
+  meanings: word.meanings,
+  level: word.level,
+  correctCount: word.correctCount || 0,
+  isFavorite: !!word.isFavorite,
+  isLeech: !!word.isLeech,
+  unavailable: !!word.suspended || !isWordAvailable(word),
+  custom: isCustomWord(word) || hasLocalEdits(word)
+});
+
+/**
+ * Check a filter record against the list filters (everything except the search)
+ * @param {Object} record - From toFilterRecord
+ * @param {Object} filters
+ * @param {number|null} filters.selectedLevel - null shows every level except chengyu
+ * @param {string} filters.filterType - all, mastered, learning, favorite, leech, suspended, custom
+ * @param {Set|null} filters.deckWordIds - Only words of this deck, when set
+ * @returns {boolean}
+ */
+export const matchesFilters = (record, { selectedLevel, filterType, deckWordIds }) => {
+  if (selectedLevel !== null) {
+    if (record.level !== selectedLevel) return false;
+  } else if (record.level === -1) {
+    return false;
+  }
+
+  if (filterType === "mastered" && !(record.correctCount > 0)) return false;
+  if (filterType === "learning" && record.correctCount !== 0) return false;
+  if (filterType === "favorite" && !record.isFavorite) return false;
+  if (filterType === "leech" && !record.isLeech) return false;
+  if (filterType === "suspended" && !record.unavailable) return false;
+  if (filterType === "custom" && !record.custom) return false;
+
+  return !deckWordIds || deckWordIds.has(record.id);
+};
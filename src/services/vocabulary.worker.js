@@ -0,0 +1,119 @@
+// src/services/vocabulary.worker.js
+// Web Worker that filters, searches and ranks the vocabulary list off the main thread.
+// Every query carries an id; a newer query stops older ones, and the
+// matching ids are streamed back in batches so the list can start rendering early.
+
+import { createSearchIndex } from './search-index';
+import { FILTER_MESSAGES, RESULT_BATCH_SIZE, matchesFilters } from './vocabulary-filter';
+
+// Records scanned before giving pending messages a chance to arrive
+const SCAN_SLICE_SIZE = 2000;
+
+// Fields the search index is built from
+const SEARCHED_FIELDS = ['simplified', 'traditional', 'pinyin', 'english', 'meanings'];
+
+let records = [];
+let positions = new Map();
+let searchIndex = null;
+let latestQueryId = 0;
+
+// Built on the first search after the words change
+const getSearchIndex = () => {
+  if (!searchIndex) searchIndex = createSearchIndex(records);
+  return searchIndex;
+};
+
+const setRecords = (next) => {
+  records = next;
+  positions = new Map(next.map((record, index) => [record.id, index]));
+  searchIndex = null;
+};
+
+const sameSearchText = (record, other) => {
+  return SEARCHED_FIELDS.every(field => JSON.stringify(record[field]) === JSON.stringify(other[field]));
+};
+
+// Swap in new versions of some records. The search index is kept unless their
+// text changed; it's only used to find ids, the records come from the list.
+const updateRecords = (changed) => {
+  const next = [...records];
+  changed.forEach(record => {
+    const index = positions.get(record.id);
+    if (index === undefined) return;
+    if (searchIndex && !sameSearchText(record, next[index])) searchIndex = null;
+    next[index] = record;
+  });
+  records = next;
+};
+
+// Let queued messages (newer queries) run before continuing
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const isStale = (queryId) => queryId !== latestQueryId;
+
+const runQuery = async (queryId, { searchTerm, selectedLevel, filterType, deckWordIds }) => {
+  const filters = {
+    selectedLevel,
+    filterType,
+    deckWordIds: deckWordIds ? new Set(deckWordIds) : null
+  };
+
+  // A search decides the order (best match first); otherwise the vocabulary order is kept
+  let candidates = records;
+  if (searchTerm) {
+    candidates = getSearchIndex().search(searchTerm)
+      .map(result => records[positions.get(result.word.id)]);
+    await yieldToMessages();
+    if (isStale(queryId)) return;
+  }
+
+  const ids = [];
+  for (let start = 0; start < candidates.length; start += SCAN_SLICE_SIZE) {
+    candidates.slice(start, start + SCAN_SLICE_SIZE).forEach(record => {
+      if (matchesFilters(record, filters)) ids.push(record.id);
+    });
+    await yieldToMessages();
+    if (isStale(queryId)) return;
+  }
+
+  // Stream the ids back; an empty result is still sent as one (final) batch
+  for (let start = 0; start < ids.length || start === 0; start += RESULT_BATCH_SIZE) {
+    const done = start + RESULT_BATCH_SIZE >= ids.length;
+    self.postMessage({
+      type: FILTER_MESSAGES.RESULTS,
+      queryId,
+      ids: ids.slice(start, start + RESULT_BATCH_SIZE),
+      first: start === 0,
+      done,
+      total: ids.length
+    });
+    if (done) return;
+
+    await yieldToMessages();
+    if (isStale(queryId)) return;
+  }
+};
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case FILTER_MESSAGES.SET_WORDS:
+      setRecords(message.records);
+      break;
+
+    case FILTER_MESSAGES.UPDATE_WORDS:
+      updateRecords(message.records);
+      break;
+
+    case FILTER_MESSAGES.QUERY:
+      latestQueryId = message.queryId;
+      runQuery(message.queryId, message.filters).catch(error => {
+        self.postMessage({ type: FILTER_MESSAGES.ERROR, queryId: message.queryId, message: error.message });
+      });
+      break;
+
+    default:
+      console.warn("Unknown vocabulary worker message:", message.type);
+  }
+};
@@ -0,0 +1,33 @@
+// src/services/word-status.js
+// Checks on a word's state. Kept free of the database and settings so the
+// vocabulary filter worker can use them too.
+
+// `source` of words the user created in the app
+export const CUSTOM_SOURCE = 'custom';
+
+/**
+ * Check whether a word can be offered for practice (not archived, suspended or buried)
+ * @param {Object} word
+ * @param {string} today - YYYY-MM-DD, defaults to the current date
+ * @returns {boolean}
+ */
+export const isWordAvailable = (word, today = new Date().toISOString().split('T')[0]) => {
+  if (word.archived || word.suspended) return false;
+  return !word.buriedUntil || word.buriedUntil <= today;
+};
+
+/**
+ * Check whether a word was created by the user rather than downloaded
+ * @param {Object} word
+ * @returns {boolean}
+ */
+export const isCustomWord = (word) => word?.source === CUSTOM_SOURCE;
+
+/**
+ * Check whether the user changed any content of a server word
+ * @param {Object} word
+ * @returns {boolean}
+ */
+export const hasLocalEdits = (word) => {
+  return !!word?.localEdits && Object.keys(word.localEdits).length > 0;
+};